@@ -20,11 +20,15 @@ class SecureEmailMonitor {
         this.lastCheck = null;
         this.processedIds = new Set();
         this.emailFilter = new SecureEmailFilterIntegration();
+        this.vendorRegistryReady = this.loadVendorRegistry();
     }
 
     async init() {
         console.log('🔒 Initializing secure email monitoring...');
         
+        // The constructor already started loading the vendor registry
+        await this.vendorRegistryReady;
+        
         // Set up periodic checks with security limits
         chrome.alarms.create('secureEmailCheck', { 
             periodInMinutes: SECURITY_CONFIG.CHECK_INTERVAL_MINUTES 
@@ -47,6 +51,45 @@ class SecureEmailMonitor {
         console.log('✅ Secure monitoring initialized');
     }
 
+    // Vendor rules for the email filter come from the server's vendor registry, so
+    // vendors added by an admin apply without an extension update. Falls back to
+    // the last copy fetched, then to the registry bundled with the extension.
+    async loadVendorRegistry() {
+        let registry = null;
+
+        try {
+            const response = await fetch('https://bootleg-expensify-34h3.onrender.com/vendors', {
+                headers: {
+                    'X-Extension-Version': chrome.runtime.getManifest().version
+                }
+            });
+            if (response.ok) {
+                registry = await response.json();
+                await chrome.storage.local.set({ vendorRegistry: registry });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not fetch vendor registry:', error);
+        }
+
+        try {
+            if (!registry) {
+                const stored = await chrome.storage.local.get(['vendorRegistry']);
+                registry = stored.vendorRegistry || null;
+            }
+            if (!registry) {
+                const response = await fetch(chrome.runtime.getURL('server/vendors.json'));
+                registry = await response.json();
+            }
+        } catch (error) {
+            console.error('❌ Failed to load vendor registry:', error);
+            return null;
+        }
+
+        this.emailFilter.filter.setVendorRegistry(registry);
+        console.log(`🏪 Vendor registry v${registry.version}.${registry.revision || 0} loaded (${registry.vendors.length} vendors)`);
+        return registry;
+    }
+
     async checkEmailsSecurely() {
         if (this.isMonitoring) {
             console.log('⏭️ Email check already in progress, skipping');
@@ -144,11 +187,13 @@ class SecureEmailMonitor {
                     waitTime: errorData.waitTime
                 };
             } else {
-                throw new Error(`Server check failed: ${response.status}`);
+                // Surface server messages such as a missing Airbase recipient
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Server check failed: ${response.status}`);
             }
         } catch (error) {
             console.error('Server email check failed:', error);
-            return { success: false, processedCount: 0 };
+            return { success: false, processedCount: 0, error: error.message };
         }
     }
 
@@ -322,6 +367,7 @@ class SecureEmailMonitor {
     async testEmailFilter(emailData) {
         console.log('🧪 Testing email filter...');
         try {
+            await this.vendorRegistryReady;
             const result = await this.emailFilter.testEmail(emailData);
             return { 
                 success: true, 
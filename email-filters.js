@@ -2,10 +2,41 @@
 // Integrates with background.js email monitoring system
 
 class EmailReceiptFilter {
-    constructor() {
+    constructor(vendorRegistry) {
         this.processedEmailHashes = new Set();
         this.maxHashStorage = 1000;
         this.cleanupThreshold = 0.8;
+        this.vendorRules = [];
+        this.setVendorRegistry(vendorRegistry);
+    }
+
+    // Vendor-specific rules come from the shared vendor registry (server/vendors.json,
+    // served at /vendors): every vendor with receiptSignals gets scored on its own
+    setVendorRegistry(vendorRegistry) {
+        const vendors = (vendorRegistry && vendorRegistry.vendors) || [];
+        const compile = sources => (sources || []).map(source => new RegExp(source, 'i'));
+
+        this.vendorRules = vendors
+            .filter(vendor => vendor.receiptSignals)
+            .map(vendor => ({
+                id: vendor.id,
+                senderPattern: this.buildSenderPattern(vendor.senderDomains),
+                positivePatterns: {
+                    subject: compile(vendor.receiptSignals.subject),
+                    body: compile(vendor.receiptSignals.body)
+                },
+                negativePatterns: {
+                    subject: compile(vendor.receiptSignals.negativeSubject),
+                    body: compile(vendor.receiptSignals.negativeBody)
+                }
+            }));
+    }
+
+    // "@amazon.com", "@oe.target.com" - the address may still be wrapped in "Name <...>"
+    buildSenderPattern(domains) {
+        if (!domains || domains.length === 0) return null;
+        const escaped = domains.map(domain => domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`@(?:[a-z0-9-]+\\.)*(?:${escaped.join('|')})(?![a-z0-9.-])`, 'i');
     }
 
     // Main filtering function - conservative approach
@@ -36,7 +67,8 @@ class EmailReceiptFilter {
     // Generate unique hash for deduplication
     generateEmailHash(emailData) {
         const hashString = `${emailData.sender}|${emailData.subject}|${emailData.date}|${emailData.messageId?.slice(-8) || ''}`;
-        return btoa(hashString).slice(0, 16);
+        // Encode to Latin-1 first so subjects with emoji don't make btoa throw
+        return btoa(unescape(encodeURIComponent(hashString))).slice(0, 16);
     }
 
     // Deduplication management
@@ -51,14 +83,36 @@ class EmailReceiptFilter {
         }
     }
 
+    // The body patterns below look for "$12.34"; rewrite €/£/¥/ISO-code amounts
+    // and European "1.234,56" formatting into that shape so non-US receipts match
+    normalizeAmounts(text) {
+        const symbol = '(?:[€£¥₹]|US\\$|CA?\\$|AU?\\$|\\$|\\b(?:USD|EUR|GBP|JPY|CAD|AUD|CHF|INR)\\b)';
+        const number = '\\d{1,3}(?:[.,\\u00A0]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+        const pattern = new RegExp(`${symbol}\\s?(${number})|(${number})\\s?(?:[€£¥₹]|\\b(?:EUR|GBP|JPY|CHF)\\b)`, 'g');
+
+        return (text || '').replace(pattern, (match, prefixNumber, suffixNumber) => {
+            const raw = (prefixNumber || suffixNumber).replace(/\u00A0/g, '');
+            const lastDot = raw.lastIndexOf('.');
+            const lastComma = raw.lastIndexOf(',');
+            const decimalIndex = Math.max(lastDot, lastComma);
+            // A separator followed by 1-2 digits is the decimal point; anything else groups thousands
+            const hasDecimals = decimalIndex >= 0 && raw.length - decimalIndex - 1 <= 2;
+            const whole = (hasDecimals ? raw.slice(0, decimalIndex) : raw).replace(/[.,]/g, '');
+            const fraction = hasDecimals ? raw.slice(decimalIndex + 1).padEnd(2, '0') : '00';
+            return `$${whole}.${fraction}`;
+        });
+    }
+
     // Main pattern matching logic - conservative filtering
     applyReceiptPatterns(subject, sender, body) {
-        const patterns = {
-            amazon: this.checkAmazonReceipt(subject, sender, body),
-            uber: this.checkUberReceipt(subject, sender, body),
-            doordash: this.checkDoorDashReceipt(subject, sender, body),
-            generic: this.checkGenericReceipt(subject, sender, body)
-        };
+        body = this.normalizeAmounts(body);
+        const patterns = {};
+        this.vendorRules.forEach(rule => {
+            patterns[rule.id] = this.evaluatePatterns(
+                rule.id, rule.senderPattern, rule.positivePatterns, rule.negativePatterns, subject, sender, body
+            );
+        });
+        patterns.generic = this.checkGenericReceipt(subject, sender, body);
 
         // Find best match with highest confidence
         let bestMatch = { isReceipt: false, vendor: null, matchType: null, indicators: [] };
@@ -80,129 +134,6 @@ class EmailReceiptFilter {
         return bestMatch;
     }
 
-    // Amazon receipt patterns
-    checkAmazonReceipt(subject, sender, body) {
-        const senderPattern = /@amazon\.(com|ca|co\.uk|de|fr|es|it|in|com\.au|co\.jp)$/i;
-        
-        // Positive indicators
-        const positivePatterns = {
-            subject: [
-                /your order.*shipped/i,
-                /order confirmation/i,
-                /your receipt.*amazon/i,
-                /order.*has been delivered/i,
-                /amazon\.com order/i,
-                /shipment.*delivered/i
-            ],
-            body: [
-                /order total:?\s*\$[\d,]+\.\d{2}/i,
-                /shipment delivered/i,
-                /order #[A-Z0-9-]{10,}/i,
-                /billing address/i,
-                /payment method.*ending in \d{4}/i
-            ]
-        };
-
-        // Negative patterns (marketing/non-receipt)
-        const negativePatterns = {
-            subject: [
-                /recommendations for you/i,
-                /deals of the day/i,
-                /lightning deals/i,
-                /amazon prime video/i,
-                /kindle unlimited/i,
-                /subscribe.*save/i,
-                /abandoned.*cart/i
-            ],
-            body: [
-                /unsubscribe/i,
-                /promotional/i,
-                /this is not a bill/i,
-                /marketing communication/i
-            ]
-        };
-
-        return this.evaluatePatterns('amazon', senderPattern, positivePatterns, negativePatterns, subject, sender, body);
-    }
-
-    // Uber receipt patterns  
-    checkUberReceipt(subject, sender, body) {
-        const senderPattern = /@uber\.(com|info)$/i;
-        
-        const positivePatterns = {
-            subject: [
-                /your.*trip.*receipt/i,
-                /ride with.*uber/i,
-                /your uber eats receipt/i,
-                /trip completed/i,
-                /uber.*receipt/i
-            ],
-            body: [
-                /trip fare:?\s*\$[\d,]+\.\d{2}/i,
-                /total.*\$[\d,]+\.\d{2}/i,
-                /driver.*rating/i,
-                /pickup.*drop.?off/i,
-                /payment method.*\*\d{4}/i,
-                /order total.*\$[\d,]+\.\d{2}/i
-            ]
-        };
-
-        const negativePatterns = {
-            subject: [
-                /invite.*friends/i,
-                /promo.*code/i,
-                /ride.*credits/i,
-                /driver.*update/i
-            ],
-            body: [
-                /promotional offer/i,
-                /invite friends/i,
-                /marketing/i
-            ]
-        };
-
-        return this.evaluatePatterns('uber', senderPattern, positivePatterns, negativePatterns, subject, sender, body);
-    }
-
-    // DoorDash receipt patterns
-    checkDoorDashReceipt(subject, sender, body) {
-        const senderPattern = /@doordash\.com$/i;
-        
-        const positivePatterns = {
-            subject: [
-                /your.*order.*delivered/i,
-                /order.*receipt/i,
-                /doordash.*receipt/i,
-                /order.*completed/i,
-                /delivery.*complete/i
-            ],
-            body: [
-                /order total:?\s*\$[\d,]+\.\d{2}/i,
-                /subtotal.*\$[\d,]+\.\d{2}/i,
-                /delivery fee.*\$[\d,]+\.\d{2}/i,
-                /dasher.*tip/i,
-                /payment method.*ending.*\d{4}/i,
-                /order #\d{7,}/i
-            ]
-        };
-
-        const negativePatterns = {
-            subject: [
-                /dashpass/i,
-                /special.*offer/i,
-                /free.*delivery/i,
-                /recommended.*you/i
-            ],
-            body: [
-                /promotional/i,
-                /marketing/i,
-                /unsubscribe/i
-            ]
-        };
-
-        return this.evaluatePatterns('doordash', senderPattern, positivePatterns, negativePatterns, subject, sender, body);
-    }
-
     // Generic receipt patterns for other vendors
     checkGenericReceipt(subject, sender, body) {
         // No specific sender pattern - relies heavily on content
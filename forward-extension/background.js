@@ -3,12 +3,12 @@ class EmailForwarder {
   constructor() {
     this.isEnabled = true;
     this.forwardedEmails = new Set();
-    this.patterns = [
-      { vendor: 'Amazon', pattern: /amazon\.com.*receipt|order.*amazon/i },
-      { vendor: 'Uber', pattern: /uber.*receipt|trip.*receipt/i },
-      { vendor: 'DoorDash', pattern: /doordash.*receipt|order.*delivered/i }
-    ];
-    this.airbaseEmail = 'receipts@airbase.com';
+    // Vendors come from the server's vendor registry (GET /vendors)
+    this.vendors = [];
+    this.vendorsUrl = 'https://bootleg-expensify-34h3.onrender.com/vendors';
+    // Per-user Airbase inbox, loaded from the Expense Gadget server settings
+    this.airbaseEmail = null;
+    this.settingsUrl = 'https://bootleg-expensify-34h3.onrender.com/settings';
   }
 
   async initialize() {
@@ -21,6 +21,52 @@ class EmailForwarder {
     chrome.alarms.create('checkEmails', { periodInMinutes: 12 });
   }
 
+  // Fetch the registry, falling back to the last copy fetched when the server is unreachable
+  async loadVendorRegistry() {
+    let registry = null;
+    try {
+      const response = await fetch(this.vendorsUrl);
+      if (response.ok) {
+        registry = await response.json();
+        await chrome.storage.local.set({ vendorRegistry: registry });
+      } else {
+        console.warn(`Could not load vendor registry: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Failed to load vendor registry:', error);
+    }
+
+    if (!registry) {
+      const stored = await chrome.storage.local.get(['vendorRegistry']);
+      registry = stored.vendorRegistry || null;
+    }
+
+    if (registry) {
+      this.vendors = registry.vendors.map(vendor => ({
+        name: vendor.name,
+        domains: vendor.senderDomains || [],
+        subjectPatterns: (vendor.subjectPatterns || []).map(source => new RegExp(source, 'i'))
+      }));
+    }
+    return this.vendors;
+  }
+
+  async loadAirbaseRecipient() {
+    try {
+      const response = await fetch(this.settingsUrl, { credentials: 'include' });
+      if (!response.ok) {
+        console.warn(`Could not load Airbase recipient: ${response.status}`);
+        return this.airbaseEmail;
+      }
+
+      const data = await response.json();
+      this.airbaseEmail = data.settings?.airbaseRecipient || null;
+    } catch (error) {
+      console.error('Failed to load Airbase recipient:', error);
+    }
+    return this.airbaseEmail;
+  }
+
   async getGmailToken() {
     return new Promise((resolve, reject) => {
       chrome.identity.getAuthToken({ interactive: true }, (token) => {
@@ -68,9 +114,16 @@ class EmailForwarder {
     }
   }
 
-  matchesPattern(subject, body) {
-    const text = `${subject} ${body}`.toLowerCase();
-    return this.patterns.find(p => p.pattern.test(text));
+  // A known vendor (by sender domain or subject) sending something receipt-like
+  matchesPattern(sender, subject) {
+    if (!/receipt|order|trip|ride|invoice|payment/i.test(subject)) return null;
+
+    const domain = (sender.match(/@([a-z0-9.-]+\.[a-z]{2,})/i) || [])[1]?.toLowerCase();
+    const vendor = this.vendors.find(v =>
+      (domain && v.domains.some(d => domain === d || domain.endsWith(`.${d}`))) ||
+      v.subjectPatterns.some(pattern => pattern.test(subject))
+    );
+    return vendor ? { vendor: vendor.name } : null;
   }
 
   async forwardEmail(emailData, matchedPattern) {
@@ -116,6 +169,19 @@ class EmailForwarder {
   async processEmails() {
     if (!this.isEnabled) return;
 
+    // Never fall back to a shared inbox - skip until the user configures theirs
+    const recipient = await this.loadAirbaseRecipient();
+    if (!recipient) {
+      console.warn('No Airbase recipient configured, skipping forwarding');
+      return;
+    }
+
+    await this.loadVendorRegistry();
+    if (this.vendors.length === 0) {
+      console.warn('No vendor registry available, skipping forwarding');
+      return;
+    }
+
     const messages = await this.fetchRecentEmails();
     let forwardedCount = 0;
 
@@ -125,11 +191,13 @@ class EmailForwarder {
       const emailData = await this.getEmailDetails(message.id);
       if (!emailData) continue;
 
-      const subject = emailData.payload?.headers?.find(h => h.name === 'Subject')?.value || '';
-      const body = this.extractBody(emailData.payload);
+      const headers = emailData.payload?.headers || [];
+      const subject = headers.find(h => h.name === 'Subject')?.value || '';
+      const sender = headers.find(h => h.name === 'From')?.value || '';
       
-      const match = this.matchesPattern(subject, body);
+      const match = this.matchesPattern(sender, subject);
       if (match) {
+        const body = this.extractBody(emailData.payload);
         const success = await this.forwardEmail({ id: message.id, subject, body }, match);
         if (success) forwardedCount++;
       }
@@ -187,9 +255,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   if (message.action === 'getStatus') {
-    sendResponse({ 
-      isEnabled: forwarder.isEnabled,
-      forwardedCount: forwarder.forwardedEmails.size
+    forwarder.loadAirbaseRecipient().then(airbaseEmail => {
+      sendResponse({ 
+        isEnabled: forwarder.isEnabled,
+        forwardedCount: forwarder.forwardedEmails.size,
+        airbaseEmail
+      });
     });
+    return true;
   }
 });
@@ -5,6 +5,7 @@ class PopupController {
     this.toggleSwitch = document.getElementById('toggleSwitch');
     this.statusText = document.getElementById('statusText');
     this.forwardedCount = document.getElementById('forwardedCount');
+    this.airbaseEmail = document.getElementById('airbaseEmail');
     
     this.initialize();
   }
@@ -26,6 +27,7 @@ class PopupController {
       
       if (response) {
         this.updateUI(response.isEnabled, response.forwardedCount);
+        this.airbaseEmail.textContent = response.airbaseEmail || 'Not configured';
       }
     } catch (error) {
       console.error('Failed to get status:', error);
@@ -440,6 +440,32 @@ class ExpenseGadget {
             window.close();
         });
 
+        // Settings panel
+        const settingsBtn = document.getElementById('settingsBtn');
+        const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.toggleSettings());
+        }
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+        }
+
+        // Export panel
+        const exportBtn = document.getElementById('exportBtn');
+        const runExportBtn = document.getElementById('runExportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.toggleExport());
+        }
+        if (runExportBtn) {
+            runExportBtn.addEventListener('click', () => this.exportReceipts());
+        }
+
+        // Review panel - correct extractions and manage what was learned from them
+        const reviewBtn = document.getElementById('reviewBtn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.toggleReview());
+        }
+
         // Search button - handles both auth and search
         searchBtn.addEventListener('click', async () => {
             if (!this.gmailClient.isAuthenticated) {
@@ -462,6 +488,21 @@ class ExpenseGadget {
                     this.forwardEmailToAirbase(emailId, e.target);
                 }
             }
+            if (e.target.classList.contains('correct-btn')) {
+                this.saveCorrection(e.target.getAttribute('data-receipt-id'), e.target);
+            }
+            if (e.target.classList.contains('revoke-btn')) {
+                this.revokeLearnedRule(e.target.getAttribute('data-rule-id'));
+            }
+            if (e.target.classList.contains('confirm-review-btn')) {
+                this.confirmReviewItem(e.target.getAttribute('data-review-id'), e.target);
+            }
+            if (e.target.classList.contains('discard-review-btn')) {
+                this.discardReviewItem(e.target.getAttribute('data-review-id'), e.target);
+            }
+            if (e.target.classList.contains('preview-review-btn')) {
+                this.previewReviewItem(e.target.getAttribute('data-review-id'));
+            }
         });
 
         // Auth code submission
@@ -607,7 +648,7 @@ class ExpenseGadget {
         searchResults.innerHTML = html;
     }
 
-    async forwardEmailToAirbase(emailId, buttonElement) {
+    async forwardEmailToAirbase(emailId, buttonElement, allowDuplicate = false) {
         try {
             console.log('Forwarding email to Airbase:', emailId);
             
@@ -621,9 +662,10 @@ class ExpenseGadget {
                 throw new Error('Failed to get email content');
             }
 
-            // Send to Airbase
+            // Send to Airbase (server forwards the original message by ID, content is a fallback)
             const response = await fetch('https://bootleg-expensify-34h3.onrender.com/forward-email', {
                 method: 'POST',
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json'
                 },
@@ -632,27 +674,521 @@ class ExpenseGadget {
                     subject: emailContent.subject,
                     from: emailContent.from,
                     date: emailContent.date,
-                    body: emailContent.body
+                    body: emailContent.body,
+                    allowDuplicate
                 })
             });
 
             const result = await response.json();
 
+            if (response.status === 401) {
+                this.updateGmailAuthStatus(false);
+                throw new Error('Not authenticated with Google');
+            }
+
+            if (result.code === 'DUPLICATE_RECEIPT') {
+                if (this.confirmDuplicate(result.duplicates)) {
+                    return this.forwardEmailToAirbase(emailId, buttonElement, true);
+                }
+                buttonElement.disabled = false;
+                buttonElement.textContent = 'Duplicate';
+                buttonElement.title = 'Already forwarded - not sent';
+                return;
+            }
+
+            if (result.code === 'RECIPIENT_NOT_CONFIGURED') {
+                this.toggleSettings(true);
+            }
+
             if (result.success) {
                 buttonElement.textContent = '✓ Sent';
                 buttonElement.style.background = '#10b981';
-                this.showStatusMessage('Email forwarded to Airbase successfully!', 'success');
+                buttonElement.title = `Forwarded to ${result.recipient}`;
+                this.showStatusMessage(`Email forwarded to ${this.escapeHtml(result.recipient)}`, 'success');
             } else {
                 throw new Error(result.error || 'Failed to forward email');
             }
         } catch (error) {
             console.error('Forward error:', error);
+            buttonElement.disabled = false;
             buttonElement.textContent = 'Error';
+            buttonElement.title = error.message;
             buttonElement.style.background = '#ef4444';
             this.showStatusMessage('Failed to forward email to Airbase', 'error');
         }
     }
 
+    async toggleSettings(forceOpen = false) {
+        const settingsPanel = document.getElementById('settingsPanel');
+        const isOpen = settingsPanel.classList.contains('show');
+
+        if (isOpen && !forceOpen) {
+            settingsPanel.classList.remove('show');
+            return;
+        }
+
+        settingsPanel.classList.add('show');
+        await this.loadSettings();
+    }
+
+    async loadSettings() {
+        const recipientInput = document.getElementById('airbaseRecipientInput');
+        const settingsHint = document.getElementById('settingsHint');
+
+        try {
+            const response = await fetch('https://bootleg-expensify-34h3.onrender.com/settings', {
+                credentials: 'include'
+            });
+
+            if (response.status === 401) {
+                settingsHint.textContent = 'Connect to Gmail to manage settings.';
+                return;
+            }
+
+            const result = await response.json();
+            if (result.success) {
+                recipientInput.value = result.settings.airbaseRecipient || '';
+                this.showFilenameTemplate(result.settings);
+                this.showDriveLayout(result.settings);
+                settingsHint.textContent = result.settings.airbaseRecipient
+                    ? `Receipts for ${result.userEmail} are forwarded here.`
+                    : 'No receipt inbox set yet - forwarding is disabled.';
+            }
+        } catch (error) {
+            console.error('Load settings error:', error);
+            settingsHint.textContent = 'Could not load settings.';
+        }
+    }
+
+    // The default template shows as the placeholder, so an empty box means "default"
+    showFilenameTemplate(settings) {
+        const templateInput = document.getElementById('filenameTemplateInput');
+        templateInput.placeholder = settings.defaultFilenameTemplate;
+        templateInput.value = settings.filenameTemplate === settings.defaultFilenameTemplate ? '' : settings.filenameTemplate;
+    }
+
+    showDriveLayout(settings) {
+        const backendSelect = document.getElementById('storageBackendInput');
+        backendSelect.innerHTML = '';
+        (settings.storageBackends || []).forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.name;
+            option.textContent = backend.label;
+            backendSelect.appendChild(option);
+        });
+        backendSelect.value = settings.storageBackend;
+
+        const folderTemplateInput = document.getElementById('driveFolderTemplateInput');
+        folderTemplateInput.placeholder = settings.defaultDriveFolderTemplate;
+        folderTemplateInput.value = settings.driveFolderTemplate === settings.defaultDriveFolderTemplate ? '' : settings.driveFolderTemplate;
+        document.getElementById('driveFolderIdInput').value = settings.driveFolderId || '';
+        document.getElementById('driveSharedDriveIdInput').value = settings.driveSharedDriveId || '';
+        document.getElementById('projectCodeInput').value = settings.projectCode || '';
+        document.getElementById('summarySpreadsheetInput').checked = !!settings.summarySpreadsheet;
+    }
+
+    async saveSettings() {
+        const recipientInput = document.getElementById('airbaseRecipientInput');
+        const templateInput = document.getElementById('filenameTemplateInput');
+        const settingsHint = document.getElementById('settingsHint');
+        const airbaseRecipient = recipientInput.value.trim();
+        const filenameTemplate = templateInput.value.trim();
+        const driveFolderTemplate = document.getElementById('driveFolderTemplateInput').value.trim();
+        const driveFolderId = document.getElementById('driveFolderIdInput').value.trim();
+        const driveSharedDriveId = document.getElementById('driveSharedDriveIdInput').value.trim();
+        const projectCode = document.getElementById('projectCodeInput').value.trim();
+        const summarySpreadsheet = document.getElementById('summarySpreadsheetInput').checked;
+        const storageBackend = document.getElementById('storageBackendInput').value || undefined;
+
+        if (!airbaseRecipient) {
+            settingsHint.textContent = 'Enter your Airbase receipt inbox address.';
+            return;
+        }
+
+        try {
+            const response = await fetch('https://bootleg-expensify-34h3.onrender.com/settings', {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    airbaseRecipient,
+                    filenameTemplate,
+                    driveFolderTemplate,
+                    driveFolderId,
+                    driveSharedDriveId,
+                    projectCode,
+                    summarySpreadsheet,
+                    storageBackend
+                })
+            });
+
+            const result = await response.json();
+            if (result.success) {
+                recipientInput.value = result.settings.airbaseRecipient;
+                this.showFilenameTemplate(result.settings);
+                this.showDriveLayout(result.settings);
+                settingsHint.textContent = 'Saved.';
+
+                if (result.layoutChanged && confirm('Drive folder layout changed. Move receipts already in Drive into the new folders?')) {
+                    await this.reorganizeDrive();
+                }
+            } else {
+                settingsHint.textContent = result.error || 'Failed to save settings.';
+            }
+        } catch (error) {
+            console.error('Save settings error:', error);
+            settingsHint.textContent = 'Failed to save settings.';
+        }
+    }
+
+    // Starts the server-side move and polls until it finishes
+    async reorganizeDrive() {
+        const settingsHint = document.getElementById('settingsHint');
+        const url = 'https://bootleg-expensify-34h3.onrender.com/drive/reorganize';
+
+        try {
+            let result = await (await fetch(url, { method: 'POST', credentials: 'include' })).json();
+            while (result.success && result.job && result.job.status === 'running') {
+                settingsHint.textContent = `Moving receipts... ${result.job.moved + result.job.skipped + result.job.failed}/${result.job.total}`;
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                result = await (await fetch(url, { credentials: 'include' })).json();
+            }
+
+            if (!result.success || !result.job) {
+                settingsHint.textContent = result.error || 'Could not move receipts.';
+            } else if (result.job.status === 'failed') {
+                settingsHint.textContent = `Moving receipts failed: ${result.job.error}`;
+            } else {
+                settingsHint.textContent = `Moved ${result.job.moved} receipts` +
+                    (result.job.failed ? `, ${result.job.failed} could not be moved.` : '.');
+            }
+        } catch (error) {
+            console.error('Drive re-organize error:', error);
+            settingsHint.textContent = 'Could not move receipts.';
+        }
+    }
+
+    toggleExport() {
+        const exportPanel = document.getElementById('exportPanel');
+        if (exportPanel.classList.toggle('show')) {
+            const fromInput = document.getElementById('exportFromInput');
+            const toInput = document.getElementById('exportToInput');
+
+            // Default to last month - the usual reconciliation period
+            if (!fromInput.value && !toInput.value) {
+                const now = new Date();
+                const firstOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+                const lastOfLastMonth = new Date(now.getFullYear(), now.getMonth(), 0);
+                fromInput.value = this.toDateInputValue(firstOfLastMonth);
+                toInput.value = this.toDateInputValue(lastOfLastMonth);
+            }
+        }
+    }
+
+    async exportReceipts() {
+        const exportHint = document.getElementById('exportHint');
+        const runExportBtn = document.getElementById('runExportBtn');
+        const format = document.getElementById('exportFormatSelect').value;
+        const from = document.getElementById('exportFromInput').value;
+        const to = document.getElementById('exportToInput').value;
+
+        const columns = ['date', 'vendor', 'amount', 'currency'];
+        if (document.getElementById('exportCategory').checked) columns.push('category');
+        if (document.getElementById('exportDriveLink').checked) columns.push('driveLink');
+        if (document.getElementById('exportMessageId').checked) columns.push('messageId');
+
+        const params = new URLSearchParams({ format, columns: columns.join(',') });
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+
+        runExportBtn.disabled = true;
+        exportHint.textContent = 'Exporting...';
+
+        try {
+            const response = await fetch(`https://bootleg-expensify-34h3.onrender.com/export?${params}`, {
+                credentials: 'include'
+            });
+
+            if (response.status === 401) {
+                exportHint.textContent = 'Connect to Gmail to export receipts.';
+                this.updateGmailAuthStatus(false);
+                return;
+            }
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                exportHint.textContent = result.error || 'Export failed.';
+                return;
+            }
+
+            const blob = await response.blob();
+            const filename = `receipts_${from || 'all'}_to_${to || 'now'}.${format}`;
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            exportHint.textContent = `Downloaded ${filename}`;
+        } catch (error) {
+            console.error('Export error:', error);
+            exportHint.textContent = 'Export failed.';
+        } finally {
+            runExportBtn.disabled = false;
+        }
+    }
+
+    async toggleReview() {
+        const reviewPanel = document.getElementById('reviewPanel');
+        if (reviewPanel.classList.toggle('show')) {
+            await this.loadReview();
+        }
+    }
+
+    async loadReview() {
+        const reviewQueueList = document.getElementById('reviewQueueList');
+        const reviewList = document.getElementById('reviewList');
+        const learnedRulesList = document.getElementById('learnedRulesList');
+        const reviewHint = document.getElementById('reviewHint');
+
+        try {
+            const [queueResponse, receiptsResponse, rulesResponse] = await Promise.all([
+                fetch('https://bootleg-expensify-34h3.onrender.com/review-queue', { credentials: 'include' }),
+                fetch('https://bootleg-expensify-34h3.onrender.com/receipts?limit=10', { credentials: 'include' }),
+                fetch('https://bootleg-expensify-34h3.onrender.com/learned-rules', { credentials: 'include' })
+            ]);
+
+            if (queueResponse.status === 401 || receiptsResponse.status === 401 || rulesResponse.status === 401) {
+                reviewHint.textContent = 'Connect to Gmail to review receipts.';
+                return;
+            }
+
+            const { items = [] } = await queueResponse.json();
+            const { receipts = [] } = await receiptsResponse.json();
+            const { rules = [] } = await rulesResponse.json();
+
+            reviewQueueList.innerHTML = items.length === 0
+                ? '<span class="settings-hint">Nothing waiting for review.</span>'
+                : items.map(item => {
+                    // Fields the server wasn't sure of get an amber border
+                    const weak = field => (item.lowConfidenceFields || []).includes(field) ? ' low-confidence' : '';
+                    return `
+                    <div class="review-item">
+                        <span>${this.escapeHtml(item.subject || item.originalFilename || 'Receipt')} - ${this.escapeHtml(item.reasons.map(reason => this.describeReviewReason(reason)).join(', '))}</span>
+                        <div class="review-row">
+                            <input type="text" class="search-input${weak('vendor')}" id="review-vendor-${item.id}" value="${this.escapeHtml(item.vendor || '')}" placeholder="Vendor">
+                            <input type="text" class="search-input${weak('amount')}" id="review-amount-${item.id}" value="${this.escapeHtml(item.amount || '')}" placeholder="0.00" style="width: 60px;">
+                            <input type="date" class="search-input${weak('receiptDate')}" id="review-date-${item.id}" value="${this.escapeHtml(item.receiptDate || '')}">
+                        </div>
+                        <div class="review-row">
+                            ${item.hasPdf ? `<button class="send-btn preview-review-btn" data-review-id="${item.id}">PDF</button>` : ''}
+                            <button class="send-btn confirm-review-btn" data-review-id="${item.id}">Confirm</button>
+                            <button class="send-btn discard-review-btn" data-review-id="${item.id}">Discard</button>
+                        </div>
+                        <details><summary>Extracted text</summary>${this.escapeHtml(item.textPreview || '')}</details>
+                    </div>
+                `;
+                }).join('');
+
+            reviewList.innerHTML = receipts.length === 0
+                ? '<span class="settings-hint">No receipts yet.</span>'
+                : receipts.map(receipt => `
+                    <div class="review-row">
+                        <input type="text" class="search-input" id="vendor-${receipt.id}" value="${this.escapeHtml(receipt.vendor || '')}" placeholder="Vendor" title="${this.escapeHtml(receipt.subject || receipt.filename || '')}">
+                        <input type="text" class="search-input" id="amount-${receipt.id}" value="${this.escapeHtml(receipt.amount || '')}" placeholder="0.00" style="width: 60px;">
+                        <input type="date" class="search-input" id="date-${receipt.id}" value="${this.escapeHtml(receipt.receiptDate || '')}">
+                        <button class="send-btn correct-btn" data-receipt-id="${receipt.id}">Save</button>
+                    </div>
+                `).join('');
+
+            learnedRulesList.innerHTML = rules.length === 0
+                ? '<span class="settings-hint">Nothing learned yet.</span>'
+                : rules.map(rule => `
+                    <div class="review-row">
+                        <span style="flex: 1;">${this.escapeHtml(this.describeLearnedRule(rule))}</span>
+                        <button class="send-btn revoke-btn" data-rule-id="${rule.id}">Revoke</button>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Load review error:', error);
+            reviewHint.textContent = 'Could not load receipts.';
+        }
+    }
+
+    describeReviewReason(reason) {
+        const labels = {
+            missing_vendor: 'no vendor',
+            missing_amount: 'no amount',
+            missing_date: 'no date',
+            inconsistent_totals: "totals don't add up",
+            low_confidence: 'unsure of some fields'
+        };
+        return labels[reason] || reason;
+    }
+
+    // Confirm a parked receipt with whatever the user filled in; the server
+    // files it to Drive, records it and forwards it
+    async confirmReviewItem(itemId, buttonElement, allowDuplicate = false) {
+        const reviewHint = document.getElementById('reviewHint');
+        const fields = {
+            vendor: document.getElementById(`review-vendor-${itemId}`).value.trim(),
+            amount: document.getElementById(`review-amount-${itemId}`).value.trim().replace(/^\$/, ''),
+            receiptDate: document.getElementById(`review-date-${itemId}`).value
+        };
+
+        Object.keys(fields).forEach(field => {
+            if (!fields[field]) delete fields[field];
+        });
+
+        buttonElement.disabled = true;
+
+        try {
+            const response = await fetch(`https://bootleg-expensify-34h3.onrender.com/review-queue/${encodeURIComponent(itemId)}/confirm`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...fields, allowDuplicate })
+            });
+
+            const result = await response.json();
+            if (result.code === 'DUPLICATE_RECEIPT') {
+                if (this.confirmDuplicate(result.duplicates)) {
+                    return this.confirmReviewItem(itemId, buttonElement, true);
+                }
+                reviewHint.textContent = 'Not filed - it looks like a receipt you already have.';
+            } else if (result.success) {
+                reviewHint.textContent = `Filed as ${result.filename}${result.forwarded ? ' and forwarded' : ''}.`;
+                await this.loadReview();
+            } else {
+                reviewHint.textContent = result.error || 'Failed to confirm receipt.';
+            }
+        } catch (error) {
+            console.error('Confirm review item error:', error);
+            reviewHint.textContent = 'Failed to confirm receipt.';
+        } finally {
+            buttonElement.disabled = false;
+        }
+    }
+
+    // The server blocks receipts that match one already filed or forwarded;
+    // the user can still send it through
+    confirmDuplicate(duplicates = []) {
+        const match = duplicates[0];
+        const described = match
+            ? [match.vendor, match.receiptDate, match.amount && `${match.currency || 'USD'} ${match.amount}`].filter(Boolean).join(', ')
+            : '';
+        return confirm(`This looks like a receipt you already have${described ? ` (${described})` : ''}. Send it anyway?`);
+    }
+
+    async discardReviewItem(itemId, buttonElement) {
+        const reviewHint = document.getElementById('reviewHint');
+        buttonElement.disabled = true;
+
+        try {
+            const response = await fetch(`https://bootleg-expensify-34h3.onrender.com/review-queue/${encodeURIComponent(itemId)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            const result = await response.json();
+            reviewHint.textContent = result.success ? 'Discarded.' : (result.error || 'Failed to discard receipt.');
+            await this.loadReview();
+        } catch (error) {
+            console.error('Discard review item error:', error);
+            reviewHint.textContent = 'Failed to discard receipt.';
+            buttonElement.disabled = false;
+        }
+    }
+
+    // Opens in a tab - the session cookie goes along, and a blob URL would die with the popup
+    previewReviewItem(itemId) {
+        chrome.tabs.create({
+            url: `https://bootleg-expensify-34h3.onrender.com/review-queue/${encodeURIComponent(itemId)}/pdf`
+        });
+    }
+
+    describeLearnedRule(rule) {
+        if (rule.type === 'sender-vendor') {
+            return `Mail from ${rule.senderDomain} is ${rule.vendor}`;
+        }
+        const field = rule.type === 'amount-label' ? 'total' : 'date';
+        return `${rule.vendor} ${field} follows "${rule.label}"`;
+    }
+
+    async saveCorrection(receiptId, buttonElement) {
+        const reviewHint = document.getElementById('reviewHint');
+        const correction = {
+            vendor: document.getElementById(`vendor-${receiptId}`).value.trim(),
+            amount: document.getElementById(`amount-${receiptId}`).value.trim().replace(/^\$/, ''),
+            receiptDate: document.getElementById(`date-${receiptId}`).value
+        };
+
+        // Only send what's filled in - an empty field isn't a correction
+        Object.keys(correction).forEach(field => {
+            if (!correction[field]) delete correction[field];
+        });
+
+        buttonElement.disabled = true;
+
+        try {
+            const response = await fetch(`https://bootleg-expensify-34h3.onrender.com/receipts/${encodeURIComponent(receiptId)}`, {
+                method: 'PATCH',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(correction)
+            });
+
+            const result = await response.json();
+            if (result.success) {
+                reviewHint.textContent = result.learned.length > 0
+                    ? `Saved - learned ${result.learned.length} rule${result.learned.length === 1 ? '' : 's'}.`
+                    : 'Saved.';
+                await this.loadReview();
+            } else {
+                reviewHint.textContent = result.error || 'Failed to save correction.';
+            }
+        } catch (error) {
+            console.error('Save correction error:', error);
+            reviewHint.textContent = 'Failed to save correction.';
+        } finally {
+            buttonElement.disabled = false;
+        }
+    }
+
+    async revokeLearnedRule(ruleId) {
+        const reviewHint = document.getElementById('reviewHint');
+
+        try {
+            const response = await fetch(`https://bootleg-expensify-34h3.onrender.com/learned-rules/${encodeURIComponent(ruleId)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            const result = await response.json();
+            reviewHint.textContent = result.success ? 'Rule revoked.' : (result.error || 'Failed to revoke rule.');
+            await this.loadReview();
+        } catch (error) {
+            console.error('Revoke rule error:', error);
+            reviewHint.textContent = 'Failed to revoke rule.';
+        }
+    }
+
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
     clearSearchResults() {
         const searchResults = document.getElementById('searchResults');
         searchResults.innerHTML = '';
@@ -7,6 +7,23 @@ const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const validator = require('validator');
+const { EmailReceiptFilter } = require('./email-filters');
+const { getUserSettings, updateUserSettings } = require('./server/user-settings');
+const receiptLedger = require('./server/receipt-ledger');
+const receiptExport = require('./server/receipt-export');
+const currency = require('./server/currency');
+const vendorRegistry = require('./server/vendor-registry');
+const learnedRules = require('./server/learned-rules');
+const reviewQueue = require('./server/review-queue');
+const googleDrive = require('./server/google-drive');
+const receiptSummary = require('./server/receipt-summary');
+const receiptStorage = require('./server/receipt-storage');
+const duplicateDetector = require('./server/duplicate-detector');
+const { extractEmailContent } = require('./server/email-content');
+const { findReceiptAttachments, fetchAttachment } = require('./server/email-attachments');
+const { htmlToText } = require('./server/html-text');
+const { extractReferences, referenceFields } = require('./server/receipt-references');
+const { buildReceiptFilename, validateTemplate, DEFAULT_FILENAME_TEMPLATE } = require('./server/receipt-filename');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -38,12 +55,28 @@ const strictLimiter = rateLimit({
 });
 
 // Google OAuth configuration
+const GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || 'https://bootleg-expensify-34h3.onrender.com/auth/google/callback';
+
+// Only for the sign-in flow (auth URL, code exchange); it never holds a user's tokens
 const oauth2Client = new google.auth.OAuth2(
     process.env.GOOGLE_CLIENT_ID,
     process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI || 'https://bootleg-expensify-34h3.onrender.com/auth/google/callback'
+    GOOGLE_REDIRECT_URI
 );
 
+// A client of the request's own. Routes await Gmail, Drive and Airbase calls
+// one after another; on a shared client another request could swap the
+// credentials in between, listing one user's mail and sending it as another.
+function createUserClient(tokens) {
+    const client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        GOOGLE_REDIRECT_URI
+    );
+    client.setCredentials(tokens);
+    return client;
+}
+
 // Session configuration
 if (!process.env.SESSION_SECRET) {
     if (isProduction) {
@@ -102,7 +135,7 @@ app.use(cors({
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Debug-Key', 'X-Extension-Version']
 }));
 
@@ -160,8 +193,10 @@ app.post('/scan-gmail', strictLimiter, async (req, res) => {
         console.log(`Date range: ${fromDays} to ${toDays} days ago`);
         console.log(`Max emails: ${maxEmails}`);
 
-        oauth2Client.setCredentials(req.session.googleTokens);
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const learned = learnedRules.getUserRules(userEmail);
 
         // Build search query
         const fromDate = new Date();
@@ -227,17 +262,17 @@ app.post('/scan-gmail', strictLimiter, async (req, res) => {
                 console.log(`  📅 Date: ${date}`);
 
                 // Extract email content
-                const emailHTML = extractEmailHTML(msg.payload);
-                if (!emailHTML || emailHTML.trim().length === 0) {
-                    console.log(`    ❌ No HTML content found`);
+                const { text } = extractEmailContent(msg.payload);
+                if (!text) {
+                    console.log(`    ❌ No readable body found`);
                     continue;
                 }
 
                 // Basic data extraction
-                const text = emailHTML.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-                const vendor = extractVendorFromSender(sender) || extractBasicVendor(text);
-                const amount = extractBasicAmount(text);
-                const receiptDate = extractBasicDate(date);
+                const vendor = extractVendorFromSender(sender, learned) || extractBasicVendor(text);
+                const amount = extractBasicAmount(text, sender, vendor, learned);
+                const receiptDate = extractBasicDate(date, text, vendor, learned);
+                const references = referenceFields(extractReferences(text));
 
                 console.log(`    💰 Amount: ${amount || 'Not found'}`);
                 console.log(`    🏪 Vendor: ${vendor || 'Not found'}`);
@@ -250,9 +285,32 @@ app.post('/scan-gmail', strictLimiter, async (req, res) => {
                     vendor: vendor,
                     amount: amount,
                     receiptDate: receiptDate,
+                    references,
                     emailContent: text.substring(0, 500) + '...'
                 };
 
+                // Missing fields: park it in the review queue for the popup
+                const reviewReasons = reviewQueue.getReviewReasons({ vendor, amount, receiptDate });
+                if (reviewReasons.length > 0) {
+                    const normalized = currency.normalizeCurrencyText(text, { sender });
+                    const reviewItem = reviewQueue.parkReceipt(userEmail, {
+                        source: 'email',
+                        messageId: message.id,
+                        reasons: reviewReasons,
+                        vendor,
+                        amount: amount ? String(amount).replace(/[^\d.]/g, '') : null,
+                        currency: normalized.currency,
+                        receiptDate,
+                        subject: stripHeaderBreaks(subject),
+                        sender: stripHeaderBreaks(sender),
+                        text,
+                        extractionLabels: learnedRules.collectExtractionLabels(normalized.text)
+                    });
+                    result.needsReview = true;
+                    result.reviewId = reviewItem.id;
+                    result.reviewReasons = reviewReasons;
+                }
+
                 results.push(result);
                 if (result.processed) processedCount++;
 
@@ -287,91 +345,947 @@ app.post('/scan-gmail', strictLimiter, async (req, res) => {
 // ===========================================
 
 // Forward email to Airbase
-app.post('/forward-to-airbase', async (req, res) => {
+// Accepts a Gmail message id (raw forward, attachments intact) and/or
+// pre-fetched content ({subject, from, date, body}) from the popup.
+// /forward-to-airbase is kept as an alias for older extension builds.
+app.post(['/forward-email', '/forward-to-airbase'], async (req, res) => {
     try {
         if (!req.session.googleTokens) {
-            return res.status(401).json({ error: 'Not authenticated with Google' });
+            return res.status(401).json({ success: false, error: 'Not authenticated with Google' });
         }
 
-        const { emailId } = req.body;
+        const { emailId, subject, from, date, body } = req.body;
+        const hasContent = typeof body === 'string' && body.trim().length > 0;
+
+        if (!emailId && !hasContent) {
+            return res.status(400).json({ success: false, error: 'Email ID or email content required' });
+        }
+
+        if (emailId && !/^[a-zA-Z0-9]+$/.test(emailId)) {
+            return res.status(400).json({ success: false, error: 'Invalid email ID' });
+        }
+
+        console.log(`Forwarding email to Airbase (id: ${emailId || 'none'}, content: ${hasContent})`);
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+
+        const recipient = await getAirbaseRecipient(req, gmail);
+        if (!recipient) {
+            return res.status(400).json({
+                success: false,
+                error: 'No Airbase recipient configured. Set your receipt inbox in Settings.',
+                code: 'RECIPIENT_NOT_CONFIGURED'
+            });
+        }
+
+        // Already forwarded as another email (or the same order again)? Strong
+        // matches need allowDuplicate to go through.
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const emailReceipt = await describeForwardedEmail(gmail, emailId, { from, date, body }, learnedRules.getUserRules(userEmail));
+        const fingerprint = duplicateDetector.fingerprintReceipt(emailReceipt);
+        const duplicateCheck = duplicateDetector.checkDuplicates(userEmail, fingerprint, {
+            scope: 'forwarded',
+            excludeMessageId: emailId,
+            allowDuplicate: allowsDuplicate(req)
+        });
+        if (duplicateCheck.blocked) {
+            return res.status(409).json({
+                success: false,
+                error: 'This receipt looks like one already forwarded',
+                code: 'DUPLICATE_RECEIPT',
+                duplicates: duplicateCheck.duplicates
+            });
+        }
+
+        let result = null;
+
+        if (emailId) {
+            try {
+                result = await forwardMessageToAirbase(gmail, emailId, recipient);
+            } catch (rawError) {
+                // Fall back to the popup's copy only when the message itself can't be fetched
+                const status = rawError.code || rawError.response?.status;
+                if (!hasContent || status === 401 || isGmailRateLimitError(rawError)) {
+                    throw rawError;
+                }
+                console.warn(`Raw forward failed (${status}), falling back to provided content`);
+            }
+        }
+
+        if (!result) {
+            result = await forwardContentToAirbase(gmail, { subject, from, date, body }, recipient);
+        }
+
+        console.log('Email forwarded to Airbase successfully!');
+        console.log('Message ID:', result.messageId);
+
+        const forwardRecord = {
+            ...forwardedReceiptFields(userEmail, emailId, emailReceipt),
+            ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates),
+            subject: stripHeaderBreaks(subject) || null,
+            sender: stripHeaderBreaks(from) || null,
+            forwardStatus: receiptLedger.FORWARD_STATUS.FORWARDED,
+            forwardedAt: new Date().toISOString(),
+            forwardRecipient: result.recipient
+        };
+        const ledgerEntry = emailId
+            ? receiptLedger.upsertReceiptByMessageId(userEmail, emailId, forwardRecord)
+            : receiptLedger.addReceipt(userEmail, { ...forwardRecord, source: 'email' });
         
-        if (!emailId) {
-            return res.status(400).json({ error: 'Email ID required' });
+        res.json({
+            success: true,
+            emailId: emailId || null,
+            receiptId: ledgerEntry.id,
+            messageId: result.messageId,
+            recipient: result.recipient,
+            method: result.method,
+            duplicates: duplicateCheck.duplicates
+        });
+
+    } catch (error) {
+        console.error('Error forwarding to Airbase:', error);
+        const status = error.code || error.response?.status;
+        if (status === 404) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+        if (isGmailRateLimitError(error)) {
+            return res.status(429).json({ success: false, error: 'Gmail rate limit reached, please try again later' });
         }
+        res.status(500).json({ success: false, ...sanitizeError(error) });
+    }
+});
 
-        console.log('Forwarding email ID:', emailId);
+// ===========================================
+// BACKGROUND EMAIL MONITORING
+// ===========================================
+
+// Limits mirror SECURITY_GUIDE.md; the extension checks every 10 minutes
+const MONITOR_CONFIG = {
+    MIN_INTERVAL_MS: 5 * 60 * 1000,       // Scheduled checks: 5 minute minimum
+    CATCHUP_MIN_INTERVAL_MS: 60 * 1000,   // Manual catch-up: 1 minute minimum
+    MAX_EMAILS: 100,
+    SECURE_MAX_EMAILS: 20,                // securityMode: the guide's per-check limit
+    MAX_LOOKBACK_DAYS: 30,
+    CONFIDENCE_THRESHOLD: 70,
+    MAX_TRACKED_IDS: 500
+};
+
+// Incremental monitor called by SecureEmailMonitor in background.js
+app.post('/monitor-emails', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const isCatchup = req.body.isCatchup === true;
+        // The extension always asks for security mode; only an explicit false opts out
+        const securityMode = req.body.securityMode !== false;
+        const now = Date.now();
+
+        // Throttle per session; waitTime is in seconds
+        const minInterval = isCatchup ? MONITOR_CONFIG.CATCHUP_MIN_INTERVAL_MS : MONITOR_CONFIG.MIN_INTERVAL_MS;
+        const lastCheck = req.session.lastMonitorCheck || 0;
+        if (now - lastCheck < minInterval) {
+            const waitTime = Math.ceil((minInterval - (now - lastCheck)) / 1000);
+            console.log(`⏳ Monitor check throttled, retry in ${waitTime}s`);
+            return res.status(429).json({
+                error: 'Email check requested too soon, please wait',
+                waitTime: waitTime
+            });
+        }
+
+        const since = parseMonitorSince(req.body.since, now);
+        const maxEmails = Math.min(
+            Math.max(parseInt(req.body.maxEmails, 10) || 20, 1),
+            securityMode ? MONITOR_CONFIG.SECURE_MAX_EMAILS : MONITOR_CONFIG.MAX_EMAILS
+        );
+
+        console.log(`\n=== EMAIL MONITOR (${isCatchup ? 'catch-up' : 'scheduled'}${securityMode ? ', security mode' : ''}) ===`);
+        console.log(`Since: ${new Date(since).toISOString()}`);
+        console.log(`Max emails: ${maxEmails}`);
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+
+        const recipient = await getAirbaseRecipient(req, gmail);
+        if (!recipient) {
+            return res.status(400).json({
+                success: false,
+                processedCount: 0,
+                error: 'No Airbase recipient configured. Set your receipt inbox in Settings.',
+                code: 'RECIPIENT_NOT_CONFIGURED'
+            });
+        }
+
+        // Gmail accepts epoch seconds for after:, which keeps checks incremental
+        const query = [
+            `after:${Math.floor(since / 1000)}`,
+            '(subject:"receipt" OR subject:"order" OR subject:"invoice" OR subject:"confirmation" OR subject:"payment")',
+            '-in:sent',
+            '-label:spam',
+            '-label:trash'
+        ].join(' ');
 
-        oauth2Client.setCredentials(req.session.googleTokens);
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        console.log('Monitor query:', query);
 
-        // Get the original email
-        const messageDetails = await gmail.users.messages.get({
+        const searchResponse = await gmail.users.messages.list({
             userId: 'me',
-            id: emailId,
-            format: 'raw'
+            q: query,
+            maxResults: maxEmails
         });
 
-        const rawEmail = messageDetails.data.raw;
-        const emailBuffer = Buffer.from(rawEmail, 'base64');
-        const emailContent = emailBuffer.toString();
+        const messages = searchResponse.data.messages || [];
+        console.log(`Found ${messages.length} candidate emails`);
 
-        // Modify headers for Airbase
-        const lines = emailContent.split('\n');
-        const newLines = [];
-        let inHeaders = true;
-        let foundTo = false;
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const learned = learnedRules.getUserRules(userEmail);
+        const seenIds = new Set(req.session.monitoredEmailIds || []);
+        const filter = new EmailReceiptFilter(vendorRegistry.getRegistry());
+        const results = [];
+        let processedCount = 0;
+        let skippedCount = 0;
+        let filedCount = 0;
+
+        // An id counts as seen once it is settled - not a receipt, a blocked
+        // duplicate or forwarded. A failed forward stays unseen and is retried
+        // on the next check.
+        const rememberSeenIds = () => {
+            req.session.monitoredEmailIds = [...seenIds].slice(-MONITOR_CONFIG.MAX_TRACKED_IDS);
+        };
 
-        for (const line of lines) {
-            if (inHeaders && line.trim() === '') {
-                if (!foundTo) {
-                    newLines.push('To: adrienne.caffarel-sourcegraph@airbase.com');
-                }
-                newLines.push('');
-                inHeaders = false;
+        for (const message of messages) {
+            if (seenIds.has(message.id) || receiptLedger.hasForwardedMessage(userEmail, message.id)) {
+                skippedCount++;
                 continue;
             }
 
-            if (inHeaders) {
-                if (line.toLowerCase().startsWith('to:')) {
-                    newLines.push('To: adrienne.caffarel-sourcegraph@airbase.com');
-                    foundTo = true;
-                } else if (line.toLowerCase().startsWith('subject:')) {
-                    newLines.push(line);
-                } else if (!line.toLowerCase().startsWith('bcc:') && 
-                          !line.toLowerCase().startsWith('cc:')) {
-                    newLines.push(line);
+            let receiptRecord = null;
+            try {
+                const messageDetails = await gmail.users.messages.get({
+                    userId: 'me',
+                    id: message.id
+                });
+
+                const msg = messageDetails.data;
+                const subject = getHeader(msg.payload.headers, 'Subject') || '';
+                const sender = getHeader(msg.payload.headers, 'From') || '';
+                const date = getHeader(msg.payload.headers, 'Date') || '';
+                const body = extractEmailContent(msg.payload).text;
+
+                const classification = await filter.filterEmail({
+                    messageId: message.id,
+                    subject,
+                    // Filter sender patterns expect a bare address
+                    sender: extractEmailAddress(sender),
+                    body,
+                    date
+                });
+
+                if (!classification.isReceipt || classification.confidence < MONITOR_CONFIG.CONFIDENCE_THRESHOLD) {
+                    seenIds.add(message.id);
+                    console.log(`  ⏭️ ${message.id}: not a receipt (confidence ${classification.confidence})`);
+                    results.push({
+                        messageId: message.id,
+                        isReceipt: false,
+                        confidence: classification.confidence,
+                        forwarded: false
+                    });
+                    continue;
                 }
-            } else {
-                newLines.push(line);
+
+                // The same receipt already forwarded from another email - no override
+                // for automatic forwarding, the user can forward it by hand
+                const emailReceipt = { text: body, ...describeEmailReceipt(body, sender, date, learned) };
+                const fingerprint = duplicateDetector.fingerprintReceipt(emailReceipt);
+                const duplicateCheck = duplicateDetector.checkDuplicates(userEmail, fingerprint, {
+                    scope: 'forwarded',
+                    excludeMessageId: message.id
+                });
+                if (duplicateCheck.blocked) {
+                    seenIds.add(message.id);
+                    console.log(`  ⏭️ ${message.id}: duplicate of ${duplicateCheck.duplicates[0].receiptId}, not forwarded`);
+                    results.push({
+                        messageId: message.id,
+                        isReceipt: true,
+                        vendor: classification.vendor,
+                        confidence: classification.confidence,
+                        forwarded: false,
+                        duplicateBlocked: true,
+                        duplicates: duplicateCheck.duplicates
+                    });
+                    continue;
+                }
+
+                receiptRecord = {
+                    ...forwardedReceiptFields(userEmail, message.id, emailReceipt),
+                    ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates),
+                    subject,
+                    sender
+                };
+
+                const forwardResult = await forwardMessageToAirbase(gmail, message.id, recipient);
+                processedCount++;
+                seenIds.add(message.id);
+
+                // Filed after the forward, so a retried forward never files twice
+                const filed = await fileMonitoredReceipt(gmail, userClient, userEmail, message.id, msg.payload, emailReceipt);
+                if (filed) filedCount++;
+
+                const ledgerEntry = receiptLedger.upsertReceiptByMessageId(userEmail, message.id, {
+                    ...receiptRecord,
+                    ...(filed ? { filename: filed.filename, ...receiptStorage.storageFields(filed.storedFile) } : {}),
+                    forwardStatus: receiptLedger.FORWARD_STATUS.FORWARDED,
+                    forwardedAt: new Date().toISOString(),
+                    forwardRecipient: forwardResult.recipient
+                });
+                if (filed) {
+                    await receiptSummary.recordReceipt(userEmail, ledgerEntry, userClient);
+                }
+
+                console.log(`  ✅ ${message.id}: ${classification.vendor} receipt forwarded${filed ? ` and filed as ${filed.filename}` : ''} (${classification.confidence}%)`);
+                results.push({
+                    messageId: message.id,
+                    isReceipt: true,
+                    vendor: classification.vendor,
+                    confidence: classification.confidence,
+                    forwarded: true,
+                    forwardedMessageId: forwardResult.messageId,
+                    filename: filed ? filed.filename : null,
+                    duplicates: duplicateCheck.duplicates
+                });
+
+            } catch (error) {
+                // Gmail quota errors should stop the run and surface as a 429;
+                // what was settled so far stays seen
+                if (isGmailRateLimitError(error)) {
+                    rememberSeenIds();
+                    throw error;
+                }
+                console.error(`Error monitoring message ${message.id}:`, error.message);
+                if (receiptRecord) {
+                    receiptLedger.upsertReceiptByMessageId(userEmail, message.id, {
+                        ...receiptRecord,
+                        forwardStatus: receiptLedger.FORWARD_STATUS.FAILED
+                    });
+                }
+                results.push({
+                    messageId: message.id,
+                    forwarded: false,
+                    error: sanitizeError(error).error
+                });
             }
         }
 
-        const modifiedEmail = newLines.join('\n');
-        
-        const encodedEmail = Buffer.from(modifiedEmail).toString('base64')
-            .replace(/\+/g, '-')
-            .replace(/\//g, '_')
-            .replace(/=+$/, '');
+        // Keep only the most recent IDs to bound session size
+        rememberSeenIds();
+        // Only a finished run moves the throttle window
+        req.session.lastMonitorCheck = now;
 
-        // Send the modified email
-        const result = await gmail.users.messages.send({
-            userId: 'me',
-            requestBody: {
-                raw: encodedEmail
+        console.log(`=== MONITOR COMPLETE: ${processedCount} forwarded, ${filedCount} filed, ${skippedCount} already seen ===`);
+
+        res.json({
+            success: true,
+            processedCount: processedCount,
+            filedCount: filedCount,
+            checkedCount: messages.length - skippedCount,
+            skippedCount: skippedCount,
+            since: since,
+            isCatchup: isCatchup,
+            securityMode: securityMode,
+            results: results
+        });
+
+    } catch (error) {
+        if (isGmailRateLimitError(error)) {
+            console.warn('Gmail rate limit hit during monitor check');
+            return res.status(429).json({
+                error: 'Gmail rate limit reached, please try again later',
+                waitTime: Math.ceil(MONITOR_CONFIG.MIN_INTERVAL_MS / 1000)
+            });
+        }
+        console.error('Email monitor error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// USER SETTINGS
+// ===========================================
+
+// What the popup sees - templates filled in with the server defaults
+function publicSettings(userEmail, settings) {
+    return {
+        airbaseRecipient: settings.airbaseRecipient,
+        filenameTemplate: settings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE,
+        defaultFilenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+        driveFolderTemplate: settings.driveFolderTemplate || googleDrive.DEFAULT_FOLDER_TEMPLATE,
+        defaultDriveFolderTemplate: googleDrive.DEFAULT_FOLDER_TEMPLATE,
+        driveFolderId: settings.driveFolderId,
+        driveSharedDriveId: settings.driveSharedDriveId,
+        projectCode: settings.projectCode,
+        summarySpreadsheet: !!settings.summarySpreadsheet,
+        // The backend in use - the server default until the user picks one
+        storageBackend: receiptStorage.getStorageBackend(userEmail),
+        storageBackends: receiptStorage.listStorageBackends()
+    };
+}
+
+// Get settings for the authenticated user
+app.get('/settings', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const settings = getUserSettings(userEmail);
+
+        res.json({
+            success: true,
+            userEmail: userEmail,
+            settings: publicSettings(userEmail, settings)
+        });
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Update settings for the authenticated user
+app.post('/settings', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const updates = {};
+
+        if (req.body.airbaseRecipient !== undefined) {
+            const recipient = sanitizeEmail(req.body.airbaseRecipient);
+            if (!recipient) {
+                return res.status(400).json({ error: 'Airbase recipient must be a valid email address' });
+            }
+            updates.airbaseRecipient = recipient;
+        }
+
+        // Templates and ids: empty (or the default itself) goes back to the server default
+        const optionalSettings = [
+            ['filenameTemplate', template => validateTemplate(template), DEFAULT_FILENAME_TEMPLATE],
+            ['driveFolderTemplate', googleDrive.validateFolderTemplate, googleDrive.DEFAULT_FOLDER_TEMPLATE],
+            ['driveFolderId', googleDrive.validateDriveId],
+            ['driveSharedDriveId', googleDrive.validateDriveId],
+            ['projectCode', code => (/^[\w .-]{1,50}$/.test(code) ? null : 'Project code must be at most 50 letters, digits, spaces, - . or _')]
+        ];
+        for (const [name, validate, defaultValue] of optionalSettings) {
+            if (req.body[name] === undefined) continue;
+            const value = typeof req.body[name] === 'string' ? req.body[name].trim() : req.body[name];
+            if (!value || value === defaultValue) {
+                updates[name] = null;
+                continue;
+            }
+            const settingError = typeof value === 'string' ? validate(value) : `${name} must be a string`;
+            if (settingError) {
+                return res.status(400).json({ error: settingError });
             }
+            updates[name] = value;
+        }
+
+        if (req.body.storageBackend !== undefined) {
+            const storageError = receiptStorage.validateStorageBackend(req.body.storageBackend);
+            if (storageError) {
+                return res.status(400).json({ error: storageError });
+            }
+            updates.storageBackend = req.body.storageBackend;
+        }
+
+        if (req.body.summarySpreadsheet !== undefined) {
+            if (typeof req.body.summarySpreadsheet !== 'boolean') {
+                return res.status(400).json({ error: 'summarySpreadsheet must be true or false' });
+            }
+            updates.summarySpreadsheet = req.body.summarySpreadsheet;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No settings provided' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const previousLayout = googleDrive.getDriveLayout(userEmail);
+        const settings = updateUserSettings(userEmail, updates);
+        const layoutChanged = JSON.stringify(googleDrive.getDriveLayout(userEmail)) !== JSON.stringify(previousLayout);
+        if (layoutChanged) {
+            googleDrive.forgetFolders(userEmail);
+        }
+
+        console.log(`⚙️ Settings updated for ${userEmail}: ${Object.keys(updates).join(', ')}`);
+
+        res.json({
+            success: true,
+            userEmail: userEmail,
+            settings: publicSettings(userEmail, settings),
+            // Receipts already in Drive stay put until POST /drive/reorganize
+            layoutChanged
         });
 
-        console.log('Email forwarded to Airbase successfully!');
-        console.log('Message ID:', result.data.id);
-        
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// DRIVE RE-ORGANIZE
+// ===========================================
+
+// Move the user's filed receipts into the folders their current layout puts
+// them in. The job runs in the background on the request's own client.
+app.post('/drive/reorganize', strictLimiter, async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+
+        const job = googleDrive.startReorganize(userClient, userEmail);
+
+        res.status(202).json({ success: true, job });
+
+    } catch (error) {
+        console.error('Drive re-organize error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+app.get('/drive/reorganize', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+
+        res.json({ success: true, job: googleDrive.getReorganizeStatus(userEmail) });
+
+    } catch (error) {
+        console.error('Drive re-organize status error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// RECEIPT EXPORT
+// ===========================================
+
+// Export the authenticated user's receipt ledger as CSV, XLSX or QuickBooks IIF
+app.get('/export', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!receiptExport.EXPORT_FORMATS[format]) {
+            return res.status(400).json({ 
+                error: `Unsupported format. Use one of: ${Object.keys(receiptExport.EXPORT_FORMATS).join(', ')}` 
+            });
+        }
+
+        const range = receiptExport.parseDateRange(req.query.from, req.query.to);
+        if (!range) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+        const { from, to } = range;
+
+        const columns = receiptExport.parseColumns(req.query.columns);
+        if (!columns) {
+            return res.status(400).json({ 
+                error: `Unknown column. Available: ${Object.keys(receiptExport.EXPORT_COLUMNS).join(', ')}` 
+            });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+
+        const receipts = receiptLedger.listReceipts(userEmail, { from, to });
+        const file = receiptExport.buildExport(receipts, {
+            format,
+            columns,
+            iifAccount: req.query.iifAccount ? String(req.query.iifAccount) : null
+        });
+
+        const filename = `receipts_${from || 'all'}_to_${to || 'now'}.${file.extension}`;
+        console.log(`Exporting ${receipts.length} receipts as ${format}`);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// RECEIPT CORRECTIONS & LEARNED RULES
+// ===========================================
+
+// Recent receipts for the popup's review list
+app.get('/receipts', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const receipts = receiptLedger.listReceipts(userEmail, { limit })
+            .map(({ extractionLabels, ...receipt }) => receipt);
+
+        res.json({ success: true, count: receipts.length, receipts });
+
+    } catch (error) {
+        console.error('List receipts error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Fix a receipt's vendor, amount or date - the fix is learned for next time
+app.patch('/receipts/:id', strictLimiter, async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const validationError = learnedRules.validateCorrection(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const result = learnedRules.correctReceipt(userEmail, req.params.id, req.body);
+        if (!result) {
+            return res.status(404).json({ error: 'Receipt not found' });
+        }
+
+        const { extractionLabels, ...receipt } = result.receipt;
+        res.json({ success: true, receipt, corrections: result.corrections, learned: result.learned });
+
+    } catch (error) {
+        console.error('Correct receipt error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Rules learned from the user's corrections
+app.get('/learned-rules', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const rules = learnedRules.getUserRules(userEmail);
+
+        res.json({ success: true, count: rules.length, rules });
+
+    } catch (error) {
+        console.error('List learned rules error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+app.delete('/learned-rules/:id', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        if (!learnedRules.revokeRule(userEmail, req.params.id)) {
+            return res.status(404).json({ error: 'Learned rule not found' });
+        }
+
+        console.log(`🧠 Learned rule ${req.params.id} revoked for ${userEmail}`);
+        res.json({ success: true, revoked: req.params.id });
+
+    } catch (error) {
+        console.error('Revoke learned rule error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// REVIEW QUEUE
+// ===========================================
+
+// Receipts parked for review (missing fields or totals that don't add up)
+app.get('/review-queue', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const items = reviewQueue.listPending(userEmail);
+
+        res.json({ success: true, count: items.length, items });
+
+    } catch (error) {
+        console.error('List review queue error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// PDF preview of a parked receipt (emails parked by the Gmail scan have text only)
+app.get('/review-queue/:id/pdf', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const pdfBuffer = reviewQueue.getItemPdf(userEmail, req.params.id);
+        if (!pdfBuffer) {
+            return res.status(404).json({ error: 'No preview for this review item' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'inline; filename="receipt-preview.pdf"');
+        res.send(pdfBuffer);
+
+    } catch (error) {
+        console.error('Review preview error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Confirm a parked receipt (optionally with edited vendor/amount/receiptDate):
+// name it, file the PDF to Drive, record it and forward it to Airbase
+app.post('/review-queue/:id/confirm', strictLimiter, async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const validationError = reviewQueue.validateConfirmation(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        const resolved = reviewQueue.resolveItem(userEmail, req.params.id, req.body);
+        if (!resolved) {
+            return res.status(404).json({ error: 'Review item not found' });
+        }
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
+        }
+
+        const { item, fields } = resolved;
+        const references = extractReferences(item.text);
+        const filename = buildReceiptFilename(userEmail, { ...fields, ...references }, { excludeMessageId: item.messageId });
+        const pdfBuffer = reviewQueue.getItemPdf(userEmail, item.id);
+
+        // This one files and forwards, so anything already filed or forwarded counts
+        const fingerprint = duplicateDetector.fingerprintReceipt({
+            ...fields, orderNumber: references.orderNumber, fileBuffer: pdfBuffer, text: item.text, perceptualHash: item.perceptualHash
+        });
+        const duplicateCheck = duplicateDetector.checkDuplicates(userEmail, fingerprint, {
+            scope: 'any',
+            excludeMessageId: item.messageId,
+            allowDuplicate: allowsDuplicate(req)
+        });
+        if (duplicateCheck.blocked) {
+            return res.status(409).json({
+                error: 'This receipt looks like one already filed',
+                code: 'DUPLICATE_RECEIPT',
+                duplicates: duplicateCheck.duplicates
+            });
+        }
+
+        let storedFile = null;
+        if (pdfBuffer) {
+            storedFile = await receiptStorage.storeReceipt(pdfBuffer, filename, {
+                userEmail,
+                receipt: { ...fields, ...references, source: item.source, messageId: item.messageId },
+                auth: userClient
+            });
+        }
+
+        // Forward when the user has an Airbase inbox; a failed forward doesn't undo the filing
+        let forwardResult = null;
+        const recipient = await getAirbaseRecipient(req, gmail);
+        if (recipient && (item.messageId || pdfBuffer)) {
+            try {
+                forwardResult = item.messageId
+                    ? await forwardMessageToAirbase(gmail, item.messageId, recipient)
+                    : await forwardPdfToAirbase(gmail, { subject: item.subject || filename, filename, pdfBuffer }, recipient);
+            } catch (forwardError) {
+                console.error('Forward after review failed:', forwardError);
+                forwardResult = { error: forwardError.message };
+            }
+        }
+
+        const forwarded = !!(forwardResult && !forwardResult.error);
+        const ledgerData = {
+            source: item.source,
+            vendor: fields.vendor,
+            amount: fields.amount,
+            currency: fields.currency,
+            homeAmount: currency.convertToHomeCurrency(fields.amount, fields.currency)?.amount,
+            receiptDate: fields.receiptDate,
+            filename,
+            originalFilename: item.originalFilename,
+            subject: item.subject,
+            sender: item.sender,
+            ...receiptStorage.storageFields(storedFile),
+            forwardStatus: forwarded
+                ? receiptLedger.FORWARD_STATUS.FORWARDED
+                : forwardResult ? receiptLedger.FORWARD_STATUS.FAILED : receiptLedger.FORWARD_STATUS.NOT_FORWARDED,
+            forwardedAt: forwarded ? new Date().toISOString() : null,
+            forwardRecipient: forwarded ? forwardResult.recipient : null,
+            extractionLabels: item.extractionLabels,
+            ...referenceFields(references),
+            ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates)
+        };
+        const ledgerEntry = item.messageId
+            ? receiptLedger.upsertReceiptByMessageId(userEmail, item.messageId, ledgerData)
+            : receiptLedger.addReceipt(userEmail, ledgerData);
+        await receiptSummary.recordReceipt(userEmail, ledgerEntry, userClient);
+        const learned = reviewQueue.confirmItem(userEmail, item, fields);
+
+        console.log(`✅ Review item ${item.id} confirmed as ${filename}`);
         res.json({
             success: true,
-            messageId: result.data.id,
-            recipient: 'adrienne.caffarel-sourcegraph@airbase.com'
+            filename,
+            receiptId: ledgerEntry.id,
+            storage: storedFile,
+            forwarded,
+            learned,
+            duplicates: duplicateCheck.duplicates
         });
 
     } catch (error) {
-        console.error('Error forwarding to Airbase:', error);
+        console.error('Confirm review item error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Discard a parked receipt without filing it
+app.delete('/review-queue/:id', async (req, res) => {
+    try {
+        if (!req.session.googleTokens) {
+            return res.status(401).json({ error: 'Not authenticated with Google' });
+        }
+
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
+        const userEmail = await getSessionUserEmail(req, gmail);
+        if (!reviewQueue.removeItem(userEmail, req.params.id)) {
+            return res.status(404).json({ error: 'Review item not found' });
+        }
+
+        res.json({ success: true, discarded: req.params.id });
+
+    } catch (error) {
+        console.error('Discard review item error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// ===========================================
+// VENDOR REGISTRY
+// ===========================================
+
+// Accounts allowed to edit the vendor registry (comma-separated Google emails)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// The shared vendor registry - public, the extensions load it on startup
+app.get('/vendors', (req, res) => {
+    res.json({ success: true, ...vendorRegistry.getRegistry() });
+});
+
+async function isAdminRequest(req) {
+    if (!req.session.googleTokens) return false;
+    const userClient = createUserClient(req.session.googleTokens);
+    const gmail = google.gmail({ version: 'v1', auth: userClient });
+    const userEmail = await getSessionUserEmail(req, gmail);
+    return ADMIN_EMAILS.includes(userEmail);
+}
+
+// Add a vendor (or replace the one with the same id) without a deploy
+app.post('/admin/vendors', strictLimiter, async (req, res) => {
+    try {
+        if (!(await isAdminRequest(req))) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        const validationError = vendorRegistry.validateVendor(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const vendor = vendorRegistry.saveVendor(req.body);
+        const { version, revision } = vendorRegistry.getRegistry();
+        console.log(`🏪 Vendor registry: saved ${vendor.id} (revision ${revision})`);
+
+        res.json({ success: true, vendor, version, revision });
+
+    } catch (error) {
+        console.error('Save vendor error:', error);
+        res.status(500).json(sanitizeError(error));
+    }
+});
+
+// Remove a vendor from the registry
+app.delete('/admin/vendors/:id', strictLimiter, async (req, res) => {
+    try {
+        if (!(await isAdminRequest(req))) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        if (!vendorRegistry.removeVendor(req.params.id)) {
+            return res.status(404).json({ error: 'Vendor not found' });
+        }
+
+        const { version, revision } = vendorRegistry.getRegistry();
+        console.log(`🏪 Vendor registry: removed ${req.params.id} (revision ${revision})`);
+
+        res.json({ success: true, version, revision });
+
+    } catch (error) {
+        console.error('Remove vendor error:', error);
         res.status(500).json(sanitizeError(error));
     }
 });
@@ -386,7 +1300,8 @@ app.get('/auth/google', (req, res) => {
         access_type: 'offline',
         scope: [
             'https://www.googleapis.com/auth/gmail.readonly',
-            'https://www.googleapis.com/auth/gmail.send'
+            'https://www.googleapis.com/auth/gmail.send',
+            'https://www.googleapis.com/auth/drive.file'
         ],
         prompt: 'consent'
     });
@@ -399,7 +1314,6 @@ app.get('/auth/google/callback', async (req, res) => {
     try {
         console.log('🔐 CALLBACK: Received auth code, exchanging for tokens...');
         const { tokens } = await oauth2Client.getToken(code);
-        oauth2Client.setCredentials(tokens);
         req.session.googleTokens = tokens;
         console.log('🔐 CALLBACK: Tokens saved to session:', !!tokens.access_token);
         console.log('🔐 CALLBACK: Session ID:', req.sessionID);
@@ -546,8 +1460,8 @@ app.get('/debug/gmail-test', strictLimiter, async (req, res) => {
 
         console.log('🔍 Testing Gmail connection...');
         
-        oauth2Client.setCredentials(req.session.googleTokens);
-        const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+        const userClient = createUserClient(req.session.googleTokens);
+        const gmail = google.gmail({ version: 'v1', auth: userClient });
 
         // Test basic Gmail access
         const profile = await gmail.users.getProfile({ userId: 'me' });
@@ -590,33 +1504,198 @@ function getHeader(headers, name) {
     return header ? header.value : null;
 }
 
-function extractEmailHTML(payload) {
-    let htmlContent = '';
+// Resolve (and cache in the session) the Google account behind this session
+async function getSessionUserEmail(req, gmail) {
+    if (req.session.userEmail) {
+        return req.session.userEmail;
+    }
 
-    function searchParts(parts) {
-        if (!parts) return;
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    req.session.userEmail = profile.data.emailAddress.toLowerCase();
+    return req.session.userEmail;
+}
 
-        for (const part of parts) {
-            if (part.mimeType === 'text/html' && part.body && part.body.data) {
-                const decoded = Buffer.from(part.body.data, 'base64url').toString('utf-8');
-                htmlContent += decoded;
-            }
-            if (part.parts) {
-                searchParts(part.parts);
-            }
-        }
+// The configured Airbase inbox for the session's user, or null if not set
+async function getAirbaseRecipient(req, gmail) {
+    const userEmail = await getSessionUserEmail(req, gmail);
+    return sanitizeEmail(getUserSettings(userEmail).airbaseRecipient) || null;
+}
+
+// The user's "file it anyway" override for a blocked duplicate
+function allowsDuplicate(req) {
+    const value = req.query.allowDuplicate !== undefined ? req.query.allowDuplicate : (req.body || {}).allowDuplicate;
+    return value === true || value === 'true';
+}
+
+// Forward a Gmail message to Airbase by re-sending its raw MIME with rewritten recipients
+async function forwardMessageToAirbase(gmail, emailId, recipient) {
+    // Get the original email
+    const messageDetails = await gmail.users.messages.get({
+        userId: 'me',
+        id: emailId,
+        format: 'raw'
+    });
+
+    // latin1 round-trips every byte, so 8bit bodies and attachments survive untouched
+    const emailContent = Buffer.from(messageDetails.data.raw, 'base64').toString('latin1');
+    const modifiedEmail = rewriteForwardHeaders(emailContent, recipient);
+
+    const result = await sendRawEmail(gmail, Buffer.from(modifiedEmail, 'latin1'));
+
+    return {
+        messageId: result.data.id,
+        recipient,
+        method: 'raw'
+    };
+}
+
+// Forward email content supplied by the client when no Gmail message is available
+async function forwardContentToAirbase(gmail, { subject, from, date, body }, recipient) {
+    const cleanSubject = stripHeaderBreaks(subject) || 'Receipt';
+    const cleanFrom = stripHeaderBreaks(from) || 'Unknown Sender';
+    const cleanDate = stripHeaderBreaks(date) || new Date().toUTCString();
+
+    const forwardedHtml = [
+        '<div>---------- Forwarded message ---------<br>',
+        `From: ${validator.escape(cleanFrom)}<br>`,
+        `Date: ${validator.escape(cleanDate)}<br>`,
+        `Subject: ${validator.escape(cleanSubject)}<br><br></div>`,
+        body.substring(0, 5 * 1024 * 1024)
+    ].join('\r\n');
+
+    const message = [
+        `To: ${recipient}`,
+        `Subject: ${encodeHeaderValue('Fwd: ' + cleanSubject)}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from(forwardedHtml, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n')
+    ].join('\r\n');
+
+    const result = await sendRawEmail(gmail, Buffer.from(message, 'utf-8'));
+
+    return {
+        messageId: result.data.id,
+        recipient,
+        method: 'content'
+    };
+}
+
+// Send a reviewed upload (no Gmail message behind it) as a PDF attachment
+async function forwardPdfToAirbase(gmail, { subject, filename, pdfBuffer }, recipient) {
+    const boundary = `receipt_${Date.now().toString(36)}`;
+    const cleanFilename = stripHeaderBreaks(filename).replace(/"/g, '') || 'receipt.pdf';
+
+    const message = [
+        `To: ${recipient}`,
+        `Subject: ${encodeHeaderValue(stripHeaderBreaks(subject) || 'Receipt')}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        '',
+        `Receipt: ${cleanFilename}`,
+        `--${boundary}`,
+        `Content-Type: application/pdf; name="${encodeHeaderValue(cleanFilename)}"`,
+        `Content-Disposition: attachment; filename="${encodeHeaderValue(cleanFilename)}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        pdfBuffer.toString('base64').replace(/.{76}/g, '$&\r\n'),
+        `--${boundary}--`
+    ].join('\r\n');
+
+    const result = await sendRawEmail(gmail, Buffer.from(message, 'utf-8'));
+
+    return {
+        messageId: result.data.id,
+        recipient,
+        method: 'attachment'
+    };
+}
+
+// Replace recipients in a raw message; strips headers that would leak or break the resend
+function rewriteForwardHeaders(rawEmail, recipient) {
+    const separator = rawEmail.match(/\r?\n\r?\n/);
+    if (!separator) {
+        return `To: ${recipient}\r\n\r\n${rawEmail}`;
     }
 
-    if (payload.mimeType === 'text/html' && payload.body && payload.body.data) {
-        htmlContent = Buffer.from(payload.body.data, 'base64url').toString('utf-8');
-    } else {
-        searchParts(payload.parts || []);
+    const headerBlock = rawEmail.substring(0, separator.index);
+    const bodyBlock = rawEmail.substring(separator.index);
+    const newline = separator[0].startsWith('\r\n') ? '\r\n' : '\n';
+
+    // Split on line breaks that don't start a folded continuation line
+    const droppedHeaders = ['to', 'cc', 'bcc', 'delivered-to', 'return-path', 'dkim-signature'];
+    const headers = headerBlock.split(/\r?\n(?![ \t])/).filter(header => {
+        const name = header.substring(0, header.indexOf(':')).trim().toLowerCase();
+        return !droppedHeaders.includes(name);
+    });
+
+    headers.unshift(`To: ${recipient}`);
+    return headers.join(newline) + bodyBlock;
+}
+
+async function sendRawEmail(gmail, messageBuffer) {
+    const encodedEmail = messageBuffer.toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    return gmail.users.messages.send({
+        userId: 'me',
+        requestBody: {
+            raw: encodedEmail
+        }
+    });
+}
+
+function stripHeaderBreaks(value) {
+    if (!value || typeof value !== 'string') return '';
+    return value.replace(/[\r\n]+/g, ' ').trim().substring(0, 998);
+}
+
+// RFC 2047 encode non-ASCII header values
+function encodeHeaderValue(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+function extractEmailAddress(sender) {
+    const match = sender.match(/<([^>]+)>/);
+    return (match ? match[1] : sender).trim();
+}
+
+// Accepts epoch milliseconds or a date string, clamped to the lookback window
+function parseMonitorSince(since, now) {
+    const earliest = now - MONITOR_CONFIG.MAX_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+    const parsed = typeof since === 'number' ? since : new Date(since).getTime();
+
+    if (!since || isNaN(parsed)) {
+        return now - 24 * 60 * 60 * 1000; // Default: 24 hours ago
     }
+    return Math.min(Math.max(parsed, earliest), now);
+}
 
-    return htmlContent;
+function isGmailRateLimitError(error) {
+    const status = error.code || error.response?.status;
+    return status === 429 || (status === 403 && /rate limit/i.test(error.message || ''));
 }
 
-function extractVendorFromSender(sender) {
+function extractVendorFromSender(sender, learned) {
+    // Senders the user has named through a correction come first
+    const learnedVendor = learnedRules.matchSenderVendor(learned, sender);
+    if (learnedVendor) {
+        return learnedVendor;
+    }
+
+    // Known senders (subdomains included) come from the vendor registry
+    const registryVendor = vendorRegistry.findVendorBySender(sender);
+    if (registryVendor) {
+        return registryVendor.name;
+    }
+
     const emailMatch = sender.match(/@([^>.\s]+\.[^>.\s]+)/);
     if (!emailMatch) return null;
     
@@ -628,21 +1707,6 @@ function extractVendorFromSender(sender) {
         return null;
     }
 
-    // Domain-to-vendor mapping
-    const domainMappings = {
-        'amazon.com': 'Amazon',
-        'target.com': 'Target',
-        'walmart.com': 'Walmart',
-        'doordash.com': 'DoorDash',
-        'uber.com': 'Uber',
-        'starbucks.com': 'Starbucks',
-        'paypal.com': 'PayPal'
-    };
-
-    if (domainMappings[domain]) {
-        return domainMappings[domain];
-    }
-
     // Fallback: extract company name from domain
     const companyName = domain.split('.')[0];
     if (companyName && companyName.length > 2) {
@@ -672,26 +1736,46 @@ function extractBasicVendor(text) {
     return null;
 }
 
-function extractBasicAmount(text) {
-    // Look for dollar amounts
+function extractBasicAmount(text, sender, vendor, learned) {
+    // €/£/¥ and "1.234,56" amounts are rewritten as plain $ amounts first
+    const normalized = currency.normalizeCurrencyText(text, { sender });
+
+    // A total label learned from the user's corrections for this vendor
+    const learnedAmount = learnedRules.matchLearnedAmount(learned, normalized.text, vendor);
+    if (learnedAmount) {
+        return currency.formatAmountLabel(learnedAmount.amount, normalized.currency);
+    }
+
+    // Vendors whose charged total carries a known label (registry amount hints)
+    const hinted = vendorRegistry.matchAmountHint(normalized.text, vendor);
+    if (hinted) {
+        return currency.formatAmountLabel(hinted.amount, normalized.currency);
+    }
+
     const amountPatterns = [
         /(?:Total|Amount|Charged)[:\s]*\$(\d+\.\d{2})/i,
         /\$(\d+\.\d{2})/g
     ];
 
     for (const pattern of amountPatterns) {
-        const match = text.match(pattern);
+        const match = normalized.text.match(pattern);
         if (match) {
             const amount = parseFloat(match[1] || match[0].replace('$', ''));
             if (amount > 0 && amount < 10000) {
-                return '$' + amount.toFixed(2);
+                return currency.formatAmountLabel(amount, normalized.currency);
             }
         }
     }
     return null;
 }
 
-function extractBasicDate(emailDate) {
+function extractBasicDate(emailDate, text, vendor, learned) {
+    // A date label learned from the user's corrections beats the header date
+    const learnedDate = learnedRules.matchLearnedDate(learned, text, vendor);
+    if (learnedDate) {
+        return learnedDate.date;
+    }
+
     if (!emailDate || emailDate === 'Unknown Date') {
         return new Date().toISOString().split('T')[0];
     }
@@ -707,6 +1791,89 @@ function extractBasicDate(emailDate) {
     }
 }
 
+// The fields scan-gmail extracts, with a plain-number amount as the ledger
+// keeps it, plus the order/invoice number and card digits
+function describeEmailReceipt(text, sender, emailDate, learned) {
+    const vendor = extractVendorFromSender(sender, learned) || extractBasicVendor(text);
+    const amount = extractBasicAmount(text, sender, vendor, learned);
+    return {
+        vendor,
+        amount: amount ? String(amount).replace(/[^\d.]/g, '') : null,
+        currency: currency.normalizeCurrencyText(text, { sender }).currency,
+        receiptDate: extractBasicDate(emailDate, text, vendor, learned),
+        ...referenceFields(extractReferences(text))
+    };
+}
+
+// A forwarded email as a receipt: the Gmail message when there is one, the
+// popup's copy otherwise (or when the message can't be fetched)
+async function describeForwardedEmail(gmail, emailId, { from, date, body }, learned) {
+    let text = typeof body === 'string' ? htmlToText(body) : '';
+    let sender = from || '';
+    let emailDate = date || '';
+
+    if (emailId) {
+        try {
+            const message = await gmail.users.messages.get({ userId: 'me', id: emailId });
+            const content = extractEmailContent(message.data.payload);
+            if (content.text) {
+                text = content.text;
+            }
+            sender = getHeader(message.data.payload.headers, 'From') || sender;
+            emailDate = getHeader(message.data.payload.headers, 'Date') || emailDate;
+        } catch (error) {
+            console.warn(`Could not fetch ${emailId} for duplicate check: ${error.message}`);
+        }
+    }
+
+    return { text, ...describeEmailReceipt(text, sender, emailDate, learned) };
+}
+
+// Extracted fields for a forward's ledger entry. A receipt scan-gmail already
+// recorded keeps its (possibly user-corrected) values and only gets the
+// reference numbers.
+function forwardedReceiptFields(userEmail, messageId, emailReceipt) {
+    const references = referenceFields(emailReceipt);
+    if (messageId && receiptLedger.findReceiptByMessageId(userEmail, messageId)) {
+        return references;
+    }
+    const { vendor, amount, currency, receiptDate } = emailReceipt;
+    return { vendor, amount, currency, receiptDate, ...references };
+}
+
+// File a monitored receipt's PDF attachment to the user's storage, named
+// like any other receipt. Cover emails without one are only forwarded -
+// this server doesn't render HTML; the Gmail scan files those. Returns
+// { filename, storedFile } or null; a failed filing never fails the forward.
+async function fileMonitoredReceipt(gmail, auth, userEmail, messageId, payload, emailReceipt) {
+    // Already filed by a Gmail scan
+    if (receiptLedger.hasProcessedMessage(userEmail, messageId)) {
+        return null;
+    }
+    const attachment = findReceiptAttachments(payload).find(candidate => candidate.kind === 'pdf');
+    if (!attachment) {
+        return null;
+    }
+
+    try {
+        const { text, ...fields } = emailReceipt;
+        const pdfBuffer = await fetchAttachment(gmail, messageId, attachment);
+        const filename = buildReceiptFilename(userEmail, fields, { excludeMessageId: messageId });
+        const storedFile = await receiptStorage.storeReceipt(pdfBuffer, filename, {
+            userEmail,
+            receipt: { ...fields, source: 'email', messageId },
+            auth
+        });
+        if (!storedFile || !storedFile.success) {
+            return null;
+        }
+        return { filename, storedFile };
+    } catch (error) {
+        console.error(`Could not file attachment of ${messageId}:`, error.message);
+        return null;
+    }
+}
+
 // ===========================================
 // ENVIRONMENT VALIDATION & SERVER START
 // ===========================================
@@ -727,7 +1894,7 @@ if (missingCriticalVars.length > 0) {
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Minimal server running on port ${PORT}`);
     console.log(`🔒 Security: ${isProduction ? 'Production' : 'Development'} mode`);
-    console.log(`📊 Features: Gmail search + Send-to-Airbase only`);
+    console.log(`📊 Features: Gmail search + Send-to-Airbase + background monitoring`);
     console.log(`🛡️  Rate limiting: ${limiter.max} requests per ${limiter.windowMs / 60000} minutes`);
     console.log('=== BACKEND SURGERY COMPLETE ===');
 });
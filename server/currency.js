@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+// Currency-aware amount parsing. Receipts come in as "$1,234.56", "€12,50",
+// "12,50 €", "1.234,56 EUR", "¥1,280", "CA$19.99"... everything is normalised
+// to { amount, currency } with an ISO 4217 code.
+
+const HOME_CURRENCY = (process.env.HOME_CURRENCY || 'USD').toUpperCase();
+
+// Local rate table: { "rates": { "EUR": 1.08, ... } } = home-currency units per 1 unit
+const CURRENCY_RATES_FILE = process.env.CURRENCY_RATES_FILE || path.join(__dirname, 'currency_rates.json');
+
+// Longest symbols first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['S$', 'SGD'],
+  ['R$', 'BRL'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['￥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['$', 'USD']
+];
+
+const ISO_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'INR', 'CNY', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK', 'MXN', 'BRL', 'KRW'];
+
+// Currencies without minor units - "¥1,280" is 1280, never 1.28
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+
+// Bare "$" is ambiguous; the sender's Amazon storefront settles it
+const SENDER_DOMAIN_CURRENCIES = [
+  [/\.ca$/i, 'CAD'],
+  [/\.com\.au$/i, 'AUD'],
+  [/\.co\.uk$/i, 'GBP'],
+  [/\.(de|fr|es|it|nl|ie)$/i, 'EUR'],
+  [/\.co\.jp$/i, 'JPY'],
+  [/\.in$/i, 'INR']
+];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegex(symbol)).join('|');
+// Dollar signs never trail the number, and allowing it would read "Item 5 $12.00" as $5
+const SUFFIX_SYMBOL_PATTERN = CURRENCY_SYMBOLS
+  .filter(([symbol]) => !symbol.includes('$'))
+  .map(([symbol]) => escapeRegex(symbol))
+  .join('|');
+const CODE_PATTERN = ISO_CODES.join('|');
+// Thousands separators: , . no-break/narrow spaces and the Swiss apostrophe
+const NUMBER_PATTERN = "\\d{1,3}(?:[.,'\\u00A0\\u202F]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+
+// Prefix form ("€ 12,50", "EUR 12.50", "-$5.00") or suffix form ("12,50 €", "100 EUR")
+const MONEY_REGEX = new RegExp(
+  `(-)?(?:(${SYMBOL_PATTERN})\\s?|\\b(${CODE_PATTERN})\\s?)(${NUMBER_PATTERN})(?!\\d)` +
+  `|(-)?\\b(${NUMBER_PATTERN})\\s?(?:(${SUFFIX_SYMBOL_PATTERN})|(${CODE_PATTERN})\\b(?!\\s?\\d))`,
+  'g'
+);
+
+function symbolToCurrency(symbol) {
+  const entry = CURRENCY_SYMBOLS.find(([candidate]) => candidate === symbol);
+  return entry ? entry[1] : null;
+}
+
+// "1.234,56" / "1,234.56" / "12,50" / "1,280" / "1'234.50" -> number.
+// When both separators appear the last one is the decimal point; a lone
+// separator followed by exactly three digits is a thousands separator.
+function parseLocaleNumber(raw, currency) {
+  const cleaned = String(raw).replace(/[\s'\u00A0\u202F]/g, '');
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+
+  let normalized;
+  if (lastDot >= 0 && lastComma >= 0) {
+    const decimalSeparator = lastDot > lastComma ? '.' : ',';
+    const thousandsSeparator = decimalSeparator === '.' ? ',' : '.';
+    normalized = cleaned.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const parts = cleaned.split(separator);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3 ||
+      ZERO_DECIMAL_CURRENCIES.includes(currency);
+    normalized = isThousands ? parts.join('') : parts.join('.');
+  } else {
+    normalized = cleaned;
+  }
+
+  const value = parseFloat(normalized);
+  return Number.isFinite(value) ? value : null;
+}
+
+function currencyForSender(sender) {
+  const domain = (String(sender || '').match(/@([^>\s]+)/) || [])[1] || '';
+  const entry = SENDER_DOMAIN_CURRENCIES.find(([pattern]) => pattern.test(domain));
+  return entry ? entry[1] : null;
+}
+
+// Every money amount in the text: [{ amount, currency, index, raw }]
+function findAmounts(text, options = {}) {
+  const dollarCurrency = options.dollarCurrency || 'USD';
+  const results = [];
+
+  for (const match of String(text || '').matchAll(MONEY_REGEX)) {
+    const [raw, prefixMinus, prefixSymbol, prefixCode, prefixNumber, suffixMinus, suffixNumber, suffixSymbol, suffixCode] = match;
+    const symbol = prefixSymbol || suffixSymbol;
+    let currency = prefixCode || suffixCode || symbolToCurrency(symbol);
+    if (symbol === '$') {
+      currency = dollarCurrency;
+    }
+
+    const amount = parseLocaleNumber(prefixNumber || suffixNumber, currency);
+    if (amount === null) continue;
+
+    results.push({
+      amount: prefixMinus || suffixMinus ? -amount : amount,
+      currency,
+      index: match.index,
+      raw
+    });
+  }
+
+  return results;
+}
+
+// Most frequent currency in the text (ties go to the first seen), or null
+function detectCurrency(text, options = {}) {
+  const counts = new Map();
+  findAmounts(text, options).forEach(({ currency }) => {
+    counts.set(currency, (counts.get(currency) || 0) + 1);
+  });
+
+  let best = null;
+  counts.forEach((count, currency) => {
+    if (best === null || count > counts.get(best)) {
+      best = currency;
+    }
+  });
+  return best;
+}
+
+// Rewrite every amount as "$1234.56" so the existing dollar-based extraction
+// patterns work on any currency. Returns { text, currency }.
+function normalizeCurrencyText(text, options = {}) {
+  const dollarCurrency = options.dollarCurrency || currencyForSender(options.sender) || 'USD';
+  const currency = detectCurrency(text, { dollarCurrency }) || dollarCurrency;
+
+  const normalized = String(text || '').replace(MONEY_REGEX, (...args) => {
+    const [raw] = args;
+    const [parsed] = findAmounts(raw, { dollarCurrency });
+    if (!parsed) return raw;
+    const sign = parsed.amount < 0 ? '-' : '';
+    return `${sign}$${Math.abs(parsed.amount).toFixed(2)}`;
+  });
+
+  return { text: normalized, currency };
+}
+
+function formatAmount(amount, currency) {
+  const decimals = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+  return parseFloat(amount).toFixed(decimals);
+}
+
+// Filename label: "$12.34" for USD (the existing convention), "EUR 12.34" otherwise
+function formatAmountLabel(amount, currency = 'USD') {
+  if (!currency || currency === 'USD') {
+    return `$${formatAmount(amount, 'USD')}`;
+  }
+  return `${currency} ${formatAmount(amount, currency)}`;
+}
+
+function loadRates() {
+  try {
+    if (fs.existsSync(CURRENCY_RATES_FILE)) {
+      return JSON.parse(fs.readFileSync(CURRENCY_RATES_FILE, 'utf8')).rates || {};
+    }
+  } catch (error) {
+    console.error('Error loading currency rates:', error);
+  }
+  return {};
+}
+
+// Convert using the local rate table; null when there's no rate for the currency
+function convertToHomeCurrency(amount, currency) {
+  const value = parseFloat(amount);
+  if (!Number.isFinite(value) || !currency) return null;
+
+  if (currency === HOME_CURRENCY) {
+    return { amount: value.toFixed(2), currency: HOME_CURRENCY, rate: 1 };
+  }
+
+  const rate = parseFloat(loadRates()[currency]);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return null;
+  }
+
+  return {
+    amount: (value * rate).toFixed(2),
+    currency: HOME_CURRENCY,
+    rate
+  };
+}
+
+module.exports = {
+  HOME_CURRENCY,
+  ISO_CODES,
+  parseLocaleNumber,
+  currencyForSender,
+  findAmounts,
+  detectCurrency,
+  normalizeCurrencyText,
+  formatAmount,
+  formatAmountLabel,
+  convertToHomeCurrency
+};
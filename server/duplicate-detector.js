@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const receiptLedger = require('./receipt-ledger');
+
+// Content-level duplicate detection across uploads, email scans and forwards.
+// Message-id dedup can't tell that an uploaded Amazon PDF and the Amazon
+// email are the same order; these fingerprints can. Strong matches (same
+// file, same text, same photo, same order number) block filing or forwarding
+// unless the caller overrides; a same vendor + amount within a few days is
+// only flagged, since two identical coffees in a week are normal.
+
+const DUPLICATE_REASONS = {
+  SAME_FILE: 'same_file',
+  SAME_TEXT: 'same_text',
+  SIMILAR_IMAGE: 'similar_image',
+  SAME_ORDER_NUMBER: 'same_order_number',
+  SAME_VENDOR_AMOUNT_DATE: 'same_vendor_amount_date'
+};
+
+const STRONG_REASONS = [
+  DUPLICATE_REASONS.SAME_FILE,
+  DUPLICATE_REASONS.SAME_TEXT,
+  DUPLICATE_REASONS.SIMILAR_IMAGE,
+  DUPLICATE_REASONS.SAME_ORDER_NUMBER
+];
+
+// Order date on the email vs delivery date on the invoice
+const DATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_DATE_WINDOW_DAYS || '3', 10);
+
+// Bits that may differ between two 64-bit photo hashes of the same receipt
+const MAX_IMAGE_HASH_DISTANCE = 6;
+
+// Shorter texts (a failed OCR, an empty PDF) would all hash alike
+const MIN_TEXT_LENGTH = 50;
+
+function hashFile(buffer) {
+  return buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null;
+}
+
+// Same words in the same order, regardless of spacing and case - catches a
+// PDF re-saved or re-exported from the same source
+function hashText(text) {
+  const normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (normalized.length < MIN_TEXT_LENGTH) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function normalizeOrderNumber(orderNumber) {
+  const normalized = String(orderNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+}
+
+function normalizeVendor(vendor) {
+  return String(vendor || '').trim().toLowerCase();
+}
+
+function hammingDistance(hexA, hexB) {
+  let distance = 0;
+  for (let i = 0; i < hexA.length; i++) {
+    let bits = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+function daysBetween(dateA, dateB) {
+  return Math.abs(new Date(dateA).getTime() - new Date(dateB).getTime()) / (24 * 60 * 60 * 1000);
+}
+
+// What a receipt is compared on. fileBuffer and text are hashed here; the
+// hashes (not the content) are what the ledger keeps.
+function fingerprintReceipt({ vendor, amount, currency, receiptDate, orderNumber, fileBuffer, text, perceptualHash }) {
+  return {
+    vendor: vendor || null,
+    amount: amount || null,
+    currency: currency || 'USD',
+    receiptDate: receiptDate || null,
+    orderNumber: normalizeOrderNumber(orderNumber),
+    contentHash: hashFile(fileBuffer),
+    textHash: hashText(text),
+    perceptualHash: perceptualHash || null
+  };
+}
+
+function matchReasons(fingerprint, receipt) {
+  const reasons = [];
+
+  if (fingerprint.contentHash && fingerprint.contentHash === receipt.contentHash) {
+    reasons.push(DUPLICATE_REASONS.SAME_FILE);
+  }
+  if (fingerprint.textHash && fingerprint.textHash === receipt.textHash) {
+    reasons.push(DUPLICATE_REASONS.SAME_TEXT);
+  }
+  if (fingerprint.perceptualHash && receipt.perceptualHash &&
+      hammingDistance(fingerprint.perceptualHash, receipt.perceptualHash) <= MAX_IMAGE_HASH_DISTANCE) {
+    reasons.push(DUPLICATE_REASONS.SIMILAR_IMAGE);
+  }
+
+  const sameVendor = fingerprint.vendor && receipt.vendor &&
+    normalizeVendor(fingerprint.vendor) === normalizeVendor(receipt.vendor);
+  const orderNumber = normalizeOrderNumber(receipt.orderNumber);
+  if (fingerprint.orderNumber && fingerprint.orderNumber === orderNumber &&
+      (sameVendor || !fingerprint.vendor || !receipt.vendor)) {
+    reasons.push(DUPLICATE_REASONS.SAME_ORDER_NUMBER);
+  }
+
+  if (sameVendor && fingerprint.amount && receipt.amount && fingerprint.receiptDate && receipt.receiptDate &&
+      (fingerprint.currency || 'USD') === (receipt.currency || 'USD') &&
+      Math.abs(parseFloat(fingerprint.amount) - parseFloat(receipt.amount)) < 0.005 &&
+      daysBetween(fingerprint.receiptDate, receipt.receiptDate) <= DATE_WINDOW_DAYS) {
+    reasons.push(DUPLICATE_REASONS.SAME_VENDOR_AMOUNT_DATE);
+  }
+
+  return reasons;
+}
+
+// Ledger entries this receipt duplicates, strongest first. scope picks what
+// counts as already done: 'filed' (has a filename), 'forwarded' or 'any'.
+// excludeMessageId skips the receipt's own Gmail message, which the ledger's
+// message-id dedup already handles; excludeId skips its own ledger entry.
+function findDuplicates(userEmail, fingerprint, { scope = 'filed', excludeMessageId, excludeId } = {}) {
+  const receipts = receiptLedger.listReceipts(userEmail).filter(receipt => {
+    if (receipt.id === excludeId) return false;
+    if (excludeMessageId && receipt.messageId === excludeMessageId) return false;
+    const filed = !!receipt.filename;
+    const forwarded = receipt.forwardStatus === receiptLedger.FORWARD_STATUS.FORWARDED;
+    if (scope === 'filed') return filed;
+    if (scope === 'forwarded') return forwarded;
+    return filed || forwarded;
+  });
+
+  return receipts
+    .map(receipt => {
+      const reasons = matchReasons(fingerprint, receipt);
+      return {
+        receiptId: receipt.id,
+        vendor: receipt.vendor,
+        amount: receipt.amount,
+        currency: receipt.currency,
+        receiptDate: receipt.receiptDate,
+        filename: receipt.filename,
+        forwardStatus: receipt.forwardStatus,
+        reasons,
+        strong: reasons.some(reason => STRONG_REASONS.includes(reason))
+      };
+    })
+    .filter(match => match.reasons.length > 0)
+    .sort((a, b) => Number(b.strong) - Number(a.strong) || b.reasons.length - a.reasons.length);
+}
+
+// The check the filing and forwarding paths run: blocked means stop (unless
+// the user said to go ahead anyway), otherwise any matches are just reported
+function checkDuplicates(userEmail, fingerprint, options = {}) {
+  const duplicates = findDuplicates(userEmail, fingerprint, options);
+  const blocked = !options.allowDuplicate && duplicates.some(match => match.strong);
+  if (duplicates.length > 0) {
+    console.log(`Possible duplicate of ${duplicates[0].receiptId} (${duplicates[0].reasons.join(', ')})${blocked ? ' - blocked' : ''}`);
+  }
+  return { duplicates, blocked };
+}
+
+// Fields to store on the ledger entry so later receipts are compared against
+// it. Empty ones are left out so an update doesn't wipe what a scan recorded.
+// The order number is stored as printed, with the other reference numbers
+// (receipt-references.js referenceFields).
+function ledgerFields(fingerprint, duplicates = []) {
+  const fields = {
+    contentHash: fingerprint.contentHash,
+    textHash: fingerprint.textHash,
+    perceptualHash: fingerprint.perceptualHash,
+    duplicateOf: duplicates.length > 0 ? duplicates[0].receiptId : null
+  };
+  Object.keys(fields).forEach(key => {
+    if (!fields[key]) delete fields[key];
+  });
+  return fields;
+}
+
+module.exports = {
+  DUPLICATE_REASONS,
+  hashFile,
+  hashText,
+  fingerprintReceipt,
+  findDuplicates,
+  checkDuplicates,
+  ledgerFields
+};
@@ -0,0 +1,83 @@
+const { getImageType } = require('./receipt-image');
+
+// Receipt attachments on a Gmail message - the PDF invoice a SaaS vendor,
+// hotel or airline attaches to an otherwise thin cover email, or a photo of
+// a paper receipt someone mailed in.
+const ATTACHMENT_CONFIG = {
+  // Smaller images are logos, signatures and tracking pixels
+  MIN_IMAGE_BYTES: 20 * 1024,
+  MAX_BYTES: 15 * 1024 * 1024,
+  MAX_ATTACHMENTS: 3
+};
+
+const RECEIPT_NAME_PATTERN = /invoice|receipt|folio|itinerary|bill|statement/i;
+
+function partHeader(part, name) {
+  const header = (part.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : '';
+}
+
+// 'pdf', 'image' or null. Some senders label PDFs application/octet-stream.
+function attachmentKind(part) {
+  const filename = part.filename || '';
+  if (part.mimeType === 'application/pdf' || (part.mimeType === 'application/octet-stream' && /\.pdf$/i.test(filename))) {
+    return 'pdf';
+  }
+  return getImageType(part.mimeType, filename) ? 'image' : null;
+}
+
+// Attachments worth parsing, best first: PDFs before photos, and ones named
+// like an invoice or receipt before the rest. Inline images (cid: logos in
+// the HTML body) are left out.
+function findReceiptAttachments(payload) {
+  const attachments = [];
+
+  function walk(part) {
+    if (!part) return;
+    (part.parts || []).forEach(walk);
+
+    const kind = attachmentKind(part);
+    const size = part.body?.size || 0;
+    if (!kind || !part.filename || (!part.body?.attachmentId && !part.body?.data)) return;
+    if (size > ATTACHMENT_CONFIG.MAX_BYTES) return;
+    if (kind === 'image') {
+      const inline = /^inline/i.test(partHeader(part, 'Content-Disposition')) || !!partHeader(part, 'Content-ID');
+      if (inline || size < ATTACHMENT_CONFIG.MIN_IMAGE_BYTES) return;
+    }
+
+    attachments.push({
+      filename: part.filename,
+      mimeType: kind === 'pdf' ? 'application/pdf' : part.mimeType,
+      kind,
+      size,
+      attachmentId: part.body.attachmentId || null,
+      data: part.body.data || null
+    });
+  }
+  walk(payload);
+
+  const rank = attachment => (attachment.kind === 'pdf' ? 0 : 2) + (RECEIPT_NAME_PATTERN.test(attachment.filename) ? 0 : 1);
+  return attachments
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, ATTACHMENT_CONFIG.MAX_ATTACHMENTS);
+}
+
+// The attachment's bytes - small ones come inline with the message,
+// the rest through the attachments API
+async function fetchAttachment(gmail, messageId, attachment) {
+  if (attachment.data) {
+    return Buffer.from(attachment.data, 'base64url');
+  }
+  const response = await gmail.users.messages.attachments.get({
+    userId: 'me',
+    messageId,
+    id: attachment.attachmentId
+  });
+  return Buffer.from(response.data.data, 'base64url');
+}
+
+module.exports = {
+  ATTACHMENT_CONFIG,
+  findReceiptAttachments,
+  fetchAttachment
+};
@@ -0,0 +1,231 @@
+const { htmlToText, plainTextToLines } = require('./html-text');
+
+// MIME walker shared by both servers' Gmail scanners (and the sample
+// harness). Turns a message into
+//   html      - something renderable for PDF generation: the HTML body, or
+//               the plain-text body escaped into a <pre>
+//   text      - clean text for extraction, one line per block or table row
+//   plainText - the text/plain body as sent (line breaks kept), or ''
+//   hasHtml   - whether the message had an HTML body at all
+// It handles text/plain-only receipts (payment processors send plenty),
+// quoted-printable, non-UTF-8 charsets, nested multipart/alternative,
+// multipart/related (cid: images are inlined when their bytes are at hand)
+// and forwarded message/rfc822 parts.
+
+function lowerHeaders(headers) {
+  const map = {};
+  (headers || []).forEach(({ name, value }) => {
+    map[name.toLowerCase()] = value;
+  });
+  return map;
+}
+
+function contentTypeParam(contentType, name) {
+  const match = (contentType || '').match(new RegExp(`${name}\\s*=\\s*"?([^";]+)"?`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+// windows-1252's 0x80-0x9F. Node's TextDecoder reads windows-1252 (and the
+// iso-8859-1/us-ascii labels that alias it) as Latin-1, so € and curly quotes
+// would come out as control characters.
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Unknown or missing charsets are read as UTF-8
+function decodeCharset(bytes, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+  const text = decoder.decode(bytes);
+  if (decoder.encoding !== 'windows-1252') {
+    return text;
+  }
+  return text.replace(/[\u0080-\u009f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+}
+
+function decodeQuotedPrintable(latin1) {
+  const decoded = latin1
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(decoded, 'latin1');
+}
+
+function decodeTransferEncoding(latin1, encoding) {
+  const transferEncoding = (encoding || '').toLowerCase();
+  if (transferEncoding === 'base64') {
+    return Buffer.from(latin1.replace(/\s+/g, ''), 'base64');
+  }
+  if (transferEncoding === 'quoted-printable') {
+    return decodeQuotedPrintable(latin1);
+  }
+  return Buffer.from(latin1, 'latin1');
+}
+
+// Gmail API payload -> { mimeType, headers, filename, bytes, parts }. Gmail
+// undoes the transfer encoding, but not always for quoted-printable bodies
+// it couldn't parse. Decoding again is only safe when the body is provably
+// still encoded: CRLF soft line breaks and nothing above 7 bits. A decoded
+// body can hold "=3D" or "=\n" legitimately (URLs, HTML attributes).
+function fromGmailPayload(part) {
+  const headers = lowerHeaders(part.headers);
+  let bytes = part.body?.data ? Buffer.from(part.body.data, 'base64url') : null;
+  if (bytes && /quoted-printable/i.test(headers['content-transfer-encoding'] || '')) {
+    const latin1 = bytes.toString('latin1');
+    if (/=\r\n/.test(latin1) && !/[\x80-\xff]/.test(latin1)) {
+      bytes = decodeQuotedPrintable(latin1);
+    }
+  }
+  return {
+    mimeType: (part.mimeType || 'text/plain').toLowerCase(),
+    headers,
+    filename: part.filename || '',
+    bytes,
+    parts: (part.parts || []).map(fromGmailPayload)
+  };
+}
+
+function parseRawHeaders(block) {
+  const headers = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Raw RFC 822 (an .eml file, or a message/rfc822 part) -> the same shape
+function parseRawMessage(raw) {
+  const latin1 = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const split = latin1.search(/\r?\n\r?\n/);
+  const headers = parseRawHeaders(split >= 0 ? latin1.slice(0, split) : latin1);
+  const body = split >= 0 ? latin1.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+  const contentType = headers['content-type'] || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const boundary = contentTypeParam(contentType, 'boundary');
+
+  const node = {
+    mimeType,
+    headers,
+    filename: contentTypeParam(headers['content-disposition'], 'filename') || contentTypeParam(contentType, 'name') || '',
+    bytes: null,
+    parts: []
+  };
+
+  if (mimeType.startsWith('multipart/') && boundary) {
+    node.parts = body.split(`--${boundary}`).slice(1)
+      .filter(child => !child.startsWith('--'))
+      .map(child => parseRawMessage(Buffer.from(child.replace(/^\r?\n/, ''), 'latin1')));
+  } else if (mimeType === 'message/rfc822') {
+    node.parts = [parseRawMessage(decodeTransferEncoding(body, headers['content-transfer-encoding']))];
+  } else {
+    node.bytes = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  }
+  return node;
+}
+
+function isAttachment(node) {
+  return /^attachment/i.test(node.headers['content-disposition'] || '') ||
+    (!!node.filename && !node.mimeType.startsWith('text/'));
+}
+
+function decodeText(node) {
+  return decodeCharset(node.bytes, contentTypeParam(node.headers['content-type'], 'charset'));
+}
+
+// { html: [], text: [], images: { contentId: dataUri } } for a subtree
+function collectBodies(node) {
+  const bodies = { html: [], text: [], images: {} };
+  const merge = child => {
+    bodies.html.push(...child.html);
+    bodies.text.push(...child.text);
+    Object.assign(bodies.images, child.images);
+  };
+
+  if (node.mimeType === 'multipart/alternative') {
+    // The same body several ways, richest last: keep the last HTML version
+    // and the last plain one rather than all of them
+    const alternatives = node.parts.map(collectBodies).reverse();
+    const withHtml = alternatives.find(alternative => alternative.html.length > 0);
+    const withText = alternatives.find(alternative => alternative.text.length > 0);
+    if (withHtml) bodies.html.push(...withHtml.html);
+    if (withText) bodies.text.push(...withText.text);
+    alternatives.forEach(alternative => Object.assign(bodies.images, alternative.images));
+  } else if (node.parts.length > 0) {
+    node.parts.forEach(part => merge(collectBodies(part)));
+  } else if (node.mimeType.startsWith('image/') && node.headers['content-id'] && node.bytes) {
+    const contentId = node.headers['content-id'].replace(/^<|>$/g, '');
+    bodies.images[contentId] = `data:${node.mimeType};base64,${node.bytes.toString('base64')}`;
+  } else if (node.bytes && !isAttachment(node)) {
+    if (node.mimeType === 'text/html') {
+      bodies.html.push(decodeText(node));
+    } else if (node.mimeType === 'text/plain') {
+      bodies.text.push(decodeText(node));
+    }
+  }
+  return bodies;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function plainTextToHtml(text) {
+  return `<pre style="white-space: pre-wrap; font-family: inherit;">${escapeHtml(text)}</pre>`;
+}
+
+function contentFromNode(node) {
+  const bodies = collectBodies(node);
+  const plainText = bodies.text.join('\n\n');
+  let html = bodies.html.join('\n');
+  const hasHtml = html.trim().length > 0;
+
+  if (hasHtml) {
+    html = html.replace(/(["'])cid:([^"']+)\1/gi, (match, quote, contentId) =>
+      (bodies.images[contentId] ? `${quote}${bodies.images[contentId]}${quote}` : match));
+  }
+
+  return {
+    html: hasHtml ? html : (plainText.trim() ? plainTextToHtml(plainText) : ''),
+    text: hasHtml ? htmlToText(html) : plainTextToLines(plainText),
+    plainText,
+    hasHtml
+  };
+}
+
+// For a Gmail API message payload (messages.get, format "full")
+function extractEmailContent(payload) {
+  return contentFromNode(fromGmailPayload(payload || {}));
+}
+
+// RFC 2047 encoded words (=?charset?Q?...?= / =?charset?B?...?=); Gmail's
+// API decodes these itself, raw messages don't
+function decodeHeaderValue(value) {
+  return (value || '')
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([QB])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+// For a raw RFC 822 message; also returns its subject, sender and Date header
+function extractRawEmailContent(raw) {
+  const node = parseRawMessage(raw);
+  return {
+    subject: decodeHeaderValue(node.headers.subject),
+    sender: decodeHeaderValue(node.headers.from),
+    date: node.headers.date || '',
+    ...contentFromNode(node)
+  };
+}
+
+module.exports = {
+  extractEmailContent,
+  extractRawEmailContent
+};
@@ -0,0 +1,97 @@
+// Extraction candidates - every value an extractor considered, with a
+// confidence (0-1) and its provenance: the rule that fired, the regex, where
+// in the text it matched and, for PDFs, which page. The extractors return
+// these ranked best first; the bare-string extractors take the top one.
+
+// Fields below this are listed in lowConfidenceFields for the UI to highlight
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD || '0.5');
+
+// Alternatives returned per field in API responses
+const MAX_CANDIDATES = 5;
+
+// source says which input the span indexes: 'text' (the extractor's text),
+// 'subject', 'sender', 'header', 'html' or 'filename'. offset shifts
+// match.index when the regex ran on a slice of the text.
+function createCandidate(value, confidence, rule, { pattern, match, offset = 0, source = 'text' } = {}) {
+  return {
+    value,
+    confidence,
+    rule,
+    pattern: pattern ? String(pattern) : null,
+    source,
+    span: match
+      ? { start: offset + match.index, end: offset + match.index + match[0].length, text: match[0] }
+      : null,
+    page: null
+  };
+}
+
+// Best first, one per value. The sort is stable, so among equal confidences
+// the candidate the extractor found first wins - the extractors push in the
+// order their old first-match-wins logic would have returned.
+function rankCandidates(candidates) {
+  const seen = new Set();
+  return candidates
+    .filter(candidate => candidate && candidate.value)
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter(candidate => {
+      if (seen.has(candidate.value)) return false;
+      seen.add(candidate.value);
+      return true;
+    });
+}
+
+function topValue(candidates) {
+  return candidates.length > 0 ? candidates[0].value : null;
+}
+
+// pdf-parse joins pages as "\n\n<page 1>\n\n<page 2>..."; pageStarts holds the
+// offset of each page's text. Amount spans index the currency-normalised text,
+// which differs by a few characters per rewritten amount - close enough for pages.
+function assignPages(candidates, pageStarts) {
+  if (!pageStarts || pageStarts.length === 0) return candidates;
+  candidates.forEach(candidate => {
+    if (candidate.span && candidate.source === 'text') {
+      const index = pageStarts.findIndex((start, i) =>
+        candidate.span.start >= start && (i === pageStarts.length - 1 || candidate.span.start < pageStarts[i + 1])
+      );
+      candidate.page = index >= 0 ? index + 1 : null;
+    }
+  });
+  return candidates;
+}
+
+// The API view of each field: the value it ended up with (after any fallback),
+// how sure we are of it and the alternatives. fields maps a name to
+// { value, candidates }.
+function summarizeExtraction(fields) {
+  const summary = {};
+  const lowConfidenceFields = [];
+
+  Object.entries(fields).forEach(([name, { value, candidates }]) => {
+    const ranked = rankCandidates(candidates || []);
+    const chosen = ranked.find(candidate => candidate.value === value) || null;
+    const confidence = chosen ? chosen.confidence : 0;
+
+    summary[name] = {
+      value: value || null,
+      confidence,
+      rule: chosen ? chosen.rule : null,
+      candidates: ranked.slice(0, MAX_CANDIDATES)
+    };
+    if (confidence < LOW_CONFIDENCE_THRESHOLD) {
+      lowConfidenceFields.push(name);
+    }
+  });
+
+  return { fields: summary, lowConfidenceFields };
+}
+
+module.exports = {
+  LOW_CONFIDENCE_THRESHOLD,
+  createCandidate,
+  rankCandidates,
+  topValue,
+  assignPages,
+  summarizeExtraction
+};
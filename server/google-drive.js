@@ -0,0 +1,320 @@
+const { google } = require('googleapis');
+const { Readable } = require('stream');
+const { getUserSettings } = require('./user-settings');
+const { getVendorCategory } = require('./vendor-registry');
+const { renderTemplate, validateTemplate, withUserProject } = require('./receipt-filename');
+const receiptLedger = require('./receipt-ledger');
+
+// Google Drive filing shared by both servers. auth is an OAuth2 client
+// holding the user's tokens (it needs the drive.file scope, which only
+// reaches folders this app created or was given through the Drive picker).
+//
+// Where a receipt goes is a per-user folder layout: a path template using
+// the filename tokens (receipt-filename.js), e.g. "Expense Receipts/{date:YYYY}/{quarter}"
+// or "Receipts/{category}", under My Drive, a chosen folder or a shared drive.
+const DEFAULT_FOLDER_TEMPLATE = process.env.DRIVE_FOLDER_TEMPLATE || 'Expense Receipts/{date:MMMM YYYY}';
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const MAX_FOLDER_DEPTH = 5;
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]{10,100}$/;
+
+// Folder ids by user + root + path, so an upload into a known folder makes
+// no list calls. Stale ids (a folder deleted in Drive) are dropped on the
+// first failed upload and looked up again.
+const folderCache = new Map();
+
+// Re-organize jobs by user: { status, total, moved, skipped, failed, startedAt, finishedAt, error }
+const reorganizeJobs = new Map();
+
+function validateFolderTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'Folder layout must be a non-empty path';
+  }
+  const segments = template.split('/').map(segment => segment.trim());
+  if (segments.some(segment => !segment)) {
+    return 'Folder layout can\'t have empty folder names';
+  }
+  if (segments.length > MAX_FOLDER_DEPTH) {
+    return `Folder layout can be at most ${MAX_FOLDER_DEPTH} folders deep`;
+  }
+  for (const segment of segments) {
+    const error = validateTemplate(segment, { requireToken: false });
+    if (error) return error.replace('Filename template', 'Folder layout').replace('filename token', 'token');
+  }
+  return null;
+}
+
+function validateDriveId(id) {
+  return DRIVE_ID_PATTERN.test(String(id || '')) ? null : 'Drive folder and shared drive IDs are 10-100 letters, digits, - or _';
+}
+
+// The user's layout: { folderTemplate, folderId, sharedDriveId }
+function getDriveLayout(userEmail) {
+  const settings = userEmail ? getUserSettings(userEmail) : {};
+  return {
+    folderTemplate: settings.driveFolderTemplate || DEFAULT_FOLDER_TEMPLATE,
+    folderId: settings.driveFolderId || null,
+    sharedDriveId: settings.driveSharedDriveId || null
+  };
+}
+
+function withCategory(fields) {
+  return {
+    ...fields,
+    category: fields.category || getVendorCategory(fields.vendor) || 'Uncategorized'
+  };
+}
+
+// ["Expense Receipts", "June 2025"] for a receipt. Receipts without a
+// category go under "Uncategorized"; a folder whose tokens are all empty
+// (no project code, say) is left out.
+function folderPathFor(fields, folderTemplate = DEFAULT_FOLDER_TEMPLATE) {
+  const categorized = withCategory(fields);
+  return folderTemplate.split('/')
+    .map(segment => renderTemplate(segment.trim(), categorized))
+    .filter(Boolean);
+}
+
+// Drive caps each app property at 124 bytes of key plus value
+function truncateBytes(value, maxBytes) {
+  let text = String(value);
+  while (Buffer.byteLength(text) > maxBytes) {
+    text = text.slice(0, -1);
+  }
+  return text;
+}
+
+// The receipt's fields on the Drive file itself: appProperties can be
+// searched (appProperties has { key='vendor' and value='Uber' }) and the
+// description shows in Drive's details pane and full-text search.
+function receiptMetadata(fields) {
+  const categorized = withCategory(fields);
+  const properties = {
+    vendor: categorized.vendor,
+    amount: categorized.amount,
+    currency: categorized.currency,
+    receiptDate: categorized.receiptDate,
+    category: categorized.category,
+    orderNumber: categorized.orderNumber,
+    project: categorized.project,
+    sourceMessageId: categorized.messageId
+  };
+
+  const appProperties = {};
+  Object.entries(properties).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      appProperties[key] = truncateBytes(value, 124 - Buffer.byteLength(key));
+    }
+  });
+
+  const description = [
+    ['Vendor', categorized.vendor],
+    ['Amount', categorized.amount && `${categorized.amount} ${categorized.currency || ''}`.trim()],
+    ['Date', categorized.receiptDate],
+    ['Category', categorized.category],
+    ['Order', categorized.orderNumber],
+    ['Source message', categorized.messageId]
+  ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+
+  return { appProperties, description };
+}
+
+// Shared drives need the all-drives flags on every call
+function driveParams(layout) {
+  return layout.sharedDriveId ? { supportsAllDrives: true } : {};
+}
+
+function listParams(layout) {
+  return layout.sharedDriveId
+    ? { supportsAllDrives: true, includeItemsFromAllDrives: true, corpora: 'drive', driveId: layout.sharedDriveId }
+    : {};
+}
+
+function escapeQuery(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+async function findOrCreateFolder(drive, layout, name, parentId) {
+  const search = await drive.files.list({
+    q: `name='${escapeQuery(name)}' and mimeType='${FOLDER_MIME_TYPE}' and '${parentId}' in parents and trashed=false`,
+    fields: 'files(id, name)',
+    ...listParams(layout)
+  });
+  if (search.data.files.length > 0) {
+    return search.data.files[0].id;
+  }
+
+  const folder = await drive.files.create({
+    resource: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] },
+    fields: 'id',
+    ...driveParams(layout)
+  });
+  console.log(`Created Drive folder: ${name}`);
+  return folder.data.id;
+}
+
+// The id of the folder at path, creating any missing folders on the way
+async function resolveFolder(drive, userEmail, layout, path) {
+  const rootId = layout.folderId || layout.sharedDriveId || 'root';
+  let parentId = rootId;
+  for (let depth = 1; depth <= path.length; depth++) {
+    const cacheKey = [userEmail || '', rootId, ...path.slice(0, depth)].join('/');
+    if (!folderCache.has(cacheKey)) {
+      folderCache.set(cacheKey, await findOrCreateFolder(drive, layout, path[depth - 1], parentId));
+    }
+    parentId = folderCache.get(cacheKey);
+  }
+  return parentId;
+}
+
+function forgetFolders(userEmail) {
+  const prefix = `${userEmail || ''}/`;
+  [...folderCache.keys()].filter(key => key.startsWith(prefix)).forEach(key => folderCache.delete(key));
+}
+
+// receipt is the ledger-style fields (vendor, amount, receiptDate, category,
+// orderNumber, messageId...) the folder layout and file metadata come from
+async function uploadReceipt(auth, fileBuffer, fileName, { userEmail, receipt = {} } = {}) {
+  try {
+    const drive = google.drive({ version: 'v3', auth });
+    const layout = getDriveLayout(userEmail);
+    const fields = withUserProject(userEmail, receipt);
+    const path = folderPathFor(fields, layout.folderTemplate);
+    console.log(`Filing ${fileName} under ${path.join('/') || '(root)'}`);
+
+    const upload = async () => drive.files.create({
+      resource: {
+        name: fileName,
+        parents: [await resolveFolder(drive, userEmail, layout, path)],
+        ...receiptMetadata(fields)
+      },
+      media: { mimeType: 'application/pdf', body: Readable.from(fileBuffer) },
+      fields: 'id, name, webViewLink',
+      ...driveParams(layout)
+    });
+
+    let file;
+    try {
+      file = await upload();
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (status !== 404) throw error;
+      console.warn('Cached Drive folder is gone, looking it up again');
+      forgetFolders(userEmail);
+      file = await upload();
+    }
+
+    console.log(`Uploaded ${fileName} to ${path.join('/')}`);
+
+    return {
+      success: true,
+      fileId: file.data.id,
+      fileName: file.data.name,
+      folderPath: path.join('/'),
+      // The last folder - "June 2025" with the default layout
+      monthFolder: path[path.length - 1] || null,
+      // Recorded on the ledger entry so a re-organize keeps it in its project
+      project: fields.project || null,
+      webViewLink: file.data.webViewLink
+    };
+
+  } catch (error) {
+    console.error('Error uploading to Google Drive:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Move every filed receipt into the folder the current layout puts it in.
+// Each keeps the project it was filed under. Runs in the background;
+// getReorganizeStatus reports progress.
+function startReorganize(auth, userEmail) {
+  const running = reorganizeJobs.get(userEmail);
+  if (running && running.status === 'running') {
+    return running;
+  }
+
+  const receipts = receiptLedger.listReceipts(userEmail).filter(receipt => receipt.driveFileId);
+  const job = {
+    status: 'running',
+    total: receipts.length,
+    moved: 0,
+    skipped: 0,
+    failed: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null
+  };
+  reorganizeJobs.set(userEmail, job);
+
+  reorganizeReceipts(auth, userEmail, receipts, job)
+    .then(() => {
+      job.status = 'done';
+    })
+    .catch(error => {
+      console.error('Drive re-organize failed:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      console.log(`Drive re-organize for ${userEmail}: ${job.moved} moved, ${job.skipped} already in place, ${job.failed} failed`);
+    });
+
+  return job;
+}
+
+// One file at a time - Drive rate-limits bursts of writes
+async function reorganizeReceipts(auth, userEmail, receipts, job) {
+  const drive = google.drive({ version: 'v3', auth });
+  const layout = getDriveLayout(userEmail);
+
+  for (const receipt of receipts) {
+    try {
+      const path = folderPathFor(receipt, layout.folderTemplate);
+      const targetId = await resolveFolder(drive, userEmail, layout, path);
+      const file = await drive.files.get({ fileId: receipt.driveFileId, fields: 'parents', ...driveParams(layout) });
+      const parents = file.data.parents || [];
+
+      if (parents.length === 1 && parents[0] === targetId) {
+        job.skipped++;
+        continue;
+      }
+
+      await drive.files.update({
+        fileId: receipt.driveFileId,
+        addParents: targetId,
+        removeParents: parents.filter(parent => parent !== targetId).join(','),
+        fields: 'id',
+        ...driveParams(layout)
+      });
+      receiptLedger.updateReceipt(userEmail, receipt.id, { driveFolderPath: path.join('/') });
+      job.moved++;
+    } catch (error) {
+      console.error(`Could not move receipt ${receipt.id}:`, error.message);
+      job.failed++;
+    }
+  }
+}
+
+function getReorganizeStatus(userEmail) {
+  return reorganizeJobs.get(userEmail) || null;
+}
+
+module.exports = {
+  DEFAULT_FOLDER_TEMPLATE,
+  validateFolderTemplate,
+  validateDriveId,
+  getDriveLayout,
+  folderPathFor,
+  receiptMetadata,
+  driveParams,
+  listParams,
+  resolveFolder,
+  uploadReceipt,
+  forgetFolders,
+  startReorganize,
+  getReorganizeStatus
+};
@@ -0,0 +1,244 @@
+// HTML email body -> text for the extractors. Stripping tags with a regex
+// leaves CSS and script bodies in, keeps &#36; and &nbsp; encoded and runs
+// table cells together, so "Total" drifts away from its amount. This keeps
+// the structure instead: one line per block or table row, cells separated by
+// a tab (which the extractors' \s patterns still match, so "Total\t$23.61"
+// reads like "Total $23.61"), with style/script and hidden preheaders dropped.
+
+// Skipped along with everything inside them
+const SKIPPED_ELEMENTS = new Set(['head', 'style', 'script', 'noscript', 'template', 'title', 'svg', 'object']);
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'tfoot', 'thead', 'tr', 'ul'
+]);
+const CELL_ELEMENTS = new Set(['td', 'th']);
+
+// Inline styles email templates use to hide preheaders and desktop/mobile
+// duplicates
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none|visibility\s*:\s*hidden|mso-hide\s*:\s*all|max-height\s*:\s*0(?![.\d])|opacity\s*:\s*0(?![.\d])/i;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  copy: '©', reg: '®', trade: '™', middot: '·', bull: '•', hellip: '…', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', curren: '¤', dollar: '$', times: '×', divide: '÷',
+  deg: '°', plusmn: '±', frac12: '½', frac14: '¼', frac34: '¾', sect: '§', para: '¶', num: '#',
+  percnt: '%', commat: '@', colon: ':', comma: ',', period: '.', lpar: '(', rpar: ')',
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+  eacute: 'é', egrave: 'è', ecirc: 'ê', aacute: 'á', agrave: 'à', acirc: 'â', iacute: 'í',
+  oacute: 'ó', uacute: 'ú', ntilde: 'ñ', ccedil: 'ç', Eacute: 'É',
+  zwnj: '', zwj: '', shy: '', lrm: '', rlm: ''
+};
+
+// Invisible padding preheaders are stuffed with (&zwnj;&nbsp;&#847; ...)
+const INVISIBLE_PATTERN = /[\u00ad\u034f\u061c\u115f\u1160\u17b4\u17b5\u180e\u200b-\u200f\u2060-\u2064\ufeff]/g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+function isHidden(attributes) {
+  const style = attributes.match(/\bstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+  if (style && HIDDEN_STYLE_PATTERN.test(style[1] || style[2] || '')) return true;
+  const className = attributes.match(/\bclass\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  if (className && /preheader/i.test(className[1] || className[2] || className[3] || '')) return true;
+  // The bare hidden attribute, not "visibility:hidden" inside another one
+  return /(?:^|\s)hidden(?=\s|=|\/|$)/i.test(attributes.replace(/=\s*(?:"[^"]*"|'[^']*')/g, '='));
+}
+
+// Blank lines dropped, runs of spaces collapsed, cell separators trimmed
+function tidyLines(text) {
+  return text
+    .replace(INVISIBLE_PATTERN, '')
+    .split('\n')
+    .map(line => line.replace(/[^\S\t]+/g, ' ').replace(/ *\t[\t ]*/g, '\t').replace(/^[\t ]+|[\t ]+$/g, ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Runs visitor.text(text, inPre) / open(name, attributes, selfClosing) /
+// close(name) over the visible content only - skipped and hidden elements
+// never reach the visitor. Unclosed tags (<td> without </td>) get no close
+// call; a later close tag pops everything opened after its match.
+function walkHtml(html, visitor) {
+  const open = [];
+  let skipUntil = -1;  // open.length to get back to before emitting again
+  let preDepth = 0;
+
+  const tokens = String(html || '').match(/<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<[!?][^>]*>|<\/?[a-zA-Z][^>]*>|<|[^<]+/g) || [];
+
+  for (const token of tokens) {
+    const tag = token.match(/^<(\/?)([a-zA-Z][\w:-]*)([\s\S]*?)\/?>$/);
+    if (!tag) {
+      if (token.startsWith('<!') || token.startsWith('<?')) continue;
+      if (skipUntil < 0) {
+        visitor.text(decodeEntities(token), preDepth > 0);
+      }
+      continue;
+    }
+
+    const [, closing, rawName, attributes] = tag;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index < 0) continue;
+      open.length = index;
+      if (skipUntil >= 0) {
+        if (open.length <= skipUntil) skipUntil = -1;
+        continue;
+      }
+      if (name === 'pre') preDepth = Math.max(0, preDepth - 1);
+      visitor.close(name);
+      continue;
+    }
+
+    const selfClosing = VOID_ELEMENTS.has(name) || /\/$/.test(token.slice(0, -1));
+    if (skipUntil < 0 && !selfClosing && (SKIPPED_ELEMENTS.has(name) || isHidden(attributes))) {
+      skipUntil = open.length;
+    }
+    if (!selfClosing) open.push(name);
+    if (skipUntil >= 0) {
+      // A hidden <br> or <img> never opened anything to wait for
+      if (selfClosing && open.length <= skipUntil) skipUntil = -1;
+      continue;
+    }
+
+    if (name === 'pre' && !selfClosing) preDepth++;
+    visitor.open(name, attributes, selfClosing);
+  }
+}
+
+function htmlToText(html) {
+  const output = [];
+
+  walkHtml(html, {
+    text(text, inPre) {
+      output.push(inPre ? text.replace(/\r\n?/g, '\n') : text.replace(/\s+/g, ' '));
+    },
+    open(name) {
+      if (name === 'br' || BLOCK_ELEMENTS.has(name)) {
+        output.push('\n');
+      } else if (CELL_ELEMENTS.has(name)) {
+        output.push('\t');
+      }
+    },
+    close(name) {
+      if (BLOCK_ELEMENTS.has(name)) output.push('\n');
+    }
+  });
+
+  return tidyLines(output.join(''));
+}
+
+function spanAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']?(\\d+)`, 'i'));
+  return match ? Math.min(Math.max(parseInt(match[1], 10), 1), 50) : 1;
+}
+
+// Every visible table, in document order, as rows of cells: [{ rows: [[{ text, column, colspan, header }]] }].
+// column is the cell's grid position with colspan/rowspan accounted for, so a
+// value can be found under its header; header is set for <th> cells. A nested
+// table's text belongs to the nested table, not to the outer cell it sits in.
+function extractHtmlTables(html) {
+  const tables = [];
+  const stack = [];
+  const current = () => stack[stack.length - 1];
+
+  function endCell(table) {
+    if (!table.cell) return;
+    table.cell.text = tidyLines(table.cell.text.join('')).replace(/\s+/g, ' ');
+    table.row.push(table.cell);
+    table.cell = null;
+  }
+
+  function endRow(table) {
+    endCell(table);
+    if (!table.row) return;
+
+    // Columns still covered by a rowspan from an earlier row are skipped
+    let column = 0;
+    table.row.forEach(cell => {
+      while (table.spans[column] > 0) column++;
+      cell.column = column;
+      for (let i = 0; i < cell.colspan; i++) {
+        if (cell.rowspan > 1) table.spans[column + i] = cell.rowspan;
+      }
+      column += cell.colspan;
+      delete cell.rowspan;
+    });
+    table.spans = table.spans.map(remaining => Math.max(0, remaining - 1));
+
+    if (table.row.length > 0) table.rows.push(table.row);
+    table.row = null;
+  }
+
+  walkHtml(html, {
+    text(text) {
+      const table = current();
+      if (table && table.cell) table.cell.text.push(text);
+    },
+    open(name, attributes) {
+      const table = current();
+      if (name === 'table') {
+        const nested = { rows: [], row: null, cell: null, spans: [] };
+        tables.push(nested);
+        stack.push(nested);
+      } else if (!table) {
+        return;
+      } else if (name === 'tr') {
+        endRow(table);
+        table.row = [];
+      } else if (CELL_ELEMENTS.has(name)) {
+        endCell(table);
+        if (!table.row) table.row = [];
+        table.cell = {
+          text: [],
+          header: name === 'th',
+          colspan: spanAttribute(attributes, 'colspan'),
+          rowspan: spanAttribute(attributes, 'rowspan')
+        };
+      } else if (table.cell && (name === 'br' || BLOCK_ELEMENTS.has(name))) {
+        table.cell.text.push(' ');
+      }
+    },
+    close(name) {
+      const table = current();
+      if (!table) return;
+      if (name === 'table') {
+        endRow(table);
+        stack.pop();
+      } else if (name === 'tr') {
+        endRow(table);
+      } else if (CELL_ELEMENTS.has(name)) {
+        endCell(table);
+      }
+    }
+  });
+
+  // Tables left open at the end of a truncated body
+  stack.forEach(endRow);
+  return tables
+    .filter(table => table.rows.length > 0)
+    .map(table => ({ rows: table.rows }));
+}
+
+// Plain-text bodies get the same line treatment, without the HTML parsing
+function plainTextToLines(text) {
+  return tidyLines(String(text || '').replace(/\r\n?/g, '\n'));
+}
+
+module.exports = {
+  htmlToText,
+  extractHtmlTables,
+  plainTextToLines,
+  decodeEntities
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reading the per-user JSON stores (ledger, settings, learned rules, review
+// queue). Each is loaded whole, changed and saved whole, so a file that
+// fails to parse must not read as empty: the next save would replace every
+// user's data with the one change. It is moved aside to
+// <file>.corrupt-<timestamp> instead, where it can be repaired by hand.
+
+// The parsed store, or fallback when the file doesn't exist yet (or was
+// just moved aside). Read errors other than a missing file are thrown.
+function readJsonStore(file, fallback = {}) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    const corruptFile = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, corruptFile);
+    console.error(`${path.basename(file)} is not valid JSON (${error.message}); moved to ${path.basename(corruptFile)}`);
+    return fallback;
+  }
+}
+
+module.exports = {
+  readJsonStore
+};
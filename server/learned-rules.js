@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const receiptLedger = require('./receipt-ledger');
+const currency = require('./currency');
+const { readJsonStore } = require('./json-store');
+const { parseLocalDate, formatLocalDate } = require('./local-date');
+
+// Rules learned from the user's corrections, per account. The extractors
+// consult them before their generic heuristics:
+//   sender-vendor - mail from this sender domain is this vendor
+//   amount-label  - this vendor's charged total follows this label ("Order Total")
+//   date-label    - this vendor's receipt date follows this label ("Order placed")
+const LEARNED_RULES_FILE = path.join(__dirname, 'learned_rules.json');
+
+const RULE_TYPES = {
+  SENDER_VENDOR: 'sender-vendor',
+  AMOUNT_LABEL: 'amount-label',
+  DATE_LABEL: 'date-label'
+};
+
+// Mailbox providers - correcting a forwarded email says nothing about gmail.com
+const PERSONAL_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+];
+
+// Date shapes a label can precede: "July 15, 2025", "Jul 15th 2025", "07/15/2025", "2025-07-15"
+const DATE_TEXT = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}' +
+  '|\\d{1,2}\\/\\d{1,2}\\/\\d{4}|\\d{4}-\\d{1,2}-\\d{1,2}';
+
+// Labels are the last words before a value on the same line
+const MAX_LABEL_WORDS = 2;
+const MAX_LABELS = 25;
+
+// Load everyone's rules from file; a corrupt file is moved aside, not overwritten
+function loadAllRules() {
+  return readJsonStore(LEARNED_RULES_FILE);
+}
+
+// Save everyone's rules (write-then-rename so a crash can't truncate them)
+function saveAllRules(allRules) {
+  try {
+    const tempFile = `${LEARNED_RULES_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(allRules, null, 2));
+    fs.renameSync(tempFile, LEARNED_RULES_FILE);
+  } catch (error) {
+    console.error('Error saving learned rules:', error);
+  }
+}
+
+function normalizeUserKey(userEmail) {
+  const key = String(userEmail || '').trim().toLowerCase();
+  if (!key) {
+    throw new Error('User email is required for learned rules');
+  }
+  return key;
+}
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getSenderDomain(sender) {
+  const match = String(sender || '').match(/@([a-z0-9.-]+\.[a-z]{2,})/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function toIsoDate(dateText) {
+  const date = parseLocalDate(dateText.replace(/(\d{1,2})(st|nd|rd|th)/gi, '$1'));
+  return isNaN(date.getTime()) ? null : formatLocalDate(date);
+}
+
+function cleanLabel(label) {
+  return label.trim().split(/\s+/).slice(-MAX_LABEL_WORDS).join(' ');
+}
+
+// The user's rules, most recently confirmed first - pass these to the extractors
+function getUserRules(userEmail) {
+  const rules = Object.values(loadAllRules()[normalizeUserKey(userEmail)] || {});
+  return rules.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function revokeRule(userEmail, ruleId) {
+  const allRules = loadAllRules();
+  const rules = allRules[normalizeUserKey(userEmail)] || {};
+  // ruleId comes from the request URL; "__proto__" must not reach Object.prototype
+  if (!Object.hasOwn(rules, ruleId)) {
+    return false;
+  }
+
+  delete rules[ruleId];
+  saveAllRules(allRules);
+  return true;
+}
+
+// Rules with the same key are the same preference - a repeat correction
+// confirms it (or, for a sender, points it at a different vendor)
+function ruleKey(rule) {
+  if (rule.type === RULE_TYPES.SENDER_VENDOR) {
+    return `${rule.type}:${rule.senderDomain}`;
+  }
+  return `${rule.type}:${normalize(rule.vendor)}:${normalize(rule.label)}`;
+}
+
+function saveRules(userEmail, newRules) {
+  const allRules = loadAllRules();
+  const key = normalizeUserKey(userEmail);
+  const rules = allRules[key] || (allRules[key] = {});
+  const now = new Date().toISOString();
+
+  const saved = newRules.map(rule => {
+    const existing = Object.values(rules).find(candidate => ruleKey(candidate) === ruleKey(rule));
+    const stored = existing
+      ? { ...existing, ...rule, confirmations: existing.confirmations + 1, updatedAt: now }
+      : { id: crypto.randomUUID(), ...rule, confirmations: 1, createdAt: now, updatedAt: now };
+    rules[stored.id] = stored;
+    return stored;
+  });
+
+  saveAllRules(allRules);
+  return saved;
+}
+
+// Every "<label> $12.34" in currency-normalised text, for learning which label
+// the user meant when they correct the amount
+function findLabeledAmounts(text) {
+  const labels = [];
+  const pattern = /([A-Za-z][A-Za-z&'/ -]*?)[: \t]*\$(\d+\.\d{2})/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null && labels.length < MAX_LABELS) {
+    const label = cleanLabel(match[1]);
+    if (label) {
+      labels.push({ label, amount: match[2] });
+    }
+  }
+  return labels;
+}
+
+// Every "<label> July 15, 2025" in the text, as YYYY-MM-DD
+function findLabeledDates(text) {
+  const labels = [];
+  const pattern = new RegExp(`([A-Za-z][A-Za-z' -]*?)[: \\t]*(${DATE_TEXT})`, 'gi');
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null && labels.length < MAX_LABELS) {
+    const label = cleanLabel(match[1]);
+    const date = toIsoDate(match[2]);
+    if (label && date) {
+      labels.push({ label, date });
+    }
+  }
+  return labels;
+}
+
+// Stored on the ledger entry so a later correction can be traced to a label
+function collectExtractionLabels(text) {
+  return { amounts: findLabeledAmounts(text), dates: findLabeledDates(text) };
+}
+
+// Turn a correction of a ledger entry into rules. corrections holds only the
+// fields the user changed: { vendor, amount, receiptDate }.
+function learnFromCorrection(userEmail, receipt, corrections) {
+  const vendor = corrections.vendor || receipt.vendor;
+  const labels = receipt.extractionLabels || { amounts: [], dates: [] };
+  const rules = [];
+
+  const domain = getSenderDomain(receipt.sender);
+  if (corrections.vendor && domain && !PERSONAL_MAIL_DOMAINS.includes(domain)) {
+    rules.push({ type: RULE_TYPES.SENDER_VENDOR, senderDomain: domain, vendor: corrections.vendor });
+  }
+
+  if (corrections.amount && vendor) {
+    const match = labels.amounts.find(candidate =>
+      Math.abs(parseFloat(candidate.amount) - parseFloat(corrections.amount)) < 0.005
+    );
+    if (match) {
+      rules.push({ type: RULE_TYPES.AMOUNT_LABEL, vendor, label: match.label });
+    }
+  }
+
+  if (corrections.receiptDate && vendor) {
+    const match = labels.dates.find(candidate => candidate.date === corrections.receiptDate);
+    if (match) {
+      rules.push({ type: RULE_TYPES.DATE_LABEL, vendor, label: match.label });
+    }
+  }
+
+  return rules.length > 0 ? saveRules(userEmail, rules) : [];
+}
+
+// Returns an error message for a malformed correction, or null if it's usable
+function validateCorrection(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Correction must be an object';
+  }
+  const { vendor, amount, receiptDate } = input;
+  if (vendor === undefined && amount === undefined && receiptDate === undefined) {
+    return 'Provide vendor, amount or receiptDate';
+  }
+  if (vendor !== undefined && (typeof vendor !== 'string' || !vendor.trim() || vendor.trim().length > 50)) {
+    return 'vendor must be a name (at most 50 characters)';
+  }
+  if (amount !== undefined && !/^\d+(\.\d{1,2})?$/.test(String(amount))) {
+    return 'amount must be a number like 12.34';
+  }
+  if (receiptDate !== undefined &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(String(receiptDate)) || toIsoDate(String(receiptDate)) !== receiptDate)) {
+    return 'receiptDate must be a YYYY-MM-DD date';
+  }
+  return null;
+}
+
+// Apply a user's fix to a ledger entry and learn from the fields that changed.
+// Call validateCorrection first. Returns null if the receipt doesn't exist.
+function correctReceipt(userEmail, receiptId, input) {
+  const receipt = receiptLedger.getReceipt(userEmail, receiptId);
+  if (!receipt) {
+    return null;
+  }
+
+  const corrections = {};
+  if (input.vendor !== undefined && input.vendor.trim() !== receipt.vendor) {
+    corrections.vendor = input.vendor.trim();
+  }
+  if (input.amount !== undefined && parseFloat(input.amount).toFixed(2) !== receipt.amount) {
+    corrections.amount = parseFloat(input.amount).toFixed(2);
+  }
+  if (input.receiptDate !== undefined && input.receiptDate !== receipt.receiptDate) {
+    corrections.receiptDate = input.receiptDate;
+  }
+
+  if (Object.keys(corrections).length === 0) {
+    return { receipt, corrections, learned: [] };
+  }
+
+  const updates = { ...corrections, correctedAt: new Date().toISOString() };
+  if (corrections.amount) {
+    updates.homeAmount = currency.convertToHomeCurrency(corrections.amount, receipt.currency)?.amount || null;
+  }
+
+  const updated = receiptLedger.updateReceipt(userEmail, receiptId, updates);
+  const learned = learnFromCorrection(userEmail, receipt, corrections);
+  console.log(`Learned ${learned.length} rule(s) from correction of ${receiptId}: ${Object.keys(corrections).join(', ')}`);
+
+  return { receipt: updated, corrections, learned };
+}
+
+function rulesOfType(learned, type, vendor) {
+  return (learned || []).filter(rule =>
+    rule.type === type && (vendor === undefined || normalize(rule.vendor) === normalize(vendor))
+  );
+}
+
+// "Acme Billing <billing@mail.acme.io>" -> the vendor the user named for acme.io
+function matchSenderVendor(learned, sender) {
+  const domain = getSenderDomain(sender);
+  if (!domain) return null;
+  const rule = rulesOfType(learned, RULE_TYPES.SENDER_VENDOR).find(candidate =>
+    domain === candidate.senderDomain || domain.endsWith(`.${candidate.senderDomain}`)
+  );
+  return rule ? rule.vendor : null;
+}
+
+// The amount after this vendor's learned total label, from currency-normalised text
+function matchLearnedAmount(learned, text, vendor) {
+  if (!vendor) return null;
+  for (const rule of rulesOfType(learned, RULE_TYPES.AMOUNT_LABEL, vendor)) {
+    const label = escapeRegex(rule.label).replace(/\s+/g, '\\s+');
+    const match = String(text || '').match(new RegExp(`\\b${label}[:\\s]*\\$(\\d+\\.\\d{2})`, 'i'));
+    if (match) {
+      return { label: rule.label, amount: match[1], match };
+    }
+  }
+  return null;
+}
+
+// The date after this vendor's learned date label, as YYYY-MM-DD
+function matchLearnedDate(learned, text, vendor) {
+  if (!vendor) return null;
+  for (const rule of rulesOfType(learned, RULE_TYPES.DATE_LABEL, vendor)) {
+    const label = escapeRegex(rule.label).replace(/\s+/g, '\\s+');
+    const match = String(text || '').match(new RegExp(`\\b${label}[:\\s]*(${DATE_TEXT})`, 'i'));
+    const date = match && toIsoDate(match[1]);
+    if (date) {
+      return { label: rule.label, date, match };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RULE_TYPES,
+  getUserRules,
+  revokeRule,
+  collectExtractionLabels,
+  learnFromCorrection,
+  validateCorrection,
+  correctReceipt,
+  matchSenderVendor,
+  matchLearnedAmount,
+  matchLearnedDate
+};
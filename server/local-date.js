@@ -0,0 +1,28 @@
+// Receipt dates are calendar days, not instants. new Date() reads
+// "July 15, 2025" as local midnight but "2025-07-15" as UTC midnight, and
+// toISOString() formats in UTC - either mix shifts the day by one outside
+// UTC. Parse and format both in local time instead.
+
+// Date text -> Date at local midnight for YYYY-MM-DD, else whatever
+// new Date() makes of it (check getTime() for NaN)
+function parseLocalDate(text) {
+  const iso = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!iso) return new Date(text);
+
+  const [, year, month, day] = iso.map(Number);
+  const date = new Date(year, month - 1, day);
+  // 2025-02-30 would roll over into March
+  return date.getMonth() === month - 1 ? date : new Date(NaN);
+}
+
+// Date -> YYYY-MM-DD of its local calendar day
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = {
+  parseLocalDate,
+  formatLocalDate
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// OCR fallback for scanned / image-only receipts. The engine is picked with
+// OCR_ENGINE: "tesseract" (default, local CLI), "vision" (Google Cloud Vision)
+// or "none" to disable OCR entirely.
+const OCR_CONFIG = {
+  ENGINE: (process.env.OCR_ENGINE || 'tesseract').toLowerCase(),
+  MIN_TEXT_LENGTH: parseInt(process.env.OCR_MIN_TEXT_LENGTH, 10) || 50,
+  MAX_PAGES: 5,
+  TIMEOUT_MS: 60000,
+  TESSERACT_PATH: process.env.TESSERACT_PATH || 'tesseract',
+  TESSERACT_LANG: process.env.TESSERACT_LANG || 'eng',
+  PDFTOPPM_PATH: process.env.PDFTOPPM_PATH || 'pdftoppm'
+};
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/tiff': 'tif',
+  'image/gif': 'gif'
+};
+
+// Local engine: any Tesseract-compatible CLI that accepts `<image> stdout`.
+// PDFs are rasterised page by page with poppler's pdftoppm first.
+const tesseractEngine = {
+  name: 'tesseract',
+
+  async recognize(buffer, mimeType) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'receipt-ocr-'));
+
+    try {
+      let imagePaths;
+      if (mimeType === 'application/pdf') {
+        const pdfPath = path.join(workDir, 'input.pdf');
+        await fs.promises.writeFile(pdfPath, buffer);
+        await execFileAsync(OCR_CONFIG.PDFTOPPM_PATH, [
+          '-r', '300', '-gray', '-png',
+          '-l', String(OCR_CONFIG.MAX_PAGES),
+          pdfPath, path.join(workDir, 'page')
+        ], { timeout: OCR_CONFIG.TIMEOUT_MS });
+
+        imagePaths = (await fs.promises.readdir(workDir))
+          .filter(name => name.startsWith('page') && name.endsWith('.png'))
+          .sort()
+          .map(name => path.join(workDir, name));
+      } else {
+        const imagePath = path.join(workDir, `input.${IMAGE_EXTENSIONS[mimeType] || 'png'}`);
+        await fs.promises.writeFile(imagePath, buffer);
+        imagePaths = [imagePath];
+      }
+
+      const pages = [];
+      for (const imagePath of imagePaths) {
+        // --psm 4 treats the page as a single column of variable-sized text, which suits receipts
+        const { stdout } = await execFileAsync(OCR_CONFIG.TESSERACT_PATH, [
+          imagePath, 'stdout', '-l', OCR_CONFIG.TESSERACT_LANG, '--psm', '4'
+        ], { timeout: OCR_CONFIG.TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+        pages.push(stdout);
+      }
+
+      return pages.join('\n');
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+};
+
+// Google Cloud Vision - needs @google-cloud/vision installed and
+// GOOGLE_APPLICATION_CREDENTIALS (or other ADC) configured
+let visionClient = null;
+
+const visionEngine = {
+  name: 'vision',
+
+  async recognize(buffer, mimeType) {
+    if (!visionClient) {
+      const vision = require('@google-cloud/vision');
+      visionClient = new vision.ImageAnnotatorClient();
+    }
+
+    if (mimeType === 'application/pdf') {
+      // No pages list: Vision reads the first 5 (its limit, and MAX_PAGES),
+      // where naming a page past the end of a shorter PDF fails the request
+      const [result] = await visionClient.batchAnnotateFiles({
+        requests: [{
+          inputConfig: { content: buffer, mimeType },
+          features: [{ type: 'DOCUMENT_TEXT_DETECTION' }]
+        }]
+      });
+
+      const pageResponses = result.responses?.[0]?.responses || [];
+      return pageResponses
+        .map(page => page.fullTextAnnotation?.text || '')
+        .join('\n');
+    }
+
+    const [result] = await visionClient.documentTextDetection({ image: { content: buffer } });
+    return result.fullTextAnnotation?.text || '';
+  }
+};
+
+const engines = {
+  tesseract: tesseractEngine,
+  vision: visionEngine
+};
+
+// Plug in another engine: { name, async recognize(buffer, mimeType) -> text }
+function registerOcrEngine(engine) {
+  engines[engine.name] = engine;
+}
+
+function isOcrEnabled() {
+  return OCR_CONFIG.ENGINE !== 'none' && !!engines[OCR_CONFIG.ENGINE];
+}
+
+// True when extracted text is too thin to parse (scanned / image-only PDFs)
+function needsOcr(text) {
+  return (text || '').trim().length < OCR_CONFIG.MIN_TEXT_LENGTH;
+}
+
+// Run the configured engine; returns { text, engine }. Throws if OCR is
+// disabled or the engine fails, so callers can fall back to other methods.
+async function recognizeText(buffer, mimeType = 'application/pdf') {
+  if (!isOcrEnabled()) {
+    throw new Error(`OCR engine "${OCR_CONFIG.ENGINE}" is not available`);
+  }
+
+  const engine = engines[OCR_CONFIG.ENGINE];
+  const startTime = Date.now();
+  const text = await engine.recognize(buffer, mimeType);
+  console.log(`OCR (${engine.name}) extracted ${text.length} chars in ${Date.now() - startTime}ms`);
+
+  return { text, engine: engine.name };
+}
+
+module.exports = {
+  OCR_CONFIG,
+  registerOcrEngine,
+  isOcrEnabled,
+  needsOcr,
+  recognizeText
+};
@@ -0,0 +1,234 @@
+const path = require('path');
+
+// Layout-aware PDF text. pdf-parse's flat text follows the content stream,
+// so a two-column Amazon invoice comes out with its columns interleaved and
+// a label can end up lines away from its amount. Here the pdf.js text items
+// (the pdf.min.js build bundled at the repo root) are placed by position:
+// items on the same baseline make a row, read left to right, and a wide gap
+// starts a new segment - "Grand Total:\t$179.22". Every segment keeps its
+// page and bounding box, so a field's candidates can point at where on the
+// page they were read.
+const PDF_LAYOUT_CONFIG = {
+  PDFJS_PATH: process.env.PDFJS_PATH || path.join(__dirname, '..', 'pdf.min.js'),
+  PDFJS_WORKER_PATH: process.env.PDFJS_WORKER_PATH || path.join(__dirname, '..', 'pdf.worker.min.js'),
+  // Memory budget: reading stops (truncated: true) past either limit
+  MAX_PAGES: parseInt(process.env.PDF_LAYOUT_MAX_PAGES || '50', 10),
+  MAX_TEXT_ITEMS: parseInt(process.env.PDF_LAYOUT_MAX_TEXT_ITEMS || '40000', 10)
+};
+
+// Baselines closer than this (times the font height) share a row
+const ROW_TOLERANCE = 0.5;
+// Horizontal gaps wider than this (times the font height) separate segments
+const SEGMENT_GAP = 1.2;
+// Gaps wider than this get a space - pdf.js often splits words into items,
+// and letter-spaced headings into one item per glyph
+const WORD_GAP = 0.2;
+
+let pdfjsLib = null;
+
+// Loaded on first use; it's a large bundle and most requests never need it
+function loadPdfjs() {
+  if (!pdfjsLib) {
+    pdfjsLib = require(PDF_LAYOUT_CONFIG.PDFJS_PATH);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_LAYOUT_CONFIG.PDFJS_WORKER_PATH;
+  }
+  return pdfjsLib;
+}
+
+// A whitespace item narrower than this (times the font size) is pdf.js
+// marking letter-spacing, not a space glyph
+const MIN_SPACE_WIDTH = 0.1;
+
+// pdf.js items -> { text, x, top, width, height }, top measured down from the
+// top of the page in PDF points. Space glyphs stay: some PDFs set the space
+// between two words as an item of its own.
+function placeItems(items, pageHeight) {
+  return items
+    .filter(item => item.str.trim() || item.width >= Math.abs(item.transform[3]) * MIN_SPACE_WIDTH)
+    .map(item => {
+      const height = item.height || Math.abs(item.transform[3]) || 1;
+      return {
+        text: item.str,
+        x: item.transform[4],
+        top: pageHeight - item.transform[5] - height,
+        width: item.width || 0,
+        height
+      };
+    })
+    .sort((a, b) => a.top - b.top || a.x - b.x);
+}
+
+function groupRows(pieces) {
+  const rows = [];
+  pieces.forEach(piece => {
+    // Sorted top-down, so a piece's row is one of the last few
+    const row = rows.slice(-3).find(candidate =>
+      Math.abs(candidate.bottom - (piece.top + piece.height)) <= Math.max(candidate.height, piece.height) * ROW_TOLERANCE
+    );
+    if (row) {
+      row.pieces.push(piece);
+    } else {
+      rows.push({ bottom: piece.top + piece.height, height: piece.height, pieces: [piece] });
+    }
+  });
+  return rows.map(row => row.pieces.sort((a, b) => a.x - b.x));
+}
+
+function splitSegments(pieces) {
+  const segments = [];
+  let current = null;
+
+  pieces.forEach(piece => {
+    const gap = current ? piece.x - (current.x + current.width) : Infinity;
+    const height = current ? Math.max(current.height, piece.height) : piece.height;
+
+    if (!current || gap > height * SEGMENT_GAP) {
+      current = { ...piece };
+      segments.push(current);
+      return;
+    }
+    const joiner = gap > height * WORD_GAP && !/\s$/.test(current.text) && !/^\s/.test(piece.text) ? ' ' : '';
+    const right = Math.max(current.x + current.width, piece.x + piece.width);
+    const bottom = Math.max(current.top + current.height, piece.top + piece.height);
+    current.text += joiner + piece.text;
+    current.top = Math.min(current.top, piece.top);
+    current.width = right - current.x;
+    current.height = bottom - current.top;
+  });
+
+  return segments
+    .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// The page's items in content-stream order, a new line at every baseline
+// change - pdf-parse's own rendering. receipt-structure's line-item walk
+// follows that order (the price after the "Sold by:" details), which rows
+// by position don't keep.
+function streamText(items) {
+  let lastY = null;
+  return items.map(item => {
+    const y = item.transform[5];
+    const text = lastY === null || y === lastY ? item.str : `\n${item.str}`;
+    lastY = y;
+    return text;
+  }).join('');
+}
+
+// Every page's rows, plus the text the extractors read: rows on lines,
+// segments split by tabs, pages joined the way pdf-parse joins them
+// ("\n\n" before each), so pageStarts means the same for both.
+// Returns { text, streamText, pageStarts, pages: [{ number, width, height,
+// rows }], pageCount, truncated }; each row is an array of segments
+// { text, offset, page, bbox: { x, y, width, height } }.
+async function extractPdfLayout(pdfBuffer) {
+  const pdfjs = loadPdfjs();
+  const document = await pdfjs.getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise;
+  const layout = { text: '', streamText: '', pageStarts: [], pages: [], pageCount: document.numPages, truncated: false };
+  let itemCount = 0;
+
+  try {
+    for (let number = 1; number <= document.numPages; number++) {
+      if (number > PDF_LAYOUT_CONFIG.MAX_PAGES || itemCount >= PDF_LAYOUT_CONFIG.MAX_TEXT_ITEMS) {
+        layout.truncated = true;
+        break;
+      }
+
+      const page = await document.getPage(number);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      // One page can hold the whole budget and more; keep what fits of it
+      const remaining = PDF_LAYOUT_CONFIG.MAX_TEXT_ITEMS - itemCount;
+      const items = content.items.length > remaining ? content.items.slice(0, remaining) : content.items;
+      if (items.length < content.items.length) layout.truncated = true;
+      itemCount += items.length;
+
+      layout.text += '\n\n';
+      layout.pageStarts.push(layout.text.length);
+      layout.streamText += `\n\n${streamText(items)}`;
+
+      const rows = groupRows(placeItems(items, viewport.height))
+        .map(splitSegments)
+        .filter(segments => segments.length > 0)
+        .map((segments, index) => {
+          if (index > 0) layout.text += '\n';
+          return segments.map((segment, segmentIndex) => {
+            if (segmentIndex > 0) layout.text += '\t';
+            const placed = {
+              text: segment.text,
+              offset: layout.text.length,
+              page: number,
+              bbox: { x: round(segment.x), y: round(segment.top), width: round(segment.width), height: round(segment.height) }
+            };
+            layout.text += segment.text;
+            return placed;
+          });
+        });
+
+      layout.pages.push({ number, width: round(viewport.width), height: round(viewport.height), rows });
+      // Drop the page's parsed resources before the next one
+      page.cleanup();
+      if (layout.truncated) break;
+    }
+  } finally {
+    await document.destroy();
+  }
+
+  return layout;
+}
+
+function unionBoxes(boxes) {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) };
+}
+
+// { page, bbox } for the segments a span of layout.text covers, or null.
+// A span running over a page break keeps to the page it starts on.
+function locateSpan(layout, start, end) {
+  const segments = [];
+  for (const page of layout.pages) {
+    for (const row of page.rows) {
+      for (const segment of row) {
+        if (segment.offset < end && segment.offset + segment.text.length > start) {
+          segments.push(segment);
+        }
+      }
+    }
+  }
+  if (segments.length === 0) return null;
+
+  const page = segments[0].page;
+  return { page, bbox: unionBoxes(segments.filter(segment => segment.page === page).map(segment => segment.bbox)) };
+}
+
+// assignPages for layout text: the page and bounding box of each candidate's
+// span. Amount spans index the currency-normalised text, which drifts by a
+// few characters per rewritten amount - the segment boxes absorb that.
+function assignLayout(candidates, layout) {
+  if (!layout) return candidates;
+  candidates.forEach(candidate => {
+    if (candidate.span && candidate.source === 'text' && !candidate.bbox) {
+      const located = locateSpan(layout, candidate.span.start, candidate.span.end);
+      if (located) {
+        candidate.page = located.page;
+        candidate.bbox = located.bbox;
+      }
+    }
+  });
+  return candidates;
+}
+
+module.exports = {
+  PDF_LAYOUT_CONFIG,
+  extractPdfLayout,
+  locateSpan,
+  assignLayout,
+  unionBoxes
+};
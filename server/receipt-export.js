@@ -0,0 +1,336 @@
+// Receipt export - renders ledger entries as CSV, XLSX or QuickBooks IIF
+// for month-end reconciliation. Used by the /export endpoints.
+
+const { HOME_CURRENCY } = require('./currency');
+const { getVendorCategory } = require('./vendor-registry');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  iif: { contentType: 'text/plain; charset=utf-8', extension: 'iif' }
+};
+
+// Default categories come from the vendor registry; anything else is left
+// for the user to categorise in their accounting tool
+function getCategory(receipt) {
+  if (receipt.category) return receipt.category;
+  return getVendorCategory(receipt.vendor) || 'Uncategorized';
+}
+
+// Columns available to CSV/XLSX exports, in the order they're offered
+const EXPORT_COLUMNS = {
+  date: { header: 'Date', value: receipt => receipt.receiptDate || receipt.createdAt.split('T')[0] },
+  vendor: { header: 'Vendor', value: receipt => receipt.vendor || '' },
+  amount: { header: 'Amount', value: receipt => parseAmount(receipt.amount), numeric: true },
+  currency: { header: 'Currency', value: receipt => receipt.currency || 'USD' },
+  homeAmount: { header: 'Home Amount', value: receipt => parseAmount(receipt.homeAmount), numeric: true },
+  category: { header: 'Category', value: getCategory },
+  source: { header: 'Source', value: receipt => receipt.source || '' },
+  filename: { header: 'Filename', value: receipt => receipt.filename || '' },
+  driveLink: { header: 'Drive Link', value: receipt => receipt.driveLink || '' },
+  messageId: { header: 'Source Message ID', value: receipt => receipt.messageId || '' },
+  orderNumber: { header: 'Order Number', value: receipt => receipt.orderNumber || '' },
+  invoiceNumber: { header: 'Invoice Number', value: receipt => receipt.invoiceNumber || '' },
+  cardLast4: { header: 'Card', value: receipt => receipt.cardLast4 || '' },
+  forwardStatus: { header: 'Forward Status', value: receipt => receipt.forwardStatus || '' }
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['date', 'vendor', 'amount', 'category'];
+
+// Parse a comma-separated ?columns= value; returns null if any column is unknown
+function parseColumns(param) {
+  if (!param) return DEFAULT_EXPORT_COLUMNS;
+
+  const columns = String(param).split(',').map(column => column.trim()).filter(Boolean);
+  if (columns.length === 0 || columns.some(column => !EXPORT_COLUMNS[column])) {
+    return null;
+  }
+  return columns;
+}
+
+// A real calendar day in YYYY-MM-DD - not 2025-13-45
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Parse ?from= / ?to=; returns { from, to } (null when not given), or null if either isn't a date
+function parseDateRange(fromParam, toParam) {
+  const from = fromParam ? String(fromParam) : null;
+  const to = toParam ? String(toParam) : null;
+  if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) {
+    return null;
+  }
+  return { from, to };
+}
+
+function parseAmount(amount) {
+  const value = parseFloat(amount);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Build the export file; returns { contentType, extension, body }
+function buildExport(receipts, options = {}) {
+  const format = EXPORT_FORMATS[options.format] ? options.format : 'csv';
+  const columns = options.columns || DEFAULT_EXPORT_COLUMNS;
+
+  let body;
+  if (format === 'xlsx') {
+    body = buildXlsx(receipts, columns);
+  } else if (format === 'iif') {
+    body = buildIif(receipts, options);
+  } else {
+    body = buildCsv(receipts, columns);
+  }
+
+  return { ...EXPORT_FORMATS[format], body };
+}
+
+// ---------- CSV ----------
+
+function escapeCsvValue(value, numeric) {
+  if (value === null || value === undefined) return '';
+  if (numeric) return value.toFixed(2);
+
+  let text = String(value);
+  // Stop spreadsheet apps from evaluating vendor names/subjects as formulas;
+  // Excel and Sheets also start one after a leading tab or carriage return
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function buildCsv(receipts, columns) {
+  const lines = [columns.map(column => escapeCsvValue(EXPORT_COLUMNS[column].header)).join(',')];
+
+  receipts.forEach(receipt => {
+    lines.push(columns.map(column => {
+      const definition = EXPORT_COLUMNS[column];
+      return escapeCsvValue(definition.value(receipt), definition.numeric);
+    }).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------- QuickBooks IIF ----------
+
+// IIF is tab-delimited, so tabs and newlines inside values would break rows
+function cleanIifValue(value) {
+  return String(value || '').replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+// YYYY-MM-DD -> MM/DD/YYYY, which QuickBooks expects
+function formatIifDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+// Each receipt becomes a credit card charge: the card account is credited and
+// the category (as an expense account) is debited. QuickBooks books in the home
+// currency, so receipts without an amount (or without a conversion rate for
+// their currency) can't be imported and are skipped.
+function buildIif(receipts, options) {
+  const paymentAccount = cleanIifValue(options.iifAccount) || 'Credit Card';
+  const lines = [
+    '!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tMEMO',
+    '!SPL\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tMEMO',
+    '!ENDTRNS'
+  ];
+
+  receipts.forEach(receipt => {
+    const isHomeCurrency = (receipt.currency || 'USD') === HOME_CURRENCY;
+    const amount = parseAmount(isHomeCurrency ? receipt.amount : receipt.homeAmount);
+    if (amount === null) return;
+
+    const date = formatIifDate(EXPORT_COLUMNS.date.value(receipt));
+    const vendor = cleanIifValue(receipt.vendor) || 'Unknown Vendor';
+    const memo = cleanIifValue(receipt.filename || receipt.subject);
+
+    lines.push(['TRNS', 'CREDIT CARD', date, paymentAccount, vendor, (-amount).toFixed(2), memo].join('\t'));
+    lines.push(['SPL', 'CREDIT CARD', date, cleanIifValue(getCategory(receipt)), vendor, amount.toFixed(2), memo].join('\t'));
+    lines.push('ENDTRNS');
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------- XLSX ----------
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+function xlsxCell(ref, value, numeric) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (numeric) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml(receipts, columns) {
+  const rows = [];
+
+  const headerCells = columns.map((column, i) => xlsxCell(`${columnLetter(i)}1`, EXPORT_COLUMNS[column].header));
+  rows.push(`<row r="1">${headerCells.join('')}</row>`);
+
+  receipts.forEach((receipt, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((column, i) => {
+      const definition = EXPORT_COLUMNS[column];
+      return xlsxCell(`${columnLetter(i)}${rowNumber}`, definition.value(receipt), definition.numeric);
+    });
+    rows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+// Minimal single-sheet workbook - just enough parts for Excel, Numbers and Sheets
+function buildXlsx(receipts, columns) {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Receipts" sheetId="1" r:id="rId1"/></sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: buildSheetXml(receipts, columns)
+    }
+  ];
+
+  return createZip(files);
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Store-only (uncompressed) zip archive - exports are small, so no deflate
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.from(file.data, 'utf8');
+    const checksum = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4);           // version needed
+    localHeader.writeUInt16LE(0x0800, 6);       // UTF-8 names
+    localHeader.writeUInt16LE(0, 8);            // stored
+    localHeader.writeUInt32LE(0, 10);           // mod time/date
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(data.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4);         // version made by
+    centralHeader.writeUInt16LE(20, 6);         // version needed
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(0, 10);
+    centralHeader.writeUInt32LE(0, 12);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(data.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, data);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseColumns,
+  parseDateRange,
+  buildExport
+};
@@ -0,0 +1,936 @@
+const currency = require('./currency');
+const vendorRegistry = require('./vendor-registry');
+const learnedRules = require('./learned-rules');
+const { createCandidate, rankCandidates, topValue } = require('./extraction-candidates');
+const { extractTableAmounts, extractLayoutAmounts } = require('./table-amounts');
+const { DEFAULT_FILENAME_TEMPLATE, parseReceiptFilename } = require('./receipt-filename');
+const { parseLocalDate, formatLocalDate } = require('./local-date');
+
+// Text extractors for receipt PDFs, filenames and emails. Kept out of
+// server.js so the fixture tests can run them without starting the server.
+
+// Analyze text context to determine business category
+function analyzeContext(text) {
+  const contextPatterns = [
+    // Grocery delivery (Instacart, etc.)
+    {
+      category: 'Groceries',
+      patterns: [
+        /shopper picked items/i,
+        /replacements you approved/i,
+        /delivered your order/i,
+        /farmers market/i,
+        /grocery/i,
+        /produce/i,
+        /organic/i
+      ]
+    },
+    
+    // Food delivery (DoorDash, Uber Eats, etc.)
+    {
+      category: 'Food Delivery',
+      patterns: [
+        /driver/i,
+        /restaurant/i,
+        /delivered.*food/i,
+        /pickup.*ready/i,
+        /estimated delivery/i
+      ]
+    },
+    
+    // Coffee shops
+    {
+      category: 'Coffee',
+      patterns: [
+        /barista/i,
+        /latte/i,
+        /cappuccino/i,
+        /espresso/i,
+        /coffee/i,
+        /frappuccino/i
+      ]
+    },
+    
+    // Retail/Shopping
+    {
+      category: 'Retail',
+      patterns: [
+        /order confirmation/i,
+        /shipped/i,
+        /tracking/i,
+        /warehouse/i,
+        /retail/i
+      ]
+    }
+  ];
+  
+  for (const context of contextPatterns) {
+    const matches = context.patterns.filter(pattern => pattern.test(text));
+    if (matches.length >= 2) { // Need at least 2 matching patterns for confidence
+      console.log(`Context analysis: ${context.category} (${matches.length} matches)`);
+      return context.category;
+    }
+  }
+  
+  return null;
+}
+
+// Vendor candidates from text, best first. learned is the user's learned rules
+// (see learned-rules.js); sender is the email's From header when there is one.
+// Confidence follows the order the checks run in: learned sender, confirmed
+// platform, store in the header, store anywhere, sender domain, business name.
+function extractVendorCandidates(text, learned, sender) {
+  console.log('  Extracting vendor from text...');
+  
+  // Split text into sections to prioritize header/top content
+  const lines = text.split('\n');
+  const topSection = lines.slice(0, Math.min(10, lines.length)).join('\n'); // First 10 lines
+  const fullText = text;
+  const candidates = [];
+  
+  console.log('    Top section:', topSection.substring(0, 200));
+  
+  // The user has told us who this sender is
+  const learnedVendor = learnedRules.matchSenderVendor(learned, sender || topSection);
+  if (learnedVendor) {
+    console.log(`      Found learned vendor for sender: ${learnedVendor}`);
+    candidates.push(createCandidate(learnedVendor, 0.95, 'learned-sender', { source: sender ? 'sender' : 'text' }));
+  }
+  
+  const vendors = vendorRegistry.getCompiledVendors();
+  
+  // Platforms (highest priority) - a registry entry with confirmation patterns
+  // matches anywhere in the text, but only when a second pattern confirms it
+  const platforms = vendors.filter(vendor => vendor.patterns.confirmationPatterns.length > 0);
+  for (const platform of platforms) {
+    console.log(`    Checking for ${platform.name}...`);
+    
+    // Check if any platform pattern matches
+    const mainPattern = platform.patterns.textPatterns.find(pattern => pattern.test(fullText));
+    
+    if (mainPattern) {
+      console.log(`      Found ${platform.name} main pattern`);
+      
+      // Confirm with secondary patterns
+      const confirmationMatches = platform.patterns.confirmationPatterns.filter(pattern => pattern.test(fullText));
+      console.log(`      Confirmation patterns matched: ${confirmationMatches.length}/${platform.patterns.confirmationPatterns.length}`);
+      
+      if (confirmationMatches.length >= 1) {
+        console.log(`      Confirmed ${platform.name}!`);
+        candidates.push(createCandidate(platform.name, 0.9, 'registry-platform', {
+          pattern: mainPattern,
+          match: fullText.match(mainPattern)
+        }));
+      }
+    }
+  }
+  
+  // Stores (medium priority) - look in top section first
+  const stores = vendors.filter(vendor =>
+    vendor.patterns.confirmationPatterns.length === 0 && vendor.patterns.textPatterns.length > 0
+  );
+  
+  // Check store patterns in top section first, then full text
+  for (const searchText of [topSection, fullText]) {
+    const inTopSection = searchText === topSection;
+    for (const store of stores) {
+      const pattern = store.patterns.textPatterns.find(storePattern => storePattern.test(searchText));
+      if (pattern) {
+        console.log(`      Found store: ${store.name} in ${inTopSection ? 'top section' : 'full text'}`);
+        candidates.push(createCandidate(store.name, inTopSection ? 0.8 : 0.65, inTopSection ? 'registry-store-header' : 'registry-store', {
+          pattern,
+          match: searchText.match(pattern)
+        }));
+      }
+    }
+  }
+  
+  // Email addresses in the header, matched against the registry's sender domains
+  const emailPattern = /@([a-zA-Z0-9\-]+)\.(com|net|org)/i;
+  const emailMatch = topSection.match(emailPattern);
+  if (emailMatch) {
+    const domainVendor = vendorRegistry.findVendorBySender(emailMatch[0]);
+    if (domainVendor) {
+      console.log(`      Found vendor from email domain: ${domainVendor.name}`);
+      candidates.push(createCandidate(domainVendor.name, 0.6, 'registry-email-domain', { pattern: emailPattern, match: emailMatch }));
+    }
+  }
+  
+  // Generic business patterns (lowest priority) - only in top section
+  const businessPatterns = [
+    /([A-Z][a-zA-Z\s&]+?)\s+(?:Store|Inc|LLC|Corp|Co\.|Restaurant|Cafe)/i,
+    /([A-Z][a-zA-Z\s&]+?)\s+Order\s+Confirmation/i,
+    /Thank you for shopping at\s+([A-Za-z0-9\s&]+)/i
+  ];
+  
+  for (const pattern of businessPatterns) {
+    const match = topSection.match(pattern);
+    if (match && match[1]) {
+      let vendor = match[1].trim();
+      
+      // Clean up common suffixes and prefixes
+      vendor = vendor.replace(/\s+(Inc|LLC|Corp|Co\.|Store|Order|Confirmation|Restaurant|Cafe)$/i, '');
+      vendor = vendor.replace(/^(Order|Details|www\.|https?:\/\/)/i, '');
+      
+      // Filter out common product names and noise
+      const productBlacklist = [
+        /apple/i, // Common product, not the company
+        /banana/i,
+        /orange/i,
+        /chicken/i,
+        /beef/i,
+        /pork/i,
+        /fish/i,
+        /bread/i,
+        /milk/i,
+        /cheese/i,
+        /arriving/i,
+        /package/i,
+        /delivered/i,
+        /shipping/i,
+        /tracking/i,
+        /payment/i,
+        /total/i,
+        /subtotal/i,
+        /tax/i,
+        /fee/i,
+        /tip/i
+      ];
+      
+      const isProduct = productBlacklist.some(blackPattern => blackPattern.test(vendor));
+      
+      if (!isProduct && vendor.length > 1 && vendor.length < 30) {
+        console.log(`      Found business vendor: ${vendor}`);
+        const name = vendor.charAt(0).toUpperCase() + vendor.slice(1).toLowerCase();
+        candidates.push(createCandidate(name, 0.4, 'business-name', { pattern, match }));
+      }
+    }
+  }
+  
+  if (candidates.length === 0) {
+    console.log('      No vendor found');
+  }
+  return rankCandidates(candidates);
+}
+
+// Extract vendor from text - the best of extractVendorCandidates
+function extractVendor(text, learned, sender) {
+  return topValue(extractVendorCandidates(text, learned, sender));
+}
+
+// Amount candidates from currency-normalised text, best first. Confidence
+// follows the order the checks run in: learned label, registry hint, final
+// total after a subtotal (or the subtotal itself), then the priority groups.
+function extractAmountCandidates(text, vendor, learned) {
+  console.log('  Extracting amount from text...');
+  const candidates = [];
+  
+  // A label the user picked out when correcting this vendor's amount
+  const learnedAmount = learnedRules.matchLearnedAmount(learned, text, vendor);
+  if (learnedAmount) {
+    console.log(`    Found learned ${vendor} amount label "${learnedAmount.label}": ${learnedAmount.amount}`);
+    candidates.push(createCandidate(learnedAmount.amount, 0.95, 'learned-amount-label', {
+      pattern: learnedAmount.label,
+      match: learnedAmount.match
+    }));
+  }
+  
+  // The registry knows which label some vendors put on the charged total
+  // (Instacart's "Total charged" differs from its "Total" when a credit applies)
+  const hinted = vendorRegistry.matchAmountHint(text, vendor);
+  if (hinted) {
+    console.log(`    Found ${vendor} amount hint "${hinted.hint}": ${hinted.amount}`);
+    candidates.push(createCandidate(hinted.amount, 0.9, 'registry-amount-hint', { pattern: hinted.hint, match: hinted.match }));
+  }
+  
+  // First, look for subtotal as an indicator
+  const subtotalPattern = /(?:Sub\s*)?total[:\s]*\$(\d+\.\d{2})/i;
+  const subtotalMatch = text.match(subtotalPattern);
+  if (subtotalMatch) {
+    console.log('    Found subtotal:', subtotalMatch[1]);
+    console.log('    Looking for final total after subtotal...');
+    
+    // Extract text after the subtotal to focus search
+    const subtotalIndex = text.indexOf(subtotalMatch[0]);
+    const textAfterSubtotal = text.substring(subtotalIndex);
+    console.log('    Text after subtotal (first 200 chars):', textAfterSubtotal.substring(0, 200));
+    
+    // Look for final total patterns in the text after subtotal
+    const finalTotalPatterns = [
+      /(?:Grand\s+|Final\s+|Order\s+)Total[:\s]*\$(\d+\.\d{2})/i, // Requires prefix to avoid "Subtotal"
+      /\bTotal[:\s]*\$(\d+\.\d{2})/i, // Word boundary to avoid "Subtotal"
+      /(?:Amount\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
+      /(?:Total\s+)?charged[:\s]*\$(\d+\.\d{2})/i,
+      /You\s+(?:paid|owe)[:\s]*\$(\d+\.\d{2})/i,
+      /(?:Card\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
+      /(?:Total\s+)?Due[:\s]*\$(\d+\.\d{2})/i
+    ];
+    
+    for (let i = 0; i < finalTotalPatterns.length; i++) {
+      const pattern = finalTotalPatterns[i];
+      const match = pattern.exec(textAfterSubtotal);
+      console.log(`      Final total pattern ${i + 1}: ${pattern} -> ${match ? '$' + match[1] : 'no match'}`);
+      
+      if (match) {
+        const amount = parseFloat(match[1]);
+        const subtotalAmount = parseFloat(subtotalMatch[1]);
+        
+        // Final total should be >= subtotal (with taxes, fees, etc.)
+        if (amount >= subtotalAmount) {
+          console.log(`    Found final total: $${amount.toFixed(2)} (subtotal was $${subtotalAmount.toFixed(2)})`);
+          candidates.push(createCandidate(amount.toFixed(2), 0.85, 'total-after-subtotal', { pattern, match, offset: subtotalIndex }));
+        } else {
+          console.log(`    Skipping amount $${amount.toFixed(2)} (less than subtotal $${subtotalAmount.toFixed(2)})`);
+        }
+      }
+    }
+    
+    // No final total found after subtotal: the subtotal is the fallback
+    candidates.push(createCandidate(subtotalMatch[1], 0.5, 'subtotal', { pattern: subtotalPattern, match: subtotalMatch }));
+    return rankCandidates(candidates);
+  }
+  
+  // If no subtotal found, use the original priority-based approach
+  console.log('    No subtotal found, using standard extraction...');
+  
+  // High-priority patterns (most likely to be the actual total)
+  const highPriorityPatterns = [
+    // Various total formats (excluding subtotal)
+    /(?:Grand\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Order\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Final\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
+    
+    // Payment and charge patterns
+    /(?:Amount\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Total\s+)?Amount[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Final\s+)?Payment[:\s]*\$(\d+\.\d{2})/i,
+    
+    // Receipt-specific patterns
+    /You\s+(?:paid|owe)[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Card\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
+    /(?:Total\s+)?Due[:\s]*\$(\d+\.\d{2})/i
+  ];
+  
+  // Medium-priority patterns
+  const mediumPriorityPatterns = [
+    // Context-aware patterns (look for $ near total indicators)
+    /total.*?\$(\d+\.\d{2})/i,
+    /\$(\d+\.\d{2}).*?total/i,
+    /paid.*?\$(\d+\.\d{2})/i,
+    /\$(\d+\.\d{2}).*?paid/i
+  ];
+  
+  // Low-priority patterns (last resort)
+  const lowPriorityPatterns = [
+    /\$(\d+\.\d{2})/i
+  ];
+  
+  const patternGroups = [
+    { name: 'high-priority', patterns: highPriorityPatterns, confidence: 0.75 },
+    { name: 'medium-priority', patterns: mediumPriorityPatterns, confidence: 0.45 },
+    { name: 'low-priority', patterns: lowPriorityPatterns, confidence: 0.25 }
+  ];
+  
+  // Every group contributes; earlier groups rank higher
+  for (const group of patternGroups) {
+    console.log(`    Trying ${group.name} patterns...`);
+    const matches = [];
+    
+    for (let i = 0; i < group.patterns.length; i++) {
+      const pattern = group.patterns[i];
+      const match = pattern.exec(text);
+      console.log(`      Pattern ${i + 1}: ${pattern} -> ${match ? '$' + match[1] : 'no match'}`);
+      
+      if (match && parseFloat(match[1]) > 0) {
+        matches.push({ pattern, match, amount: parseFloat(match[1]) });
+      }
+    }
+    
+    // For high-priority patterns, the first match is best (most specific);
+    // for others, the largest amount
+    if (group.name !== 'high-priority') {
+      matches.sort((a, b) => b.amount - a.amount);
+    }
+    matches.forEach(({ pattern, match, amount }) => {
+      candidates.push(createCandidate(amount.toFixed(2), group.confidence, group.name, { pattern, match }));
+    });
+  }
+  
+  if (candidates.length === 0) {
+    console.log('    No amount found');
+  }
+  return rankCandidates(candidates);
+}
+
+// Extract amount from text - the best of extractAmountCandidates
+function extractAmount(text, vendor, learned) {
+  return topValue(extractAmountCandidates(text, vendor, learned));
+}
+
+// Currency-aware wrapper: rewrites €/£/¥ and "1.234,56" style amounts as
+// plain $ amounts so extractAmount's patterns apply, then reports the currency.
+// Candidate spans index the returned (normalised) text.
+function extractAmountWithCurrency(text, sender, vendor, learned) {
+  const normalized = currency.normalizeCurrencyText(text, { sender });
+  console.log('  Detected currency:', normalized.currency);
+  const candidates = extractAmountCandidates(normalized.text, vendor, learned);
+  return { amount: topValue(candidates), currency: normalized.currency, text: normalized.text, candidates };
+}
+
+// Totals paired with their labels by position (table-amounts.js) rank
+// ahead of the text patterns. breakdown is the labelled
+// subtotal/tax/tip/fees/total/charged, or null.
+function withPairedAmounts(money, paired) {
+  if (!paired || paired.candidates.length === 0) {
+    return { ...money, breakdown: paired ? paired.breakdown : null };
+  }
+
+  console.log(`  Paired amounts: ${paired.candidates.map(candidate => `${candidate.rule} ${candidate.value}`).join(', ')}`);
+  const candidates = rankCandidates([...paired.candidates, ...money.candidates]);
+  return {
+    amount: topValue(candidates),
+    currency: paired.currency || money.currency,
+    text: money.text,
+    candidates,
+    breakdown: paired.breakdown
+  };
+}
+
+// Email bodies: the HTML's table cells, which the text patterns only see flattened
+function extractEmailAmountWithCurrency(text, htmlContent, sender, vendor, learned) {
+  const money = extractAmountWithCurrency(text, sender, vendor, learned);
+  return withPairedAmounts(money, htmlContent ? extractTableAmounts(htmlContent, { sender }) : null);
+}
+
+// PDFs read with pdf-layout.js: labels and amounts on the same printed line
+function extractPdfAmountWithCurrency(text, layout, sender, vendor, learned) {
+  const money = extractAmountWithCurrency(text, sender, vendor, learned);
+  return withPairedAmounts(money, layout ? extractLayoutAmounts(layout, { sender }) : null);
+}
+
+// Parse filename for vendor, amount, and date info
+// template is the user's filename template - a name we produced with it
+// reads back exactly, before any of the guessing below
+function parseFilename(filename, template = DEFAULT_FILENAME_TEMPLATE) {
+  console.log('  parseFilename called with:', filename);
+  const result = { vendor: null, amount: null, date: null, currency: null };
+  const matchedBy = {};
+  
+  const templated = parseReceiptFilename(filename, template);
+  if (templated && (templated.vendor || templated.amount)) {
+    console.log('  Matched filename template:', template);
+    ['vendor', 'amount', 'date'].forEach(field => {
+      result[field] = templated[field];
+      matchedBy[field] = { rule: 'filename-template' };
+    });
+    result.currency = templated.currency;
+    return withFilenameCandidates(result, matchedBy);
+  }
+  
+  // "Amazon 2025-06-01 EUR 45.90.pdf" -> "$45.90" for the patterns below
+  const normalizedFilename = currency.normalizeCurrencyText(filename);
+  filename = normalizedFilename.text;
+  result.currency = normalizedFilename.currency;
+  
+  // Common filename patterns
+  const patterns = [
+    // "Instacart $304.66.pdf" (vendor space amount)
+    /^([A-Za-z\s]+?)\s+\$(\d+\.\d{2})/i,
+    
+    // "Instacart - $172.51.pdf" (vendor dash amount)
+    /^([A-Za-z\s]+?)\s*-\s*\$(\d+\.\d{2})/i,
+    
+    // "Amazon_2025-07-10_$29.99.pdf"
+    /^([A-Za-z\s]+?)_(\d{4}-\d{2}-\d{2})_\$(\d+\.\d{2})/i,
+    
+    // "Starbucks Receipt $15.67 2025-07-15.pdf"
+    /^([A-Za-z\s]+?).*?\$(\d+\.\d{2}).*?(\d{4}-\d{2}-\d{2})/i,
+    
+    // "Receipt_2025-07-15.pdf" (date only)
+    /Receipt.*?(\d{4}-\d{2}-\d{2})/i,
+    
+    // General vendor patterns (no amount)
+    /^([A-Za-z\s]+)/i
+  ];
+  
+  console.log('  Testing', patterns.length, 'patterns...');
+  
+  for (let i = 0; i < patterns.length; i++) {
+    const pattern = patterns[i];
+    const match = filename.match(pattern);
+    console.log('    Pattern', i + 1, ':', pattern, '-> Match:', match);
+    
+    if (match) {
+      console.log('      Match groups:', match);
+      
+      if (match[1] && !result.vendor) {
+        const rawVendor = match[1].trim()
+          .replace(/\s*(receipt|order|invoice)\s*/i, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        
+        // Don't set vendor if it looks like a date (YYYY-MM-DD format)
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(rawVendor)) {
+          result.vendor = rawVendor;
+          matchedBy.vendor = { pattern, match };
+          console.log('      Set vendor:', rawVendor);
+        } else {
+          console.log('      Skipping vendor (looks like date):', rawVendor);
+        }
+      }
+      
+      // Look for amount in different capture groups
+      if (match[2] && match[2].includes('.') && !result.amount) {
+        result.amount = match[2];
+        matchedBy.amount = { pattern, match };
+        console.log('      Set amount from group 2:', match[2]);
+      } else if (match[3] && match[3].includes('.') && !result.amount) {
+        result.amount = match[3];
+        matchedBy.amount = { pattern, match };
+        console.log('      Set amount from group 3:', match[3]);
+      }
+      
+      // Look for date in different capture groups
+      if (match[2] && match[2].includes('-') && !result.date) {
+        result.date = match[2];
+        matchedBy.date = { pattern, match };
+        console.log('      Set date from group 2:', match[2]);
+      } else if (match[3] && match[3].includes('-') && !result.date) {
+        result.date = match[3];
+        matchedBy.date = { pattern, match };
+        console.log('      Set date from group 3:', match[3]);
+      } else if (match[1] && match[1].includes('-') && !result.date) {
+        result.date = match[1];
+        matchedBy.date = { pattern, match };
+        console.log('      Set date from group 1:', match[1]);
+      }
+      
+      console.log('      Result so far:', result);
+      
+      if (result.vendor || result.amount || result.date) {
+        console.log('      Breaking because we found something');
+        break;
+      }
+    }
+  }
+  
+  return withFilenameCandidates(result, matchedBy);
+}
+
+// Filenames are typed by people - usable, but weaker than the receipt's own text
+function withFilenameCandidates(result, matchedBy) {
+  result.candidates = {};
+  ['vendor', 'amount', 'date'].forEach(field => {
+    const { rule = 'filename', ...provenance } = matchedBy[field] || {};
+    result.candidates[field] = result[field]
+      ? [createCandidate(result[field], 0.5, rule, { ...provenance, source: 'filename' })]
+      : [];
+  });
+  
+  console.log('  Final parseFilename result:', result);
+  return result;
+}
+
+// Date candidates from text, best first: a learned date label, then the most
+// recent date found - surer when every date in the text agrees
+function extractDateCandidates(text, vendor, learned) {
+  console.log('  Extracting date from text...');
+  const candidates = [];
+  
+  const learnedDate = learnedRules.matchLearnedDate(learned, text, vendor);
+  if (learnedDate) {
+    console.log(`    Found learned ${vendor} date label "${learnedDate.label}": ${learnedDate.date}`);
+    candidates.push(createCandidate(learnedDate.date, 0.95, 'learned-date-label', {
+      pattern: learnedDate.label,
+      match: learnedDate.match
+    }));
+  }
+  
+  const datePatterns = [
+    // "June 23rd, 2025" format (with ordinal)
+    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
+    
+    // "placed on June 23rd, 2025" format
+    /placed on\s+((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
+    
+    // "delivered on June 23rd, 2025" format
+    /delivered on\s+((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
+    
+    // MM/DD/YYYY format
+    /(\d{1,2}\/\d{1,2}\/\d{4})/g,
+    // MM-DD-YYYY format
+    /(\d{1,2}-\d{1,2}-\d{4})/g,
+    // YYYY-MM-DD format
+    /(\d{4}-\d{1,2}-\d{1,2})/g,
+    // Month DD, YYYY format (without ordinal)
+    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4})/gi,
+    // Mon DD, YYYY format
+    /((?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4})/gi
+  ];
+  
+  const dates = [];
+  for (let i = 0; i < datePatterns.length; i++) {
+    const pattern = datePatterns[i];
+    console.log(`    Testing pattern ${i + 1}: ${pattern}`);
+    
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const dateStr = match[1];
+      console.log(`      Found date string: "${dateStr}"`);
+      
+      // Remove ordinal suffixes before parsing
+      const cleanDateStr = dateStr.replace(/(\d{1,2})(st|nd|rd|th)/g, '$1');
+      console.log(`      Cleaned date string: "${cleanDateStr}"`);
+      
+      const date = parseLocalDate(cleanDateStr);
+      console.log(`      Parsed date: ${date}`);
+      
+      // Check if date is valid and not in the future
+      if (!isNaN(date.getTime()) && date <= new Date()) {
+        console.log(`      Valid date found: ${formatLocalDate(date)}`);
+        dates.push({ date, pattern, match });
+      } else {
+        console.log(`      Invalid or future date, skipping`);
+      }
+    }
+  }
+  
+  console.log(`  Total valid dates found: ${dates.length}`);
+  
+  // The most recent valid date is the receipt date
+  if (dates.length > 0) {
+    dates.sort((a, b) => b.date.getTime() - a.date.getTime());
+    const formattedDates = dates.map(item => formatLocalDate(item.date));
+    const allAgree = formattedDates.every(formatted => formatted === formattedDates[0]);
+    console.log(`  Returning most recent date: ${formattedDates[0]}`);
+    
+    dates.forEach(({ pattern, match }, i) => {
+      const confidence = i === 0 ? (allAgree ? 0.7 : 0.6) : 0.4;
+      candidates.push(createCandidate(formattedDates[i], confidence, i === 0 ? 'most-recent-date' : 'other-date', { pattern, match }));
+    });
+  } else {
+    console.log('  No valid dates found');
+  }
+  
+  return rankCandidates(candidates);
+}
+
+// Extract date from text - the best of extractDateCandidates
+function extractDate(text, vendor, learned) {
+  return topValue(extractDateCandidates(text, vendor, learned));
+}
+
+// Vendor candidates from the email sender: a learned sender rule, then the
+// registry's sender domains
+function extractVendorFromSenderCandidates(sender, learned) {
+  console.log(`    Extracting vendor from sender: ${sender}`);
+  const candidates = [];
+  
+  const learnedVendor = learnedRules.matchSenderVendor(learned, sender);
+  if (learnedVendor) {
+    console.log(`      Found learned vendor for sender: ${learnedVendor}`);
+    candidates.push(createCandidate(learnedVendor, 0.95, 'learned-sender', { source: 'sender' }));
+  }
+  
+  const vendor = vendorRegistry.findVendorBySender(sender);
+  if (vendor) {
+    console.log(`      Found vendor from sender: ${vendor.name}`);
+    candidates.push(createCandidate(vendor.name, 0.85, 'registry-sender-domain', { source: 'sender' }));
+  }
+  
+  return rankCandidates(candidates);
+}
+
+// Helper function to extract vendor from email sender
+function extractVendorFromSender(sender, learned) {
+  return topValue(extractVendorFromSenderCandidates(sender, learned));
+}
+
+// Vendor candidates from the email subject: registry subject patterns name
+// the vendor outright, generic "Your X order" phrasings are a guess
+function extractVendorFromSubjectCandidates(subject) {
+  console.log(`    Extracting vendor from subject: ${subject}`);
+  const candidates = [];
+  
+  vendorRegistry.getCompiledVendors().forEach(vendor => {
+    const pattern = vendor.patterns.subjectPatterns.find(subjectPattern => subjectPattern.test(subject));
+    if (pattern) {
+      console.log(`      Found registry vendor from subject: ${vendor.name}`);
+      candidates.push(createCandidate(vendor.name, 0.7, 'registry-subject', { pattern, match: subject.match(pattern), source: 'subject' }));
+    }
+  });
+  
+  const patterns = [
+    /Your ([A-Za-z]+) order/i,
+    /([A-Za-z]+) order confirmation/i,
+    /Thank you for shopping at ([A-Za-z]+)/i,
+    /Your ([A-Za-z]+) delivery/i,
+    /([A-Za-z]+) receipt/i
+  ];
+  
+  for (const pattern of patterns) {
+    const match = subject.match(pattern);
+    if (match && match[1]) {
+      const vendor = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+      console.log(`      Found vendor from subject: ${vendor}`);
+      candidates.push(createCandidate(vendor, 0.35, 'subject-phrase', { pattern, match, source: 'subject' }));
+    }
+  }
+  
+  return rankCandidates(candidates);
+}
+
+// Helper function to extract vendor from email subject
+function extractVendorFromSubject(subject) {
+  return topValue(extractVendorFromSubjectCandidates(subject));
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// The calendar date of a Date header ("Fri, 12 Sep 2025 10:21:37 +0200") as
+// written - in the sender's timezone, which converting to UTC could shift
+function parseSentDate(header) {
+  const match = String(header || '').match(/\b(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{4})\b/i);
+  if (!match) return null;
+  const month = MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+// Date candidates for an email, best first: a learned date label, Amazon's
+// delivery line, then dates from the subject and body scored by the keywords
+// around them. With nothing found, the day the email was sent (its Date
+// header, sentDate) at low confidence - or no candidate, for review to fill in.
+function extractEmailDateCandidates(text, subject, sender, htmlContent, vendor, learned, sentDate) {
+  console.log('  Extracting date from email...');
+  console.log(`    Subject: ${subject}`);
+  console.log(`    Sender: ${sender}`);
+  console.log(`    Text sample: ${text.substring(0, 300)}...`);
+  const candidates = [];
+  
+  const learnedDate = learnedRules.matchLearnedDate(learned, text, vendor);
+  if (learnedDate) {
+    console.log(`    ✅ Learned ${vendor} date label "${learnedDate.label}": ${learnedDate.date}`);
+    candidates.push(createCandidate(learnedDate.date, 0.95, 'learned-date-label', {
+      pattern: learnedDate.label,
+      match: learnedDate.match
+    }));
+  }
+  
+  // For Amazon delivery emails, try to extract from HTML first
+  if (sender && sender.toLowerCase().includes('amazon') && htmlContent) {
+    console.log(`    🔍 Checking Amazon HTML for dates...`);
+    const amazonPattern = /arriving|delivered|shipped.*?(\w+\s+\d{1,2},?\s+\d{4})/i;
+    const amazonDateMatch = htmlContent.match(amazonPattern);
+    if (amazonDateMatch) {
+      console.log(`    🎯 Found Amazon date pattern: ${amazonDateMatch[0]}`);
+      const dateStr = amazonDateMatch[0].match(/(\w+\s+\d{1,2},?\s+\d{4})/i);
+      if (dateStr) {
+        const date = parseEmailDate(dateStr[1]);
+        if (date) {
+          console.log(`    ✅ Amazon date extracted: ${formatLocalDate(date)}`);
+          candidates.push(createCandidate(formatLocalDate(date), 0.85, 'amazon-delivery-html', {
+            pattern: amazonPattern,
+            match: amazonDateMatch,
+            source: 'html'
+          }));
+        }
+      }
+    }
+  }
+  
+  const dates = [];
+  
+  // Email-specific date patterns (more common in emails)
+  const emailDatePatterns = [
+    // Order placed/shipped patterns
+    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/gi,
+    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*(\d{4}-\d{1,2}-\d{1,2})/gi,
+    
+    // Date in subject line
+    /(\d{1,2}\/\d{1,2}\/\d{4})/g,
+    /(\d{4}-\d{1,2}-\d{1,2})/g,
+    
+    // Common email date formats
+    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4})/gi,
+    /((?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},?\s+\d{4})/gi,
+    
+    // Date with ordinals (common in emails)
+    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),?\s+\d{4})/gi,
+    
+    // Delivery date patterns
+    /delivery date[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    /delivery date[:\s]+(\d{1,2}\/\d{1,2}\/\d{4})/gi,
+    
+    // Expected delivery patterns
+    /expected[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    /arriving[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    
+    // Additional Amazon-specific patterns
+    /Delivery:\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    /Arriving\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
+    /([A-Za-z]+\s+\d{1,2},?\s+\d{4})\s*by.*pm/gi, // "July 15, 2025 by 10pm"
+    
+    // Generic date patterns as last resort
+    /\b([A-Za-z]+\s+\d{1,2},?\s+\d{4})\b/gi,
+    /\b(\d{1,2}\/\d{1,2}\/\d{4})\b/g,
+    /\b(\d{4}-\d{1,2}-\d{1,2})\b/g
+  ];
+  
+  // Check subject line first (often has the most relevant date)
+  if (subject) {
+    console.log(`    Checking subject for dates...`);
+    for (const pattern of emailDatePatterns) {
+      let match;
+      while ((match = pattern.exec(subject)) !== null) {
+        const dateStr = match[1];
+        console.log(`      Found date in subject: "${dateStr}"`);
+        const date = parseEmailDate(dateStr);
+        if (date) {
+          dates.push({ date, source: 'subject', confidence: 10, pattern, match });
+        }
+      }
+    }
+  }
+  
+  // Check email content
+  console.log(`    Checking email content for dates...`);
+  for (const pattern of emailDatePatterns) {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const dateStr = match[1];
+      console.log(`      Found date in content: "${dateStr}"`);
+      const date = parseEmailDate(dateStr);
+      if (date) {
+        // Give higher confidence to dates near order/delivery keywords
+        const beforeText = text.substring(Math.max(0, match.index - 50), match.index).toLowerCase();
+        const afterText = text.substring(match.index, Math.min(text.length, match.index + 50)).toLowerCase();
+        const contextText = beforeText + afterText;
+        
+        let confidence = 5;
+        if (contextText.includes('order') || contextText.includes('placed') || contextText.includes('shipped')) {
+          confidence = 8;
+        }
+        if (contextText.includes('delivery') || contextText.includes('delivered')) {
+          confidence = 9;
+        }
+        
+        dates.push({ date, source: 'content', confidence, pattern, match });
+      }
+    }
+  }
+  
+  console.log(`    📊 Found ${dates.length} potential dates`);
+  dates.forEach((item, i) => {
+    console.log(`      ${i + 1}. ${formatLocalDate(item.date)} (${item.source}, confidence: ${item.confidence})`);
+  });
+  
+  // If no dates found, let's see what we're working with
+  if (dates.length === 0) {
+    console.log(`    🔍 No dates found. Debugging...`);
+    console.log(`    📧 Subject: "${subject}"`);
+    console.log(`    👤 Sender: "${sender}"`);
+    console.log(`    📄 Text sample (first 500 chars): "${text.substring(0, 500)}"`);
+    
+    // Test some common date patterns manually
+    const testPatterns = [
+      /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/gi,
+      /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g,
+      /\b\d{4}-\d{1,2}-\d{1,2}\b/g
+    ];
+    
+    testPatterns.forEach((pattern, i) => {
+      const matches = text.match(pattern);
+      console.log(`    🧪 Test pattern ${i + 1}: ${pattern} -> ${matches ? matches.slice(0, 3) : 'no matches'}`);
+    });
+  }
+  
+  if (dates.length === 0) {
+    console.log('    ⚠️  No dates found in email content');
+    
+    // Try standard extraction as final attempt  
+    const standardDates = extractDateCandidates(text);
+    if (standardDates.length > 0) {
+      console.log(`    ✅ Standard extraction found: ${standardDates[0].value}`);
+      candidates.push(...standardDates);
+    }
+    
+    // Final fallback: receipts are mostly mailed the day of the purchase
+    const sentDay = candidates.length === 0 ? parseSentDate(sentDate) : null;
+    if (sentDay) {
+      console.log(`    📅 Using the email's sent date: ${sentDay}`);
+      candidates.push(createCandidate(sentDay, 0.3, 'email-sent-date', { source: 'header' }));
+    }
+    
+    return rankCandidates(candidates);
+  }
+  
+  // Sort by confidence (highest first), then by recency
+  dates.sort((a, b) => {
+    if (a.confidence !== b.confidence) {
+      return b.confidence - a.confidence;
+    }
+    return b.date.getTime() - a.date.getTime();
+  });
+  
+  console.log(`    Best date: ${formatLocalDate(dates[0].date)} (${dates[0].source}, confidence: ${dates[0].confidence})`);
+  
+  // Keyword scores run 5-10; scale them under the learned and Amazon candidates
+  dates.forEach(({ date, source, confidence, pattern, match }) => {
+    candidates.push(createCandidate(formatLocalDate(date), confidence * 0.08, `${source}-date`, {
+      pattern,
+      match,
+      source: source === 'subject' ? 'subject' : 'text'
+    }));
+  });
+  
+  return rankCandidates(candidates);
+}
+
+// Enhanced date extraction specifically for emails - the best of extractEmailDateCandidates
+function extractEmailDate(text, subject, sender, htmlContent, vendor, learned, sentDate) {
+  return topValue(extractEmailDateCandidates(text, subject, sender, htmlContent, vendor, learned, sentDate));
+}
+
+// Helper to parse various email date formats
+function parseEmailDate(dateStr) {
+  try {
+    // Remove ordinal suffixes
+    const cleanDateStr = dateStr.replace(/(\d{1,2})(st|nd|rd|th)/g, '$1');
+    
+    const date = parseLocalDate(cleanDateStr);
+    
+    // Check if date is valid and not in the future (with 1 day tolerance)
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    
+    if (!isNaN(date.getTime()) && date <= tomorrow) {
+      return date;
+    }
+  } catch (error) {
+    console.log(`      Error parsing date "${dateStr}": ${error.message}`);
+  }
+  
+  return null;
+}
+
+module.exports = {
+  analyzeContext,
+  extractVendor,
+  extractAmount,
+  extractAmountWithCurrency,
+  extractEmailAmountWithCurrency,
+  extractPdfAmountWithCurrency,
+  parseFilename,
+  extractDate,
+  extractVendorFromSender,
+  extractVendorFromSubject,
+  extractEmailDate,
+  parseEmailDate,
+  extractVendorCandidates,
+  extractAmountCandidates,
+  extractDateCandidates,
+  extractVendorFromSenderCandidates,
+  extractVendorFromSubjectCandidates,
+  extractEmailDateCandidates
+};
@@ -0,0 +1,287 @@
+const { formatAmountLabel, formatAmount } = require('./currency');
+const { getVendorCategory } = require('./vendor-registry');
+const { getUserSettings } = require('./user-settings');
+const receiptLedger = require('./receipt-ledger');
+
+// Output filenames for filed receipts, built from a template of {tokens}:
+//   {vendor}, {date} or {date:FORMAT} (YYYY, YY, MM, DD, MMM, MMMM),
+//   {amount} (with its currency label - "$12.34", "EUR 12.34"),
+//   {currency} (ISO code), {category}, {order}, {invoice}, {card} (last four),
+//   {quarter} ("Q3") and {project} (the user's project code setting)
+// A token with no value is dropped along with the separator before it, so
+// "{vendor} {date} {amount} #{order}" still gives "Amazon 2025-06-26 $12.34.pdf"
+// for a receipt without an order number. Each user can set their own template
+// in settings; parseReceiptFilename reads a name back with the same template.
+// Drive folder layouts (google-drive.js) use the same tokens.
+const DEFAULT_FILENAME_TEMPLATE = process.env.RECEIPT_FILENAME_TEMPLATE || '{vendor} {date} {amount}';
+
+const FILENAME_TOKENS = ['vendor', 'date', 'amount', 'currency', 'category', 'order', 'invoice', 'card', 'quarter', 'project'];
+
+// Longest first so MMMM isn't read as MM + MM
+const DATE_FORMAT_PARTS = /YYYY|YY|MMMM|MMM|MM|DD/g;
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Characters Drive accepts but Windows, macOS or a sync client doesn't
+const ILLEGAL_FILENAME_CHARS = /[<>:"\/\\|?*\u0000-\u001F]/g;
+const MAX_TEMPLATE_LENGTH = 200;
+const MAX_FILENAME_LENGTH = 150;
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^{}]+))?\}/g;
+
+// Literal text and the separator before each token, for rendering and parsing
+function parseTemplate(template) {
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(template)) !== null) {
+    const literal = template.slice(lastIndex, match.index);
+    // The trailing run of spaces/punctuation is the token's separator
+    const separator = literal.match(/[^\w{}]*$/)[0];
+    parts.push({ literal: literal.slice(0, literal.length - separator.length), separator, token: match[1], format: match[2] || null });
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push({ literal: template.slice(lastIndex), separator: '', token: null, format: null });
+  return parts;
+}
+
+// A template error for the settings endpoint, or null when it's usable.
+// Folder names may be plain text ("Expense Receipts"), so requireToken is off for them.
+function validateTemplate(template, { requireToken = true } = {}) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'Filename template must be a non-empty string';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Filename template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+  if (/[<>:"\/\\|?*\u0000-\u001F]/.test(template.replace(TOKEN_PATTERN, ''))) {
+    return 'Filename template can\'t contain < > : " / \\ | ? or *';
+  }
+
+  const parts = parseTemplate(template).filter(part => part.token);
+  if (requireToken && parts.length === 0) {
+    return `Filename template needs at least one token: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')}`;
+  }
+  for (const part of parts) {
+    if (!FILENAME_TOKENS.includes(part.token)) {
+      return `Unknown filename token {${part.token}}`;
+    }
+    if (part.format && part.token !== 'date') {
+      return `Only {date} takes a format, not {${part.token}}`;
+    }
+    if (part.format && !/^(?:YYYY|YY|MMMM|MMM|MM|DD|[-_. ])+$/.test(part.format)) {
+      return `Date format "${part.format}" may only use YYYY, YY, MM, DD, MMM, MMMM and - _ . or space`;
+    }
+  }
+  return null;
+}
+
+function formatDate(isoDate, format) {
+  const [year, month, day] = isoDate.split('-');
+  const values = {
+    YYYY: year,
+    YY: year.slice(2),
+    MMMM: MONTH_NAMES[parseInt(month, 10) - 1],
+    MMM: MONTH_NAMES[parseInt(month, 10) - 1].slice(0, 3),
+    MM: month,
+    DD: day
+  };
+  return format.replace(DATE_FORMAT_PARTS, part => values[part]);
+}
+
+function sanitizeFilename(name) {
+  return name
+    .replace(/[\/\\|]/g, '-')
+    .replace(ILLEGAL_FILENAME_CHARS, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_FILENAME_LENGTH)
+    .replace(/^[\s.-]+|[\s.-]+$/g, '');
+}
+
+function tokenValues(fields) {
+  const receiptDate = /^\d{4}-\d{2}-\d{2}$/.test(fields.receiptDate || '')
+    ? fields.receiptDate
+    : new Date().toISOString().split('T')[0];
+  return {
+    vendor: fields.vendor,
+    date: format => formatDate(receiptDate, format || 'YYYY-MM-DD'),
+    amount: fields.amount ? formatAmountLabel(fields.amount, fields.currency) : null,
+    currency: fields.amount ? fields.currency || 'USD' : null,
+    category: fields.category || getVendorCategory(fields.vendor),
+    order: fields.orderNumber,
+    invoice: fields.invoiceNumber,
+    card: fields.cardLast4,
+    quarter: `Q${Math.ceil(parseInt(receiptDate.split('-')[1], 10) / 3)}`,
+    project: fields.project
+  };
+}
+
+// The template filled in and sanitized - '' when every token was empty.
+// Each value is sanitized on its own so a "/" in a vendor can't fake a separator.
+function renderTemplate(template, fields) {
+  const values = tokenValues(fields);
+  const name = parseTemplate(template).map(({ literal, separator, token, format }) => {
+    if (!token) return literal;
+    const value = typeof values[token] === 'function' ? values[token](format) : values[token];
+    const cleaned = value ? sanitizeFilename(String(value)) : '';
+    return `${literal}${cleaned ? `${separator}${cleaned}` : ''}`;
+  }).join('');
+  return sanitizeFilename(name);
+}
+
+// The name for these fields under a template, before any collision suffix
+function formatReceiptFilename(fields, template = DEFAULT_FILENAME_TEMPLATE) {
+  return `${renderTemplate(template, fields) || `Receipt ${tokenValues(fields).date()}`}.pdf`;
+}
+
+// "Amazon 2025-06-26 $12.34.pdf" -> "Amazon 2025-06-26 $12.34 (2).pdf" when taken
+function uniqueFilename(filename, takenNames) {
+  const taken = new Set([...takenNames].filter(Boolean).map(name => name.toLowerCase()));
+  if (!taken.has(filename.toLowerCase())) return filename;
+
+  const base = filename.replace(/\.pdf$/i, '');
+  let suffix = 2;
+  while (taken.has(`${base} (${suffix}).pdf`.toLowerCase())) {
+    suffix++;
+  }
+  return `${base} (${suffix}).pdf`;
+}
+
+function getUserTemplate(userEmail) {
+  return (userEmail && getUserSettings(userEmail).filenameTemplate) || DEFAULT_FILENAME_TEMPLATE;
+}
+
+// {project} comes from the user's settings unless the receipt has its own
+function withUserProject(userEmail, fields) {
+  if (fields.project || !userEmail) return fields;
+  return { ...fields, project: getUserSettings(userEmail).projectCode };
+}
+
+// The name a receipt is filed under: the user's template when vendor and
+// amount are known, "<fallback> <date>" otherwise, suffixed if the user
+// already has a receipt by that name. excludeMessageId is the receipt's own
+// Gmail message, whose ledger entry is about to be overwritten.
+function buildReceiptFilename(userEmail, fields, { fallback = 'Receipt', excludeMessageId } = {}) {
+  const name = fields.vendor && fields.amount
+    ? formatReceiptFilename(withUserProject(userEmail, fields), getUserTemplate(userEmail))
+    : `${sanitizeFilename(`${fallback} ${tokenValues(fields).date()}`)}.pdf`;
+  if (!userEmail) return name;
+
+  const takenNames = receiptLedger.listReceipts(userEmail)
+    .filter(receipt => !excludeMessageId || receipt.messageId !== excludeMessageId)
+    .map(receipt => receipt.filename);
+  return uniqueFilename(name, takenNames);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function datePattern(format) {
+  const groups = [];
+  const pattern = escapeRegex(format).replace(DATE_FORMAT_PARTS, part => {
+    groups.push(part);
+    if (part === 'YYYY') return '(\\d{4})';
+    if (part === 'MMMM') return `(${MONTH_NAMES.join('|')})`;
+    if (part === 'MMM') return `(${MONTH_NAMES.map(month => month.slice(0, 3)).join('|')})`;
+    return '(\\d{2})';
+  });
+  return { pattern, groups };
+}
+
+function dateFromParts(parts) {
+  const year = parts.YYYY || (parts.YY ? `20${parts.YY}` : null);
+  const monthName = parts.MMMM || parts.MMM;
+  const month = parts.MM || (monthName
+    ? String(MONTH_NAMES.findIndex(name => name.startsWith(monthName)) + 1).padStart(2, '0')
+    : null);
+  if (!year || !month || !parts.DD) return null;
+
+  const date = `${year}-${month}-${parts.DD}`;
+  return isNaN(new Date(date).getTime()) ? null : date;
+}
+
+const TOKEN_PATTERNS = {
+  vendor: '(.+?)',
+  amount: '(\\$\\d+(?:\\.\\d{2})?|[A-Z]{3} \\d+(?:\\.\\d{2})?)',
+  currency: '([A-Z]{3})',
+  category: '(.+?)',
+  order: '([A-Za-z0-9_-]+)',
+  invoice: '([A-Za-z0-9_-]+)',
+  card: '(\\d{4})',
+  quarter: '(Q[1-4])',
+  project: '(.+?)'
+};
+
+// Read a name produced by formatReceiptFilename back into its fields:
+// { vendor, amount, currency, date, category, orderNumber, invoiceNumber,
+// cardLast4, project } with null for tokens the template doesn't have (or that were
+// dropped), or null when the name doesn't fit the template at all.
+function parseReceiptFilename(filename, template = DEFAULT_FILENAME_TEMPLATE) {
+  const name = String(filename || '').replace(/\.pdf$/i, '').replace(/ \(\d+\)$/, '');
+  const groups = [];
+
+  const pattern = parseTemplate(template).map(({ literal, separator, token, format }) => {
+    if (!token || (!TOKEN_PATTERNS[token] && token !== 'date')) return escapeRegex(literal);
+    let tokenPattern = TOKEN_PATTERNS[token];
+    if (token === 'date') {
+      const date = datePattern(format || 'YYYY-MM-DD');
+      tokenPattern = date.pattern;
+      date.groups.forEach(part => groups.push({ token, part }));
+    } else {
+      groups.push({ token });
+    }
+    // Every token can be missing (dropped with its separator) except the date
+    const optional = token === 'date' ? '' : '?';
+    return `${escapeRegex(literal)}(?:${escapeRegex(separator)}${tokenPattern})${optional}`;
+  }).join('');
+
+  const match = name.match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  const values = {};
+  const dateParts = {};
+  groups.forEach(({ token, part }, index) => {
+    const value = match[index + 1];
+    if (value === undefined) return;
+    if (token === 'date') {
+      dateParts[part] = value;
+    } else if (values[token] === undefined) {
+      values[token] = value.trim();
+    }
+  });
+
+  let amount = null;
+  let currency = values.currency || null;
+  if (values.amount) {
+    const [, code, number] = values.amount.match(/^(?:\$|([A-Z]{3}) )(.+)$/);
+    amount = formatAmount(number, code || 'USD');
+    currency = code || currency || 'USD';
+  }
+
+  return {
+    vendor: values.vendor || null,
+    amount,
+    currency,
+    date: dateFromParts(dateParts),
+    category: values.category || null,
+    orderNumber: values.order || null,
+    invoiceNumber: values.invoice || null,
+    cardLast4: values.card || null,
+    project: values.project || null
+  };
+}
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATE,
+  FILENAME_TOKENS,
+  validateTemplate,
+  renderTemplate,
+  formatReceiptFilename,
+  uniqueFilename,
+  getUserTemplate,
+  withUserProject,
+  buildReceiptFilename,
+  parseReceiptFilename
+};
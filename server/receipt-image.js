@@ -0,0 +1,296 @@
+// Photo receipts (JPEG/PNG/WebP/HEIC) -> upright, cropped JPEG for OCR plus a
+// single-page PDF so photos go through the same naming/Drive flow as PDFs.
+
+const IMAGE_CONFIG = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // Phone photos are routinely 3-6MB
+  MAX_DIMENSION: 2000,              // Plenty for OCR, keeps the PDF small
+  JPEG_QUALITY: 0.9,
+  TIMEOUT_MS: 30000
+};
+
+const SUPPORTED_IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heic'
+};
+
+// Some clients send HEIC as application/octet-stream, so fall back to the extension
+function getImageType(mimeType, filename) {
+  if (SUPPORTED_IMAGE_TYPES[mimeType]) {
+    return SUPPORTED_IMAGE_TYPES[mimeType];
+  }
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  const byExtension = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp', heic: 'heic', heif: 'heic' };
+  return byExtension[extension] || null;
+}
+
+// Chrome can't decode HEIC, so convert iPhone photos to JPEG first
+async function convertHeicToJpeg(buffer) {
+  const heicConvert = require('heic-convert');
+  const output = await heicConvert({ buffer, format: 'JPEG', quality: IMAGE_CONFIG.JPEG_QUALITY });
+  return Buffer.from(output);
+}
+
+// Runs inside the browser page. Drawing the <img> applies its EXIF
+// orientation, then the receipt (the bright paper) is cropped out of the
+// darker background using an Otsu threshold on a downscaled copy.
+function rotateAndCropInPage(dataUrl, maxDimension, jpegQuality) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onerror = () => reject(new Error('Could not decode image'));
+    img.onload = () => {
+      const width = img.naturalWidth;
+      const height = img.naturalHeight;
+
+      // Luminance histogram of a small copy
+      const sampleScale = Math.min(1, 400 / Math.max(width, height));
+      const sampleWidth = Math.max(1, Math.round(width * sampleScale));
+      const sampleHeight = Math.max(1, Math.round(height * sampleScale));
+      const sample = document.createElement('canvas');
+      sample.width = sampleWidth;
+      sample.height = sampleHeight;
+      const sampleContext = sample.getContext('2d');
+      sampleContext.drawImage(img, 0, 0, sampleWidth, sampleHeight);
+      const pixels = sampleContext.getImageData(0, 0, sampleWidth, sampleHeight).data;
+
+      const luminance = new Uint8Array(sampleWidth * sampleHeight);
+      const histogram = new Array(256).fill(0);
+      for (let i = 0; i < luminance.length; i++) {
+        const value = Math.round(0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]);
+        luminance[i] = value;
+        histogram[value]++;
+      }
+
+      // Otsu's method - threshold that best separates paper from background
+      let sum = 0;
+      for (let i = 0; i < 256; i++) sum += i * histogram[i];
+      let sumBackground = 0;
+      let weightBackground = 0;
+      let bestVariance = 0;
+      let threshold = 128;
+      for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = luminance.length - weightBackground;
+        if (weightForeground === 0) break;
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2);
+        if (variance > bestVariance) {
+          bestVariance = variance;
+          threshold = i;
+        }
+      }
+
+      // Rows/columns that are mostly paper bound the receipt
+      const rowIsPaper = [];
+      const columnCounts = new Array(sampleWidth).fill(0);
+      for (let y = 0; y < sampleHeight; y++) {
+        let count = 0;
+        for (let x = 0; x < sampleWidth; x++) {
+          if (luminance[y * sampleWidth + x] > threshold) {
+            count++;
+            columnCounts[x]++;
+          }
+        }
+        rowIsPaper.push(count > sampleWidth * 0.25);
+      }
+      const columnIsPaper = columnCounts.map(count => count > sampleHeight * 0.25);
+
+      const top = rowIsPaper.indexOf(true);
+      const bottom = rowIsPaper.lastIndexOf(true);
+      const left = columnIsPaper.indexOf(true);
+      const right = columnIsPaper.lastIndexOf(true);
+
+      let crop = { x: 0, y: 0, width, height };
+      let cropped = false;
+      if (top >= 0 && left >= 0) {
+        const boxArea = (bottom - top + 1) * (right - left + 1);
+        const coverage = boxArea / (sampleWidth * sampleHeight);
+        // Only crop when there's a clear receipt that doesn't already fill the frame
+        if (coverage > 0.15 && coverage < 0.9) {
+          const margin = 0.02;
+          const x0 = Math.max(0, left / sampleWidth - margin);
+          const y0 = Math.max(0, top / sampleHeight - margin);
+          const x1 = Math.min(1, (right + 1) / sampleWidth + margin);
+          const y1 = Math.min(1, (bottom + 1) / sampleHeight + margin);
+          crop = {
+            x: Math.round(x0 * width),
+            y: Math.round(y0 * height),
+            width: Math.round((x1 - x0) * width),
+            height: Math.round((y1 - y0) * height)
+          };
+          cropped = true;
+        }
+      }
+
+      const outputScale = Math.min(1, maxDimension / Math.max(crop.width, crop.height));
+      const output = document.createElement('canvas');
+      output.width = Math.round(crop.width * outputScale);
+      output.height = Math.round(crop.height * outputScale);
+      const outputContext = output.getContext('2d');
+      outputContext.fillStyle = '#ffffff';
+      outputContext.fillRect(0, 0, output.width, output.height);
+      outputContext.drawImage(img, crop.x, crop.y, crop.width, crop.height, 0, 0, output.width, output.height);
+
+      // Difference hash of the cropped receipt: 9x8 greyscale, one bit per
+      // "brighter than its right neighbour" - survives re-compression and resizing
+      const hashCanvas = document.createElement('canvas');
+      hashCanvas.width = 9;
+      hashCanvas.height = 8;
+      const hashContext = hashCanvas.getContext('2d');
+      hashContext.drawImage(output, 0, 0, 9, 8);
+      const hashPixels = hashContext.getImageData(0, 0, 9, 8).data;
+      const grey = index => 0.299 * hashPixels[index * 4] + 0.587 * hashPixels[index * 4 + 1] + 0.114 * hashPixels[index * 4 + 2];
+      let perceptualHash = '';
+      for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+          nibble = (nibble << 1) | (grey(y * 9 + x) > grey(y * 9 + x + 1) ? 1 : 0);
+          if (x % 4 === 3) {
+            perceptualHash += nibble.toString(16);
+            nibble = 0;
+          }
+        }
+      }
+
+      resolve({
+        dataUrl: output.toDataURL('image/jpeg', jpegQuality),
+        width: output.width,
+        height: output.height,
+        cropped,
+        perceptualHash
+      });
+    };
+    img.src = dataUrl;
+  });
+}
+
+async function rotateAndCrop(buffer, imageType) {
+  // Loaded here, not at the top: email-attachments.js needs only getImageType,
+  // and the root server requires it without having puppeteer installed
+  const puppeteer = require('puppeteer');
+  let browser = null;
+
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--no-first-run',
+        '--disable-extensions'
+      ],
+      timeout: IMAGE_CONFIG.TIMEOUT_MS
+    });
+
+    const page = await browser.newPage();
+    page.setDefaultTimeout(IMAGE_CONFIG.TIMEOUT_MS);
+
+    const dataUrl = `data:image/${imageType};base64,${buffer.toString('base64')}`;
+    const result = await page.evaluate(rotateAndCropInPage, dataUrl, IMAGE_CONFIG.MAX_DIMENSION, IMAGE_CONFIG.JPEG_QUALITY);
+
+    return {
+      jpegBuffer: Buffer.from(result.dataUrl.split(',')[1], 'base64'),
+      width: result.width,
+      height: result.height,
+      cropped: result.cropped,
+      perceptualHash: result.perceptualHash
+    };
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeError) {
+        console.error('Error closing browser:', closeError);
+      }
+    }
+  }
+}
+
+// Wrap a JPEG in a single-page PDF (letter width, height follows the photo)
+function jpegToPdf(jpegBuffer, width, height) {
+  const pageWidth = 612;
+  const pageHeight = Math.round(pageWidth * height / width);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    null // image - written separately because its stream is binary
+  ];
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    let part;
+    if (object === null) {
+      part = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBuffer.length} >>\nstream\n`, 'latin1'),
+        jpegBuffer,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ]);
+    } else {
+      part = Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1');
+    }
+    parts.push(part);
+    length += part.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  parts.push(Buffer.from(xref + '\n', 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+// Normalise a photo receipt; returns { jpegBuffer, pdfBuffer, width, height, cropped, perceptualHash }
+async function prepareReceiptImage(buffer, mimeType, filename) {
+  const imageType = getImageType(mimeType, filename);
+  if (!imageType) {
+    throw new Error(`Unsupported image type: ${mimeType}`);
+  }
+
+  let imageBuffer = buffer;
+  let browserType = imageType;
+  if (imageType === 'heic') {
+    console.log('Converting HEIC to JPEG...');
+    imageBuffer = await convertHeicToJpeg(buffer);
+    browserType = 'jpeg';
+  }
+
+  const image = await rotateAndCrop(imageBuffer, browserType);
+  console.log(`Prepared receipt image: ${image.width}x${image.height}${image.cropped ? ' (cropped)' : ''}`);
+
+  return {
+    ...image,
+    pdfBuffer: jpegToPdf(image.jpegBuffer, image.width, image.height)
+  };
+}
+
+module.exports = {
+  IMAGE_CONFIG,
+  getImageType,
+  prepareReceiptImage,
+  jpegToPdf
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonStore } = require('./json-store');
+
+// Per-user receipt ledger - persistent storage shared by both servers.
+// Replaces the old global processed_emails.json, whose IDs can't be
+// attributed to an account and are therefore not imported.
+const LEDGER_FILE = path.join(__dirname, 'receipt_ledger.json');
+
+const FORWARD_STATUS = {
+  NOT_FORWARDED: 'not_forwarded',
+  FORWARDED: 'forwarded',
+  FAILED: 'failed'
+};
+
+// Load the whole ledger from file; a corrupt one is moved aside, not overwritten
+function loadLedger() {
+  return readJsonStore(LEDGER_FILE);
+}
+
+// Save the whole ledger to file (write-then-rename so a crash can't truncate it)
+function saveLedger(ledger) {
+  try {
+    const tempFile = `${LEDGER_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tempFile, LEDGER_FILE);
+  } catch (error) {
+    console.error('Error saving receipt ledger:', error);
+  }
+}
+
+function normalizeUserKey(userEmail) {
+  const key = String(userEmail || '').trim().toLowerCase();
+  if (!key) {
+    throw new Error('User email is required for the receipt ledger');
+  }
+  return key;
+}
+
+// Receipt ids come from request URLs; an own-key check keeps "__proto__" or
+// "constructor" from reaching Object.prototype
+function hasReceipt(receipts, receiptId) {
+  return Object.hasOwn(receipts, receiptId);
+}
+
+function getUserReceipts(ledger, userEmail) {
+  const key = normalizeUserKey(userEmail);
+  if (!ledger[key]) {
+    ledger[key] = {};
+  }
+  return ledger[key];
+}
+
+// Record a processed receipt and return the stored entry
+function addReceipt(userEmail, data) {
+  const ledger = loadLedger();
+  const receipts = getUserReceipts(ledger, userEmail);
+  const now = new Date().toISOString();
+
+  const receipt = {
+    id: crypto.randomUUID(),
+    messageId: data.messageId || null,
+    source: data.source || 'upload',
+    vendor: data.vendor || null,
+    amount: data.amount || null,
+    currency: data.currency || 'USD',
+    homeAmount: data.homeAmount || null,
+    receiptDate: data.receiptDate || null,
+    filename: data.filename || null,
+    originalFilename: data.originalFilename || null,
+    subject: data.subject || null,
+    sender: data.sender || null,
+    driveFileId: data.driveFileId || null,
+    driveLink: data.driveLink || null,
+    driveFolderPath: data.driveFolderPath || null,
+    // Receipts filed outside Drive (see receipt-storage.js)
+    storageBackend: data.storageBackend || null,
+    storageKey: data.storageKey || null,
+    storageLink: data.storageLink || null,
+    project: data.project || null,
+    forwardStatus: data.forwardStatus || FORWARD_STATUS.NOT_FORWARDED,
+    forwardedAt: data.forwardedAt || null,
+    forwardRecipient: data.forwardRecipient || null,
+    extractionLabels: data.extractionLabels || null,
+    // Reference numbers (see receipt-references.js)
+    orderNumber: data.orderNumber || null,
+    invoiceNumber: data.invoiceNumber || null,
+    cardLast4: data.cardLast4 || null,
+    // Duplicate detection fingerprints (see duplicate-detector.js)
+    contentHash: data.contentHash || null,
+    textHash: data.textHash || null,
+    perceptualHash: data.perceptualHash || null,
+    duplicateOf: data.duplicateOf || null,
+    correctedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  receipts[receipt.id] = receipt;
+  saveLedger(ledger);
+  return receipt;
+}
+
+// Update fields of an existing receipt; returns null if it doesn't exist
+function updateReceipt(userEmail, receiptId, updates) {
+  const ledger = loadLedger();
+  const receipts = getUserReceipts(ledger, userEmail);
+  if (!hasReceipt(receipts, receiptId)) {
+    return null;
+  }
+
+  const { id, createdAt, ...allowed } = updates;
+  receipts[receiptId] = {
+    ...receipts[receiptId],
+    ...allowed,
+    updatedAt: new Date().toISOString()
+  };
+  saveLedger(ledger);
+  return receipts[receiptId];
+}
+
+// Insert or update the entry for a Gmail message
+function upsertReceiptByMessageId(userEmail, messageId, data) {
+  const existing = findReceiptByMessageId(userEmail, messageId);
+  if (existing) {
+    return updateReceipt(userEmail, existing.id, data);
+  }
+  return addReceipt(userEmail, { ...data, messageId, source: data.source || 'email' });
+}
+
+function getReceipt(userEmail, receiptId) {
+  const receipts = loadLedger()[normalizeUserKey(userEmail)] || {};
+  return hasReceipt(receipts, receiptId) ? receipts[receiptId] : null;
+}
+
+function findReceiptByMessageId(userEmail, messageId) {
+  if (!messageId) return null;
+  const receipts = loadLedger()[normalizeUserKey(userEmail)] || {};
+  return Object.values(receipts).find(receipt => receipt.messageId === messageId) || null;
+}
+
+// Dedup check used by the scanners - scoped to the account. Entries created
+// only by forwarding have no filename yet and still need to be filed.
+function hasProcessedMessage(userEmail, messageId) {
+  const receipt = findReceiptByMessageId(userEmail, messageId);
+  return !!(receipt && receipt.filename);
+}
+
+function hasForwardedMessage(userEmail, messageId) {
+  const receipt = findReceiptByMessageId(userEmail, messageId);
+  return !!(receipt && receipt.forwardStatus === FORWARD_STATUS.FORWARDED);
+}
+
+// List receipts newest first, optionally filtered by receipt date range
+// (YYYY-MM-DD), vendor or the last four digits of the card charged
+function listReceipts(userEmail, options = {}) {
+  const { from, to, vendor, cardLast4, limit } = options;
+  const receipts = Object.values(loadLedger()[normalizeUserKey(userEmail)] || {});
+
+  const filtered = receipts.filter(receipt => {
+    const date = receipt.receiptDate || receipt.createdAt.split('T')[0];
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    if (vendor && (receipt.vendor || '').toLowerCase() !== vendor.toLowerCase()) return false;
+    if (cardLast4 && receipt.cardLast4 !== cardLast4) return false;
+    return true;
+  });
+
+  filtered.sort((a, b) => {
+    const dateA = a.receiptDate || a.createdAt;
+    const dateB = b.receiptDate || b.createdAt;
+    return dateB.localeCompare(dateA);
+  });
+
+  return limit ? filtered.slice(0, limit) : filtered;
+}
+
+// Receipts that could be a card statement line: the same amount (in the
+// receipt's currency or converted to the home currency) within a few days of
+// the posting date. A receipt naming a different card is ruled out; one
+// naming no card is kept, after the ones naming this card.
+function findReceiptsForCharge(userEmail, { amount, date, cardLast4, windowDays = 3 }) {
+  const chargeAmount = parseFloat(amount);
+  const chargeTime = new Date(date).getTime();
+  const receipts = Object.values(loadLedger()[normalizeUserKey(userEmail)] || {});
+
+  return receipts
+    .filter(receipt => {
+      if (cardLast4 && receipt.cardLast4 && receipt.cardLast4 !== cardLast4) return false;
+      const amounts = [receipt.amount, receipt.homeAmount].map(parseFloat);
+      if (!amounts.some(value => Math.abs(value - chargeAmount) < 0.005)) return false;
+      const receiptTime = new Date(receipt.receiptDate || receipt.createdAt).getTime();
+      return Math.abs(receiptTime - chargeTime) <= windowDays * 24 * 60 * 60 * 1000;
+    })
+    .sort((a, b) => Number(!!cardLast4 && b.cardLast4 === cardLast4) - Number(!!cardLast4 && a.cardLast4 === cardLast4) ||
+      Math.abs(new Date(a.receiptDate || a.createdAt).getTime() - chargeTime) -
+      Math.abs(new Date(b.receiptDate || b.createdAt).getTime() - chargeTime));
+}
+
+function deleteReceipt(userEmail, receiptId) {
+  const ledger = loadLedger();
+  const receipts = getUserReceipts(ledger, userEmail);
+  if (!hasReceipt(receipts, receiptId)) {
+    return false;
+  }
+
+  delete receipts[receiptId];
+  saveLedger(ledger);
+  return true;
+}
+
+function clearReceipts(userEmail) {
+  const ledger = loadLedger();
+  const count = Object.keys(ledger[normalizeUserKey(userEmail)] || {}).length;
+  delete ledger[normalizeUserKey(userEmail)];
+  saveLedger(ledger);
+  return count;
+}
+
+module.exports = {
+  FORWARD_STATUS,
+  addReceipt,
+  updateReceipt,
+  upsertReceiptByMessageId,
+  getReceipt,
+  findReceiptByMessageId,
+  hasProcessedMessage,
+  hasForwardedMessage,
+  listReceipts,
+  findReceiptsForCharge,
+  deleteReceipt,
+  clearReceipts
+};
@@ -0,0 +1,102 @@
+const { createCandidate, rankCandidates, topValue } = require('./extraction-candidates');
+
+// Reference numbers on a receipt - the order number (or transaction id), the
+// invoice number and the last four digits of the card charged. They're kept
+// on the ledger entry: the order number is the strongest duplicate signal
+// across an order email and its PDF invoice, and the card digits tie a
+// receipt to the right card statement.
+
+// Labels that follow "order"/"invoice" without being the number itself
+const NOT_A_REFERENCE = /^(?:confirmation|confirmed|summary|details|total|date|status|number|receipt|history|placed|shipped)$/i;
+
+// A reference has at least one digit - "Order #DELIVERED" is a status
+function isReference(value) {
+  return /\d/.test(value) && !NOT_A_REFERENCE.test(value) && value.length <= 40;
+}
+
+function cleanReference(value) {
+  return value.replace(/^[-#:\s]+|[-.\s]+$/g, '');
+}
+
+function collectMatches(text, rules, candidates, validate) {
+  rules.forEach(({ rule, pattern, confidence }) => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = cleanReference(match[1]);
+      if (validate(value)) {
+        candidates.push(createCandidate(value, confidence, rule, { pattern, match }));
+      }
+    }
+  });
+  return candidates;
+}
+
+const ORDER_NUMBER_RULES = [
+  // Amazon's 3-7-7 order ids are unmistakable, labelled or not
+  { rule: 'amazon_order_id', pattern: /\b(\d{3}-\d{7}-\d{7})\b/g, confidence: 0.95 },
+  { rule: 'order_label', pattern: /\border\s*(?:#|no\.?|number|id)\s*:?\s*#?\s*([A-Z0-9][A-Z0-9-]{3,})/gi, confidence: 0.85 },
+  { rule: 'order_hash', pattern: /\border\s*:?\s*#\s*([A-Z0-9][A-Z0-9-]{3,})/gi, confidence: 0.8 },
+  { rule: 'transaction_id', pattern: /\btransaction\s*(?:#|no\.?|number|id)\s*:?\s*#?\s*([A-Z0-9][A-Z0-9_-]{5,})/gi, confidence: 0.7 },
+  { rule: 'confirmation_number', pattern: /\b(?:confirmation|booking|reservation)\s*(?:#|no\.?|number|code)\s*:?\s*#?\s*([A-Z0-9][A-Z0-9-]{4,})/gi, confidence: 0.6 }
+];
+
+const INVOICE_NUMBER_RULES = [
+  { rule: 'invoice_label', pattern: /\binvoice\s*(?:#|no\.?|number|id)\s*:?\s*#?\s*([A-Z0-9][A-Z0-9-]{2,})/gi, confidence: 0.85 },
+  { rule: 'receipt_label', pattern: /\breceipt\s*(?:#|no\.?|number)\s*:?\s*#?\s*([A-Z0-9][A-Z0-9-]{2,})/gi, confidence: 0.6 }
+];
+
+const CARD_LAST4_RULES = [
+  // "Visa ending in 4242", "Mastercard ****4242", "AMEX •••• 1005", "Your Visa 5328 card"
+  { rule: 'card_brand', pattern: /\b(?:visa|mastercard|master card|amex|american express|discover|debit card|credit card)\b[^\n\d]{0,25}?(?:ending(?:\s+in)?|[*x•.]+|#)?\s*(\d{4})(?![\d/.,])/gi, confidence: 0.9 },
+  { rule: 'card_ending', pattern: /\bcard\b[^\n\d]{0,20}?ending(?:\s+in)?\s*:?\s*(\d{4})\b/gi, confidence: 0.85 },
+  { rule: 'masked_number', pattern: /(?:[*x•]{4}[\s-]?){2,3}(\d{4})\b/gi, confidence: 0.75 },
+  { rule: 'ending_in', pattern: /\bending\s+in\s*:?\s*(\d{4})\b/gi, confidence: 0.5 }
+];
+
+function extractOrderNumberCandidates(text) {
+  return rankCandidates(collectMatches(String(text || ''), ORDER_NUMBER_RULES, [], isReference));
+}
+
+function extractInvoiceNumberCandidates(text) {
+  return rankCandidates(collectMatches(String(text || ''), INVOICE_NUMBER_RULES, [], isReference));
+}
+
+function extractCardLast4Candidates(text) {
+  return rankCandidates(collectMatches(String(text || ''), CARD_LAST4_RULES, [], value => /^\d{4}$/.test(value)));
+}
+
+// All three at once; the values are null when nothing was found
+function extractReferences(text) {
+  const candidates = {
+    orderNumber: extractOrderNumberCandidates(text),
+    invoiceNumber: extractInvoiceNumberCandidates(text),
+    cardLast4: extractCardLast4Candidates(text)
+  };
+  return {
+    orderNumber: topValue(candidates.orderNumber),
+    invoiceNumber: topValue(candidates.invoiceNumber),
+    cardLast4: topValue(candidates.cardLast4),
+    candidates
+  };
+}
+
+// The ledger's copy - empty ones left out so an update doesn't wipe a scan's
+function referenceFields(references) {
+  const fields = {
+    orderNumber: references.orderNumber,
+    invoiceNumber: references.invoiceNumber,
+    cardLast4: references.cardLast4
+  };
+  Object.keys(fields).forEach(key => {
+    if (!fields[key]) delete fields[key];
+  });
+  return fields;
+}
+
+module.exports = {
+  extractOrderNumberCandidates,
+  extractInvoiceNumberCandidates,
+  extractCardLast4Candidates,
+  extractReferences,
+  referenceFields
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUserSettings } = require('./user-settings');
+const googleDrive = require('./google-drive');
+const { withUserProject } = require('./receipt-filename');
+
+// Where filed receipt PDFs go. Each user picks a backend in their settings
+// (settings.storageBackend); STORAGE_BACKEND is the default for everyone
+// else. "drive" (Google Drive, default), "local" (a directory on the
+// server), "s3" (AWS S3 or any S3-compatible store such as MinIO) and
+// "webdav" (Nextcloud, ownCloud...). All of them file receipts into the
+// user's folder layout (see google-drive.js); the non-Drive ones under a
+// per-user prefix, since the server's credentials are shared.
+const STORAGE_CONFIG = {
+  DEFAULT_BACKEND: (process.env.STORAGE_BACKEND || 'drive').toLowerCase(),
+  LOCAL_DIR: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'stored_receipts'),
+  S3_ENDPOINT: (process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`).replace(/\/+$/, ''),
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET || null,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || null,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || null,
+  // Base URL the bucket's objects are readable at, if any - becomes the receipt's link
+  S3_PUBLIC_URL: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '') || null,
+  WEBDAV_URL: (process.env.WEBDAV_URL || '').replace(/\/+$/, '') || null,
+  WEBDAV_USERNAME: process.env.WEBDAV_USERNAME || null,
+  WEBDAV_PASSWORD: process.env.WEBDAV_PASSWORD || null,
+  TIMEOUT_MS: 30000
+};
+
+// The user's own corner of a shared store
+function userPrefix(userEmail) {
+  return String(userEmail).trim().toLowerCase().replace(/[^\w@.-]/g, '_');
+}
+
+// ["a@b.com", "Expense Receipts", "June 2025", "Uber 2025-06-03 $12.50.pdf"]
+// plus the bits the result reports. "." and ".." folders are dropped so a
+// layout can't climb out of the prefix.
+function objectPath(userEmail, receipt, fileName) {
+  const fields = withUserProject(userEmail, receipt);
+  const folders = googleDrive.folderPathFor(fields, googleDrive.getDriveLayout(userEmail).folderTemplate)
+    .filter(folder => folder !== '.' && folder !== '..');
+  return {
+    parts: [userPrefix(userEmail), ...folders, fileName],
+    folders,
+    project: fields.project || null
+  };
+}
+
+// RFC 3986 escaping, segment by segment - what S3 signs and WebDAV expects
+function encodePath(parts) {
+  return parts
+    .map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+async function checkResponse(response, action) {
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`${action} failed: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  }
+  return response;
+}
+
+// Google Drive - needs the user's OAuth client; files the receipt itself
+const driveBackend = {
+  name: 'drive',
+  label: 'Google Drive',
+  needsGoogle: true,
+
+  isConfigured() {
+    return true;
+  },
+
+  store(fileBuffer, fileName, { userEmail, receipt, auth }) {
+    return googleDrive.uploadReceipt(auth, fileBuffer, fileName, { userEmail, receipt });
+  }
+};
+
+// A directory on the server; the file id is the path under LOCAL_STORAGE_DIR
+const localBackend = {
+  name: 'local',
+  label: 'Server folder',
+  needsGoogle: false,
+
+  isConfigured() {
+    return !!STORAGE_CONFIG.LOCAL_DIR;
+  },
+
+  async put(fileBuffer, parts) {
+    const filePath = path.join(STORAGE_CONFIG.LOCAL_DIR, ...parts);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(`${filePath}.tmp`, fileBuffer);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+    return { fileId: parts.join('/'), webViewLink: null };
+  }
+};
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Signature Version 4 headers for a path-style request (works with AWS and MinIO alike).
+// headers: any further request headers to sign, e.g. a Range.
+function signS3Request(method, url, body, now = new Date(), headers = {}) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const scope = `${dateStamp}/${STORAGE_CONFIG.S3_REGION}/s3/aws4_request`;
+
+  const signed = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  Object.entries(headers).forEach(([name, value]) => {
+    signed[name.toLowerCase()] = String(value).trim();
+  });
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  let signingKey = hmac(`AWS4${STORAGE_CONFIG.S3_SECRET_ACCESS_KEY}`, dateStamp);
+  signingKey = hmac(signingKey, STORAGE_CONFIG.S3_REGION);
+  signingKey = hmac(signingKey, 's3');
+  signingKey = hmac(signingKey, 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${STORAGE_CONFIG.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// S3-compatible object storage; the file id is the object key
+const s3Backend = {
+  name: 's3',
+  label: 'S3 storage',
+  needsGoogle: false,
+
+  isConfigured() {
+    return !!(STORAGE_CONFIG.S3_BUCKET && STORAGE_CONFIG.S3_ACCESS_KEY_ID && STORAGE_CONFIG.S3_SECRET_ACCESS_KEY);
+  },
+
+  async put(fileBuffer, parts) {
+    const key = encodePath(parts);
+    const url = new URL(`${STORAGE_CONFIG.S3_ENDPOINT}/${encodeURIComponent(STORAGE_CONFIG.S3_BUCKET)}/${key}`);
+    await checkResponse(await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/pdf', ...signS3Request('PUT', url, fileBuffer) },
+      body: fileBuffer,
+      signal: AbortSignal.timeout(STORAGE_CONFIG.TIMEOUT_MS)
+    }), 'S3 upload');
+
+    return {
+      fileId: parts.join('/'),
+      webViewLink: STORAGE_CONFIG.S3_PUBLIC_URL ? `${STORAGE_CONFIG.S3_PUBLIC_URL}/${key}` : null
+    };
+  }
+};
+
+// Collections known to exist, so each upload only creates what's missing
+const webdavCollections = new Set();
+
+function webdavHeaders() {
+  const credentials = Buffer.from(`${STORAGE_CONFIG.WEBDAV_USERNAME}:${STORAGE_CONFIG.WEBDAV_PASSWORD}`).toString('base64');
+  return { Authorization: `Basic ${credentials}` };
+}
+
+// WebDAV (Nextcloud: https://host/remote.php/dav/files/<user>); the file id is the path under WEBDAV_URL
+const webdavBackend = {
+  name: 'webdav',
+  label: 'WebDAV / Nextcloud',
+  needsGoogle: false,
+
+  isConfigured() {
+    return !!(STORAGE_CONFIG.WEBDAV_URL && STORAGE_CONFIG.WEBDAV_USERNAME && STORAGE_CONFIG.WEBDAV_PASSWORD);
+  },
+
+  async put(fileBuffer, parts) {
+    for (let depth = 1; depth < parts.length; depth++) {
+      const collection = encodePath(parts.slice(0, depth));
+      if (webdavCollections.has(collection)) continue;
+
+      const response = await fetch(`${STORAGE_CONFIG.WEBDAV_URL}/${collection}/`, {
+        method: 'MKCOL',
+        headers: webdavHeaders(),
+        signal: AbortSignal.timeout(STORAGE_CONFIG.TIMEOUT_MS)
+      });
+      // 405 Method Not Allowed: it already exists
+      if (response.status !== 405) {
+        await checkResponse(response, 'WebDAV folder creation');
+      }
+      webdavCollections.add(collection);
+    }
+
+    const url = `${STORAGE_CONFIG.WEBDAV_URL}/${encodePath(parts)}`;
+    await checkResponse(await fetch(url, {
+      method: 'PUT',
+      headers: { ...webdavHeaders(), 'Content-Type': 'application/pdf' },
+      body: fileBuffer,
+      signal: AbortSignal.timeout(STORAGE_CONFIG.TIMEOUT_MS)
+    }), 'WebDAV upload');
+
+    return { fileId: parts.join('/'), webViewLink: url };
+  }
+};
+
+const backends = {
+  drive: driveBackend,
+  local: localBackend,
+  s3: s3Backend,
+  webdav: webdavBackend
+};
+
+// Plug in another backend: { name, label, needsGoogle, isConfigured(),
+// async put(fileBuffer, pathParts) -> { fileId, webViewLink } }
+function registerStorageBackend(backend) {
+  backends[backend.name] = backend;
+}
+
+// The backends this server has credentials for, for the settings picker
+function listStorageBackends() {
+  return Object.values(backends)
+    .filter(backend => backend.isConfigured())
+    .map(backend => ({ name: backend.name, label: backend.label }));
+}
+
+function validateStorageBackend(name) {
+  const backend = backends[name];
+  if (!backend) {
+    return `Unknown storage backend. Use one of: ${Object.keys(backends).join(', ')}`;
+  }
+  return backend.isConfigured() ? null : `The ${backend.label} backend isn't configured on this server`;
+}
+
+function getUserBackend(userEmail) {
+  const chosen = backends[getUserSettings(userEmail).storageBackend];
+  if (chosen && chosen.isConfigured()) return chosen;
+  const fallback = backends[STORAGE_CONFIG.DEFAULT_BACKEND];
+  return fallback && fallback.isConfigured() ? fallback : driveBackend;
+}
+
+function getStorageBackend(userEmail) {
+  return getUserBackend(userEmail).name;
+}
+
+// File a receipt PDF in the user's backend. receipt is the ledger-style
+// fields the folder layout is filled from; auth is the user's Google OAuth
+// client, or null. Returns null when there's nowhere to put it (no user, or
+// Drive without a Google session), otherwise { success, backend, fileId,
+// fileName, folderPath, project, webViewLink } or { success: false, error }.
+async function storeReceipt(fileBuffer, fileName, { userEmail, receipt = {}, auth = null } = {}) {
+  if (!userEmail) return null;
+  const backend = getUserBackend(userEmail);
+  if (backend.needsGoogle && !auth) return null;
+
+  if (backend.store) {
+    return { backend: backend.name, ...await backend.store(fileBuffer, fileName, { userEmail, receipt, auth }) };
+  }
+
+  try {
+    const target = objectPath(userEmail, receipt, fileName);
+    const stored = await backend.put(fileBuffer, target.parts);
+    console.log(`Stored ${fileName} in ${backend.label} under ${target.folders.join('/') || '(root)'}`);
+    return {
+      success: true,
+      backend: backend.name,
+      fileId: stored.fileId,
+      fileName,
+      folderPath: target.folders.join('/'),
+      project: target.project,
+      webViewLink: stored.webViewLink
+    };
+  } catch (error) {
+    console.error(`Error storing receipt in ${backend.label}:`, error);
+    return { success: false, backend: backend.name, error: error.message };
+  }
+}
+
+// The ledger's record of where a receipt went. Drive files keep their
+// driveFileId (re-organize and the summary sheet work from it); the other
+// backends' files are found by storageKey.
+function storageFields(stored) {
+  if (!stored || !stored.success) return {};
+  const location = stored.backend === 'drive'
+    ? { driveFileId: stored.fileId, driveLink: stored.webViewLink, driveFolderPath: stored.folderPath }
+    : { storageKey: stored.fileId, storageLink: stored.webViewLink };
+  return { storageBackend: stored.backend, ...location, project: stored.project };
+}
+
+module.exports = {
+  STORAGE_CONFIG,
+  registerStorageBackend,
+  listStorageBackends,
+  validateStorageBackend,
+  getStorageBackend,
+  storeReceipt,
+  storageFields,
+  signS3Request
+};
@@ -0,0 +1,296 @@
+// Structured receipt extraction - line items plus the summary block
+// (subtotal, tax, tip, fees, discounts, total) with a consistency check.
+// Works on the plain text from pdf-parse / OCR / email bodies.
+
+const RECEIPT_SCHEMA_VERSION = 1;
+
+// Totals are compared to the cent, with a little slack for per-line rounding
+const CONSISTENCY_TOLERANCE = 0.05;
+
+const PRICE_ONLY_PATTERN = /^\(?(-)?\$\s?([\d,]+\.\d{2})\)?$/;
+const AMOUNT_PATTERN = /(-)?\$\s?([\d,]+\.\d{2})/g;
+
+// Page furniture that pdf-parse interleaves with the receipt content
+const NOISE_PATTERNS = [
+  /^https?:\/\//i,
+  /^\d{1,2}\/\d{1,2}\/\d{2,4},\s+\d{1,2}:\d{2}\s*[AP]M/i,
+  /^(conditions of use|privacy notice|©|back to top|help$|english\s)/i,
+  /^(delivered|arriving|your package|not yet shipped|preparing for shipment|shipped on)\b/i
+];
+
+// Item metadata lines that are never part of a description
+const ITEM_DETAIL_PATTERNS = [
+  /^sold by:/i,
+  /^supplied by:/i,
+  /^condition:/i,
+  /^return(s| or replace)? items?:/i,
+  /^item \d+$/i,
+  /^items found/i,
+  /^\d+\s*items? found/i
+];
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseMoney(text) {
+  return parseFloat(String(text).replace(/,/g, ''));
+}
+
+function isNoiseLine(line) {
+  return NOISE_PATTERNS.some(pattern => pattern.test(line));
+}
+
+function isItemDetailLine(line) {
+  return ITEM_DETAIL_PATTERNS.some(pattern => pattern.test(line));
+}
+
+// ALL-CAPS aisle headings on grocery receipts ("DAIRY & EGGS")
+function isSectionHeading(line) {
+  return /^[A-Z0-9 &,'()\/-]{3,}$/.test(line) && /[A-Z]{3,}/.test(line);
+}
+
+// Map a summary label to the schema field it feeds, or null if it isn't one
+function classifySummaryLabel(label, isNegative) {
+  const text = label.toLowerCase().replace(/[:\s]+$/, '').trim();
+
+  if (/you saved|total before tax|original charge|authorized/.test(text)) return null;
+  if (/total charged|amount charged/.test(text)) return 'charged';
+  if (/sub\s*-?total/.test(text)) return 'subtotal';
+  if (/^(grand total|order total|total)$/.test(text)) return 'total';
+  if (isNegative || /discount|promo|coupon|credit|savings|reward/.test(text)) return 'discount';
+  // Whole words, so "Coffee" isn't a fee and "Multiple" isn't a tip
+  if (/\b(tax(es)?|vat|gst|hst)\b/.test(text)) return 'tax';
+  if (/\b(tips?|gratuity)\b/.test(text)) return 'tip';
+  if (/delivery fee/.test(text)) return 'deliveryFee';
+  if (/\b(fees?|shipping|handling|surcharge|deposit)\b/.test(text)) return 'fee';
+  return null;
+}
+
+// "Sales Tax$15.55", "Grand Total: $179.22", "Delivery Fee$0.99$0.00"
+// (struck-through price first - the last amount is the one charged)
+function parseSummaryLine(line) {
+  const amounts = [...line.matchAll(AMOUNT_PATTERN)];
+  if (amounts.length === 0) return null;
+
+  const label = line.slice(0, amounts[0].index).trim();
+  if (!label || label.length > 50) return null;
+
+  const last = amounts[amounts.length - 1];
+  const isNegative = !!last[1] || /-\s*$/.test(label);
+  const field = classifySummaryLabel(label.replace(/-\s*$/, ''), isNegative);
+  if (!field) return null;
+
+  return { field, label: label.replace(/[:\s-]+$/, ''), amount: parseMoney(last[2]) };
+}
+
+function extractSummary(lines) {
+  const summary = {
+    subtotal: null,
+    tax: null,
+    tip: null,
+    deliveryFee: null,
+    fees: [],
+    discounts: [],
+    total: null,
+    charged: null
+  };
+  const seenLabels = new Set();
+
+  lines.forEach((line, index) => {
+    let entry = parseSummaryLine(line);
+
+    // Labels wrapped over several lines: "Estimated tax to be" / "collected:" / "$26.26"
+    if (!entry && !PRICE_ONLY_PATTERN.test(line) && /(tax|total|tip|fee)/i.test(line)) {
+      const following = lines.slice(index + 1, index + 3);
+      const priceIndex = following.findIndex(next => PRICE_ONLY_PATTERN.test(next));
+      if (priceIndex >= 0) {
+        const label = [line, ...following.slice(0, priceIndex)].join(' ');
+        entry = parseSummaryLine(`${label}${following[priceIndex]}`);
+      }
+    }
+
+    if (!entry) return;
+
+    // Multi-page printouts repeat the summary; keep the first of each label
+    const labelKey = entry.label.toLowerCase();
+    if (seenLabels.has(labelKey)) return;
+    seenLabels.add(labelKey);
+
+    if (entry.field === 'fee') {
+      summary.fees.push({ label: entry.label, amount: entry.amount });
+    } else if (entry.field === 'discount') {
+      summary.discounts.push({ label: entry.label, amount: entry.amount });
+    } else if (entry.field === 'tax' && summary.tax !== null) {
+      summary.tax = roundCents(summary.tax + entry.amount);
+    } else if (summary[entry.field] === null) {
+      summary[entry.field] = entry.amount;
+    }
+  });
+
+  return summary;
+}
+
+function makeLineItem(description, quantity, unitPrice, total) {
+  return {
+    description: description.replace(/\s+/g, ' ').trim(),
+    quantity,
+    unitPrice: roundCents(unitPrice),
+    total: roundCents(total)
+  };
+}
+
+// Walk the lines once, collecting description text until a price closes the item.
+// Handles Instacart ("3 x $11.93" / "$35.79"), DoorDash ("1× Item" / "$189.99")
+// and both Amazon layouts ("2 of: Item ... $105.00" and a bare quantity line
+// before the description, with "Sold by:" details before the unit price).
+function extractLineItems(lines) {
+  const items = [];
+  let description = [];
+  let quantity = null;
+  let unitPrice = null;
+  let hasItemDetails = false;
+
+  const reset = () => {
+    description = [];
+    quantity = null;
+    unitPrice = null;
+    hasItemDetails = false;
+  };
+
+  for (const line of lines) {
+    if (isNoiseLine(line)) continue;
+
+    if (parseSummaryLine(line)) {
+      reset();
+      continue;
+    }
+
+    // Instacart: "3 x $11.93" or "1.52 lb x $3.99"
+    const unitMatch = line.match(/^([\d.]+)\s*(?:lb|lbs|oz|kg|g|ct|ea)?\s*[x×]\s*\$([\d,]+\.\d{2})$/i);
+    if (unitMatch && description.length > 0) {
+      quantity = parseFloat(unitMatch[1]);
+      unitPrice = parseMoney(unitMatch[2]);
+      continue;
+    }
+
+    const priceMatch = line.match(PRICE_ONLY_PATTERN);
+    if (priceMatch) {
+      const price = parseMoney(priceMatch[2]);
+      if (description.length > 0 && (unitPrice !== null || quantity !== null || hasItemDetails)) {
+        if (unitPrice !== null) {
+          // Instacart - the price line is the line total
+          items.push(makeLineItem(description.join(' '), quantity, unitPrice, price));
+        } else {
+          // Amazon / DoorDash - the price is per unit
+          const qty = quantity || 1;
+          items.push(makeLineItem(description.join(' '), qty, price, price * qty));
+        }
+      }
+      reset();
+      continue;
+    }
+
+    // Amazon: "2 of: Aesop Resurrection..."
+    const ofMatch = line.match(/^(\d+)\s+of:\s*(.+)$/i);
+    if (ofMatch) {
+      reset();
+      quantity = parseInt(ofMatch[1], 10);
+      description = [ofMatch[2]];
+      continue;
+    }
+
+    // DoorDash: "1× Happy Peonies"
+    const timesMatch = line.match(/^(\d+)\s*[x×]\s+(.+)$/);
+    if (timesMatch && !/\$/.test(line)) {
+      reset();
+      quantity = parseInt(timesMatch[1], 10);
+      description = [timesMatch[2]];
+      hasItemDetails = true;
+      continue;
+    }
+
+    // Amazon: quantity badge on its own line before the description
+    if (/^\d{1,2}$/.test(line)) {
+      reset();
+      quantity = parseInt(line, 10);
+      continue;
+    }
+
+    if (isItemDetailLine(line)) {
+      hasItemDetails = true;
+      continue;
+    }
+
+    if (isSectionHeading(line)) {
+      reset();
+      continue;
+    }
+
+    // Details have started - the description is complete, ignore the rest
+    if (hasItemDetails && description.length > 0) continue;
+
+    // Keep descriptions to a few wrapped lines; anything longer is page text
+    if (description.length >= 4) description.shift();
+    description.push(line);
+  }
+
+  return items;
+}
+
+// items (or subtotal) + tax + tip + fees - discounts should equal the total
+function checkConsistency(lineItems, summary) {
+  const itemsTotal = lineItems.length > 0
+    ? roundCents(lineItems.reduce((sum, item) => sum + item.total, 0))
+    : null;
+
+  const base = itemsTotal !== null ? itemsTotal : summary.subtotal;
+  const feesTotal = summary.fees.reduce((sum, fee) => sum + fee.amount, 0);
+  const discountsTotal = summary.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  const result = {
+    itemsTotal,
+    itemsMatchSubtotal: itemsTotal !== null && summary.subtotal !== null
+      ? Math.abs(itemsTotal - summary.subtotal) <= CONSISTENCY_TOLERANCE
+      : null,
+    computedTotal: null,
+    difference: null,
+    isConsistent: false
+  };
+
+  if (base === null || summary.total === null) {
+    return result;
+  }
+
+  result.computedTotal = roundCents(
+    base + (summary.tax || 0) + (summary.tip || 0) + (summary.deliveryFee || 0) + feesTotal - discountsTotal
+  );
+  result.difference = roundCents(summary.total - result.computedTotal);
+  result.isConsistent = Math.abs(result.difference) <= CONSISTENCY_TOLERANCE;
+
+  return result;
+}
+
+// Main entry point - returns the structured receipt for a block of text
+function extractReceiptStructure(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const summary = extractSummary(lines);
+  const lineItems = extractLineItems(lines);
+
+  return {
+    schemaVersion: RECEIPT_SCHEMA_VERSION,
+    lineItems,
+    ...summary,
+    consistency: checkConsistency(lineItems, summary)
+  };
+}
+
+module.exports = {
+  RECEIPT_SCHEMA_VERSION,
+  classifySummaryLabel,
+  extractReceiptStructure
+};
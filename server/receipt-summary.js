@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { getUserSettings } = require('./user-settings');
+const { getDriveLayout, resolveFolder, driveParams, listParams } = require('./google-drive');
+const { EXPORT_COLUMNS, buildExport } = require('./receipt-export');
+const receiptLedger = require('./receipt-ledger');
+
+// Per-month receipt summary, one row per filed receipt, so a month of
+// receipts can be audited without opening every PDF. Opt-in per user
+// (settings.summarySpreadsheet). Receipts filed to Drive are appended to a
+// "Receipts 2025-06" Google Sheet in the top folder of the user's Drive
+// layout; without Drive the month's XLSX is rewritten from the ledger under
+// RECEIPT_SUMMARY_DIR.
+const SUMMARY_DIR = process.env.RECEIPT_SUMMARY_DIR || path.join(__dirname, 'receipt_summaries');
+const SUMMARY_COLUMNS = ['date', 'vendor', 'amount', 'currency', 'category', 'orderNumber', 'messageId', 'driveLink'];
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+
+// Spreadsheet ids by user + folder + name, like google-drive.js's folder cache
+const sheetCache = new Map();
+
+// "2025-06" - the receipt date's month, or the filing month without one
+function summaryMonth(receipt) {
+  return EXPORT_COLUMNS.date.value(receipt).slice(0, 7);
+}
+
+function summaryRow(receipt) {
+  return SUMMARY_COLUMNS.map(column => {
+    const value = EXPORT_COLUMNS[column].value(receipt);
+    return value === null || value === undefined ? '' : value;
+  });
+}
+
+async function findOrCreateSheet(drive, sheets, layout, name, folderId) {
+  const search = await drive.files.list({
+    q: `name='${name}' and mimeType='${SPREADSHEET_MIME_TYPE}' and '${folderId}' in parents and trashed=false`,
+    fields: 'files(id)',
+    ...listParams(layout)
+  });
+  if (search.data.files.length > 0) {
+    return search.data.files[0].id;
+  }
+
+  // Created through Drive so it lands in the folder (and stays within the drive.file scope)
+  const file = await drive.files.create({
+    resource: { name, mimeType: SPREADSHEET_MIME_TYPE, parents: [folderId] },
+    fields: 'id',
+    ...driveParams(layout)
+  });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: file.data.id,
+    range: 'A1',
+    valueInputOption: 'RAW',
+    requestBody: { values: [SUMMARY_COLUMNS.map(column => EXPORT_COLUMNS[column].header)] }
+  });
+  console.log(`Created summary sheet: ${name}`);
+  return file.data.id;
+}
+
+async function appendToSheet(auth, userEmail, receipt) {
+  const drive = google.drive({ version: 'v3', auth });
+  const sheets = google.sheets({ version: 'v4', auth });
+  const layout = getDriveLayout(userEmail);
+  const topFolder = (receipt.driveFolderPath || '').split('/').filter(Boolean).slice(0, 1);
+  const folderId = await resolveFolder(drive, userEmail, layout, topFolder);
+  const name = `Receipts ${summaryMonth(receipt)}`;
+  const cacheKey = [userEmail, folderId, name].join('/');
+
+  const append = async () => {
+    if (!sheetCache.has(cacheKey)) {
+      sheetCache.set(cacheKey, await findOrCreateSheet(drive, sheets, layout, name, folderId));
+    }
+    // RAW, so a vendor name starting with = stays text
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: sheetCache.get(cacheKey),
+      range: 'A1',
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [summaryRow(receipt)] }
+    });
+    return sheetCache.get(cacheKey);
+  };
+
+  try {
+    return await append();
+  } catch (error) {
+    const status = error.code || error.response?.status;
+    if (status !== 404) throw error;
+    // Deleted in Drive since we cached it
+    sheetCache.delete(cacheKey);
+    return append();
+  }
+}
+
+function localSummaryPath(userEmail, month) {
+  const userDir = String(userEmail).trim().toLowerCase().replace(/[^\w@.-]/g, '_');
+  return path.join(SUMMARY_DIR, userDir, `Receipts ${month}.xlsx`);
+}
+
+// Rewritten from the ledger each time, oldest receipt first
+function writeLocalSummary(userEmail, month) {
+  const receipts = receiptLedger.listReceipts(userEmail, { from: `${month}-01`, to: `${month}-31` }).reverse();
+  const file = buildExport(receipts, { format: 'xlsx', columns: SUMMARY_COLUMNS });
+  const filePath = localSummaryPath(userEmail, month);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, file.body);
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  return filePath;
+}
+
+// Called once a receipt's ledger entry is written; auth is the user's OAuth
+// client, or null without Drive. Failures are logged, not thrown - the
+// receipt itself is already filed. Returns where the row went, or null.
+async function recordReceipt(userEmail, receipt, auth) {
+  if (!userEmail || !receipt || !getUserSettings(userEmail).summarySpreadsheet) {
+    return null;
+  }
+
+  try {
+    if (auth && receipt.driveFileId) {
+      const spreadsheetId = await appendToSheet(auth, userEmail, receipt);
+      return { type: 'sheet', spreadsheetId };
+    }
+    return { type: 'xlsx', path: writeLocalSummary(userEmail, summaryMonth(receipt)) };
+  } catch (error) {
+    console.error('Receipt summary update failed:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  SUMMARY_COLUMNS,
+  recordReceipt,
+  writeLocalSummary
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const learnedRules = require('./learned-rules');
+const { readJsonStore } = require('./json-store');
+const { LOW_CONFIDENCE_THRESHOLD } = require('./extraction-candidates');
+
+// Per-user review queue - receipts parked because a field is missing or the
+// extraction looks unreliable. They wait here (with the PDF preview and the
+// extracted text) until the user confirms or edits the fields; only then are
+// they renamed, filed to Drive, recorded in the ledger and forwarded.
+const REVIEW_QUEUE_FILE = path.join(__dirname, 'review_queue.json');
+const REVIEW_FILES_DIR = path.join(__dirname, 'review_files');
+
+const REVIEW_REASONS = {
+  MISSING_VENDOR: 'missing_vendor',
+  MISSING_AMOUNT: 'missing_amount',
+  MISSING_DATE: 'missing_date',
+  INCONSISTENT_TOTALS: 'inconsistent_totals',
+  LOW_CONFIDENCE: 'low_confidence'
+};
+
+// Found fields below this confidence (0-1) are parked too - by default the
+// same line the UI highlights them at. 0 parks only missing fields and bad totals.
+const REVIEW_CONFIDENCE_THRESHOLD = process.env.REVIEW_CONFIDENCE_THRESHOLD
+  ? parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD)
+  : LOW_CONFIDENCE_THRESHOLD;
+
+// Enough text to review the extraction without storing whole mailboxes
+const MAX_TEXT_LENGTH = 20000;
+const PREVIEW_TEXT_LENGTH = 2000;
+
+// Load the whole queue from file; a corrupt one is moved aside, not overwritten
+function loadQueue() {
+  return readJsonStore(REVIEW_QUEUE_FILE);
+}
+
+// Save the whole queue (write-then-rename so a crash can't truncate it)
+function saveQueue(queue) {
+  try {
+    const tempFile = `${REVIEW_QUEUE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(queue, null, 2));
+    fs.renameSync(tempFile, REVIEW_QUEUE_FILE);
+  } catch (error) {
+    console.error('Error saving review queue:', error);
+  }
+}
+
+function normalizeUserKey(userEmail) {
+  const key = String(userEmail || '').trim().toLowerCase();
+  if (!key) {
+    throw new Error('User email is required for the review queue');
+  }
+  return key;
+}
+
+function getUserItems(queue, userEmail) {
+  const key = normalizeUserKey(userEmail);
+  if (!queue[key]) {
+    queue[key] = {};
+  }
+  return queue[key];
+}
+
+function pdfPath(itemId) {
+  return path.join(REVIEW_FILES_DIR, `${itemId}.pdf`);
+}
+
+// Why an extraction needs a human look; an empty list means it can be filed.
+// consistency is the line-item check from receipt-structure.js and extraction
+// the summary from extraction-candidates.js, when there are ones.
+function getReviewReasons({ vendor, amount, receiptDate, consistency, extraction }) {
+  const reasons = [];
+  if (!vendor) reasons.push(REVIEW_REASONS.MISSING_VENDOR);
+  if (!amount) reasons.push(REVIEW_REASONS.MISSING_AMOUNT);
+  if (!receiptDate) reasons.push(REVIEW_REASONS.MISSING_DATE);
+  // Only when the check could run - most receipts don't itemise enough to tell
+  if (consistency && consistency.difference !== null && !consistency.isConsistent) {
+    reasons.push(REVIEW_REASONS.INCONSISTENT_TOTALS);
+  }
+  if (extraction && REVIEW_CONFIDENCE_THRESHOLD > 0) {
+    const weak = Object.values(extraction.fields).some(field =>
+      field.value && field.confidence < REVIEW_CONFIDENCE_THRESHOLD
+    );
+    if (weak) reasons.push(REVIEW_REASONS.LOW_CONFIDENCE);
+  }
+  return reasons;
+}
+
+// Park a receipt for review. A Gmail message that's already parked is updated
+// in place so rescans don't pile up duplicates.
+function parkReceipt(userEmail, data, pdfBuffer) {
+  const queue = loadQueue();
+  const items = getUserItems(queue, userEmail);
+  const now = new Date().toISOString();
+
+  const existing = data.messageId
+    ? Object.values(items).find(item => item.messageId === data.messageId)
+    : null;
+
+  const item = {
+    id: existing ? existing.id : crypto.randomUUID(),
+    source: data.source || 'upload',
+    messageId: data.messageId || null,
+    reasons: data.reasons || [],
+    vendor: data.vendor || null,
+    amount: data.amount || null,
+    currency: data.currency || 'USD',
+    receiptDate: data.receiptDate || null,
+    originalFilename: data.originalFilename || null,
+    subject: data.subject || null,
+    sender: data.sender || null,
+    text: String(data.text || '').substring(0, MAX_TEXT_LENGTH),
+    extractionLabels: data.extractionLabels || null,
+    lowConfidenceFields: data.lowConfidenceFields || [],
+    perceptualHash: data.perceptualHash || null,
+    hasPdf: !!pdfBuffer || !!(existing && existing.hasPdf),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  if (pdfBuffer) {
+    fs.mkdirSync(REVIEW_FILES_DIR, { recursive: true });
+    fs.writeFileSync(pdfPath(item.id), pdfBuffer);
+  }
+
+  items[item.id] = item;
+  saveQueue(queue);
+  return item;
+}
+
+// Pending items newest first, with a text excerpt instead of the full text
+function listPending(userEmail) {
+  const items = Object.values(loadQueue()[normalizeUserKey(userEmail)] || {});
+  return items
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ text, extractionLabels, ...item }) => ({ ...item, textPreview: text.substring(0, PREVIEW_TEXT_LENGTH) }));
+}
+
+// Item ids come from request URLs: own keys only, never Object.prototype's
+function getItem(userEmail, itemId) {
+  const items = loadQueue()[normalizeUserKey(userEmail)] || {};
+  return Object.hasOwn(items, itemId) ? items[itemId] : null;
+}
+
+function findItemByMessageId(userEmail, messageId) {
+  if (!messageId) return null;
+  const items = loadQueue()[normalizeUserKey(userEmail)] || {};
+  return Object.values(items).find(item => item.messageId === messageId) || null;
+}
+
+function getItemPdf(userEmail, itemId) {
+  const item = getItem(userEmail, itemId);
+  if (!item || !item.hasPdf || !fs.existsSync(pdfPath(item.id))) {
+    return null;
+  }
+  return fs.readFileSync(pdfPath(item.id));
+}
+
+function removeItem(userEmail, itemId) {
+  const queue = loadQueue();
+  const items = getUserItems(queue, userEmail);
+  if (!Object.hasOwn(items, itemId)) {
+    return false;
+  }
+
+  delete items[itemId];
+  saveQueue(queue);
+  fs.rmSync(pdfPath(itemId), { force: true });
+  return true;
+}
+
+// Confirming as-is sends no fields; edits are checked like any correction
+function validateConfirmation(input) {
+  const body = input || {};
+  const hasEdits = ['vendor', 'amount', 'receiptDate'].some(field => body[field] !== undefined);
+  return hasEdits ? learnedRules.validateCorrection(body) : null;
+}
+
+// The fields to file a parked item under: the user's input over what was
+// extracted. Call validateConfirmation on the input first. Returns an error
+// when vendor or amount is still missing; the item stays parked until the
+// caller has filed it and calls confirmItem.
+function resolveItem(userEmail, itemId, input = {}) {
+  const item = getItem(userEmail, itemId);
+  if (!item) {
+    return null;
+  }
+
+  const fields = {
+    vendor: input.vendor !== undefined ? input.vendor.trim() : item.vendor,
+    amount: input.amount !== undefined ? parseFloat(input.amount).toFixed(2) : item.amount,
+    receiptDate: input.receiptDate !== undefined ? input.receiptDate : item.receiptDate,
+    currency: item.currency
+  };
+
+  if (!fields.vendor || !fields.amount) {
+    return { item, error: 'Vendor and amount are required to file this receipt' };
+  }
+
+  return { item, fields };
+}
+
+// Once the item is filed: learn from the fields the user edited, like any
+// other correction, and take it off the queue. Returns the learned rules.
+function confirmItem(userEmail, item, fields) {
+  const corrections = {};
+  ['vendor', 'amount', 'receiptDate'].forEach(field => {
+    if (fields[field] && fields[field] !== item[field]) {
+      corrections[field] = fields[field];
+    }
+  });
+  const learned = Object.keys(corrections).length > 0
+    ? learnedRules.learnFromCorrection(userEmail, item, corrections)
+    : [];
+
+  removeItem(userEmail, item.id);
+  return learned;
+}
+
+module.exports = {
+  REVIEW_REASONS,
+  getReviewReasons,
+  parkReceipt,
+  listPending,
+  getItem,
+  findItemByMessageId,
+  getItemPdf,
+  removeItem,
+  validateConfirmation,
+  resolveItem,
+  confirmItem
+};
@@ -13,34 +13,49 @@ const app = express();
 const PORT = process.env.PORT || 10000;
 console.log('=== FORCE NEW DEPLOYMENT - BROWSERLESS PDF GENERATION READY ===');
 
-// Track processed emails to prevent duplicates - persistent storage
-const PROCESSED_EMAILS_FILE = path.join(__dirname, 'processed_emails.json');
+// Per-user receipt ledger (history + dedup scoped to the Google account)
+const receiptLedger = require('./receipt-ledger');
+const receiptExport = require('./receipt-export');
+const ocr = require('./ocr');
+const receiptImage = require('./receipt-image');
+const { extractReceiptStructure } = require('./receipt-structure');
+const currency = require('./currency');
+const vendorRegistry = require('./vendor-registry');
+const learnedRules = require('./learned-rules');
+const receiptStorage = require('./receipt-storage');
+const { storageFields } = receiptStorage;
+const receiptSummary = require('./receipt-summary');
+const reviewQueue = require('./review-queue');
+const duplicateDetector = require('./duplicate-detector');
+const { extractReferences, referenceFields } = require('./receipt-references');
+const { buildReceiptFilename, getUserTemplate } = require('./receipt-filename');
+const { findReceiptAttachments, fetchAttachment } = require('./email-attachments');
+const { extractEmailContent } = require('./email-content');
+const { PDF_LAYOUT_CONFIG, extractPdfLayout, assignLayout } = require('./pdf-layout');
+const { createCandidate, topValue, assignPages, summarizeExtraction } = require('./extraction-candidates');
+const {
+  analyzeContext,
+  extractVendor,
+  extractAmount,
+  extractAmountWithCurrency,
+  extractEmailAmountWithCurrency,
+  extractPdfAmountWithCurrency,
+  parseFilename,
+  extractDate,
+  extractEmailDate,
+  extractVendorCandidates,
+  extractDateCandidates,
+  extractVendorFromSenderCandidates,
+  extractVendorFromSubjectCandidates,
+  extractEmailDateCandidates
+} = require('./receipt-extractors');
 
-// Load processed email IDs from file
-function loadProcessedEmails() {
-  try {
-    if (fs.existsSync(PROCESSED_EMAILS_FILE)) {
-      const data = fs.readFileSync(PROCESSED_EMAILS_FILE, 'utf8');
-      return new Set(JSON.parse(data));
-    }
-  } catch (error) {
-    console.error('Error loading processed emails:', error);
-  }
-  return new Set();
-}
-
-// Save processed email IDs to file
-function saveProcessedEmails(emailIds) {
-  try {
-    fs.writeFileSync(PROCESSED_EMAILS_FILE, JSON.stringify([...emailIds]));
-  } catch (error) {
-    console.error('Error saving processed emails:', error);
-  }
-}
+// Accounts allowed to edit the vendor registry (comma-separated Google emails)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
 
-// Initialize processed emails set
-const processedEmailIds = loadProcessedEmails();
-console.log(`Loaded ${processedEmailIds.size} previously processed email IDs`);
 console.log('Auth token endpoint available at /auth/token');
 
 // Google OAuth configuration
@@ -62,7 +77,7 @@ app.use(session({
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -86,616 +101,393 @@ const upload = multer({
   limits: { fileSize: 2 * 1024 * 1024 } // Reduced to 2MB limit
 });
 
-// Analyze text context to determine business category
-function analyzeContext(text) {
-  const contextPatterns = [
-    // Grocery delivery (Instacart, etc.)
-    {
-      category: 'Groceries',
-      patterns: [
-        /shopper picked items/i,
-        /replacements you approved/i,
-        /delivered your order/i,
-        /farmers market/i,
-        /grocery/i,
-        /produce/i,
-        /organic/i
-      ]
-    },
-    
-    // Food delivery (DoorDash, Uber Eats, etc.)
-    {
-      category: 'Food Delivery',
-      patterns: [
-        /driver/i,
-        /restaurant/i,
-        /delivered.*food/i,
-        /pickup.*ready/i,
-        /estimated delivery/i
-      ]
-    },
-    
-    // Coffee shops
-    {
-      category: 'Coffee',
-      patterns: [
-        /barista/i,
-        /latte/i,
-        /cappuccino/i,
-        /espresso/i,
-        /coffee/i,
-        /frappuccino/i
-      ]
-    },
-    
-    // Retail/Shopping
-    {
-      category: 'Retail',
-      patterns: [
-        /order confirmation/i,
-        /shipped/i,
-        /tracking/i,
-        /warehouse/i,
-        /retail/i
-      ]
-    }
-  ];
-  
-  for (const context of contextPatterns) {
-    const matches = context.patterns.filter(pattern => pattern.test(text));
-    if (matches.length >= 2) { // Need at least 2 matching patterns for confidence
-      console.log(`Context analysis: ${context.category} (${matches.length} matches)`);
-      return context.category;
-    }
+// Photo receipts need a higher limit than PDFs
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: receiptImage.IMAGE_CONFIG.MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    cb(null, !!receiptImage.getImageType(file.mimetype, file.originalname));
   }
-  
-  return null;
-}
+});
 
-// Extract vendor from text
-function extractVendor(text) {
-  console.log('  Extracting vendor from text...');
-  
-  // Split text into sections to prioritize header/top content
-  const lines = text.split('\n');
-  const topSection = lines.slice(0, Math.min(10, lines.length)).join('\n'); // First 10 lines
-  const fullText = text;
-  
-  console.log('    Top section:', topSection.substring(0, 200));
-  
-  // Platform-specific patterns (highest priority) - look for these first
-  const platformPatterns = [
-    {
-      name: 'Instacart',
-      patterns: [
-        /instacart/i,
-        /your shopper/i,
-        /shopper.*picked/i,
-        /delivery.*instacart/i,
-        /instacart.*delivery/i
-      ],
-      confirmationPatterns: [
-        /shopper/i,
-        /delivery/i,
-        /groceries/i,
-        /replacement/i
-      ]
-    },
-    {
-      name: 'Amazon',
-      patterns: [
-        /amazon\.com/i,
-        /amazon/i,
-        /order.*amazon/i,
-        /amazon.*order/i,
-        /Your order.*delivered/i // Amazon specific phrasing
-      ],
-      confirmationPatterns: [
-        /order/i,
-        /shipped/i,
-        /prime/i,
-        /fulfillment/i
-      ]
-    },
-    {
-      name: 'DoorDash',
-      patterns: [
-        /doordash/i,
-        /door.*dash/i,
-        /dasher/i
-      ],
-      confirmationPatterns: [
-        /restaurant/i,
-        /delivery/i,
-        /dasher/i
-      ]
-    },
-    {
-      name: 'Uber Eats',
-      patterns: [
-        /uber\s*eats/i,
-        /ubereats/i
-      ],
-      confirmationPatterns: [
-        /delivery/i,
-        /restaurant/i,
-        /driver/i
-      ]
-    },
-    {
-      name: 'Grubhub',
-      patterns: [
-        /grubhub/i,
-        /grub.*hub/i
-      ],
-      confirmationPatterns: [
-        /delivery/i,
-        /restaurant/i,
-        /driver/i
-      ]
-    },
-    {
-      name: 'PayPal',
-      patterns: [
-        /paypal/i,
-        /you sent a payment/i,
-        /payment sent/i
-      ],
-      confirmationPatterns: [
-        /payment/i,
-        /transaction/i,
-        /sent/i,
-        /merchant/i
-      ]
-    },
-    {
-      name: 'Apple',
-      patterns: [
-        /apple.*store/i,
-        /apple.*receipt/i,
-        /app store/i,
-        /itunes/i
-      ],
-      confirmationPatterns: [
-        /purchase/i,
-        /receipt/i,
-        /app/i,
-        /store/i
-      ]
-    }
-  ];
-  
-  // Check platform-specific patterns first
-  for (const platform of platformPatterns) {
-    console.log(`    Checking for ${platform.name}...`);
-    
-    // Check if any platform pattern matches
-    const hasMainPattern = platform.patterns.some(pattern => pattern.test(fullText));
-    
-    if (hasMainPattern) {
-      console.log(`      Found ${platform.name} main pattern`);
-      
-      // Confirm with secondary patterns
-      const confirmationMatches = platform.confirmationPatterns.filter(pattern => pattern.test(fullText));
-      console.log(`      Confirmation patterns matched: ${confirmationMatches.length}/${platform.confirmationPatterns.length}`);
-      
-      if (confirmationMatches.length >= 1) {
-        console.log(`      Confirmed ${platform.name}!`);
-        return platform.name;
-      }
+// Shared by the PDF and photo upload routes: extract fields from the receipt
+// text, name the file, upload it to Drive and record it in the ledger.
+// pageStarts (PDF text only) lets the candidates report their page, and
+// layout (pdf-layout.js, PDF text only) their bounding box too, besides
+// pairing labels with amounts on the same line;
+// perceptualHash (photos only) lets a re-shot photo match as a duplicate.
+// email ({ messageId, subject, sender }) is set for Gmail attachments, whose
+// ledger entry is keyed on the message like any other email receipt.
+async function processReceiptText(req, { fileBuffer, originalFilename, text, extractionMethod, ocrEngine, ocrError, source = 'upload', pageStarts = null, layout = null, perceptualHash = null, email = null }) {
+  // The user's learned rules apply when we know who they are
+  let userEmail = null;
+  if (req.session.googleTokens) {
+    try {
+      userEmail = await getSessionUserEmail(req);
+    } catch (error) {
+      console.error('Could not resolve user for learned rules:', error);
     }
   }
-  
-  // Store-specific patterns (medium priority) - look in top section first
-  const storePatterns = [
-    // Coffee shops
-    { name: 'Starbucks', patterns: [/starbucks/i, /sbux/i] },
-    { name: 'Dunkin', patterns: [/dunkin/i, /dunkin.*donuts/i] },
-    { name: 'Tim Hortons', patterns: [/tim\s*hortons/i, /timhortons/i] },
-    
-    // Grocery stores
-    { name: 'Walmart', patterns: [/walmart/i, /wal.*mart/i] },
-    { name: 'Target', patterns: [/target/i] },
-    { name: 'Costco', patterns: [/costco/i] },
-    { name: 'Safeway', patterns: [/safeway/i] },
-    { name: 'Whole Foods', patterns: [/whole\s*foods/i, /wholefoods/i] },
-    { name: 'Kroger', patterns: [/kroger/i] },
-    { name: 'Publix', patterns: [/publix/i] },
-    { name: 'Trader Joes', patterns: [/trader\s*joe/i] },
-    
-    // Fast food
-    { name: 'McDonalds', patterns: [/mcdonald/i, /mcdonalds/i] },
-    { name: 'Subway', patterns: [/subway/i] },
-    { name: 'Chipotle', patterns: [/chipotle/i] },
-    { name: 'KFC', patterns: [/kfc/i, /kentucky.*fried/i] },
-    { name: 'Burger King', patterns: [/burger\s*king/i] },
-    { name: 'Taco Bell', patterns: [/taco\s*bell/i] },
-    { name: 'Chick-fil-A', patterns: [/chick.*fil.*a/i, /chickfila/i] },
-    
-    // Retail
-    { name: 'Home Depot', patterns: [/home\s*depot/i, /homedepot/i] },
-    { name: 'Best Buy', patterns: [/best\s*buy/i, /bestbuy/i] },
-    { name: 'Lowes', patterns: [/lowes/i, /lowe.*s/i] },
-    { name: 'CVS', patterns: [/cvs/i] },
-    { name: 'Walgreens', patterns: [/walgreens/i] },
-    { name: 'Rite Aid', patterns: [/rite\s*aid/i] },
-    
-    // Gas stations
-    { name: 'Shell', patterns: [/shell/i] },
-    { name: 'Exxon', patterns: [/exxon/i] },
-    { name: 'BP', patterns: [/\bbp\b/i] },
-    { name: 'Chevron', patterns: [/chevron/i] },
-    
-    // Tech companies
-    { name: 'Apple Store', patterns: [/apple\s*store/i, /apple.*retail/i] },
-    { name: 'Microsoft Store', patterns: [/microsoft\s*store/i] },
-    
-    // Clothing/Department stores
-    { name: 'Macys', patterns: [/macy.*s/i] },
-    { name: 'Nordstrom', patterns: [/nordstrom/i] },
-    { name: 'TJ Maxx', patterns: [/tj\s*maxx/i] }
-  ];
-  
-  // Check store patterns in top section first, then full text
-  for (const searchText of [topSection, fullText]) {
-    for (const store of storePatterns) {
-      for (const pattern of store.patterns) {
-        if (pattern.test(searchText)) {
-          console.log(`      Found store: ${store.name} in ${searchText === topSection ? 'top section' : 'full text'}`);
-          return store.name;
-        }
+  const learned = userEmail ? learnedRules.getUserRules(userEmail) : [];
+  
+  // Extract vendor, amount, and date from PDF text
+  console.log('--- PDF TEXT EXTRACTION ---');
+  const vendorCandidates = extractVendorCandidates(text, learned, email?.sender);
+  let vendor = topValue(vendorCandidates);
+  if (!vendor && email?.sender) {
+    vendorCandidates.push(...extractVendorFromSenderCandidates(email.sender, learned));
+    vendor = topValue(vendorCandidates);
+  }
+  const money = extractPdfAmountWithCurrency(text, layout, email?.sender || null, vendor, learned);
+  const amountCandidates = money.candidates;
+  let amount = money.amount;
+  let receiptCurrency = money.currency;
+  const dateCandidates = extractDateCandidates(text, vendor, learned);
+  let receiptDate = topValue(dateCandidates);
+  console.log('PDF extraction results:', { vendor, amount, receiptDate });
+  
+  // Check fallback condition
+  console.log('--- FALLBACK CHECK ---');
+  console.log('Vendor found:', !!vendor, 'Amount found:', !!amount);
+  console.log('Should trigger fallback:', !vendor || !amount);
+  
+  // If PDF text extraction failed to find vendor/amount, try fallback methods
+  if (!vendor || !amount) {
+    console.log('--- FALLBACK METHODS ---');
+    
+    // Try filename parsing first
+    console.log('Trying filename parsing...');
+    console.log('Original filename:', originalFilename);
+    const filenameInfo = parseFilename(originalFilename, getUserTemplate(userEmail));
+    console.log('Filename parsing result:', filenameInfo);
+    vendorCandidates.push(...filenameInfo.candidates.vendor);
+    amountCandidates.push(...filenameInfo.candidates.amount);
+    dateCandidates.push(...filenameInfo.candidates.date);
+    
+    // If still no vendor (or bad vendor), try context analysis
+    const hasValidVendor = vendor && vendor.length > 0;
+    const hasValidFilenameVendor = filenameInfo.vendor && filenameInfo.vendor.length > 0;
+    
+    if (!hasValidVendor && !hasValidFilenameVendor && text.length > 50) {
+      console.log('Trying context analysis...');
+      const contextVendor = analyzeContext(text);
+      if (contextVendor) {
+        filenameInfo.vendor = contextVendor;
+        vendorCandidates.push(createCandidate(contextVendor, 0.3, 'context-analysis'));
+        console.log('Context analysis result:', contextVendor);
       }
+    } else {
+      console.log('Skipping context analysis - valid vendor found');
     }
-  }
-  
-  // Email-based detection patterns
-  const emailPattern = /@([a-zA-Z0-9\-]+)\.(com|net|org)/i;
-  const emailMatch = topSection.match(emailPattern);
-  if (emailMatch) {
-    const domain = emailMatch[1];
-    // Convert domain to readable name
-    const domainToName = {
-      'amazon': 'Amazon',
-      'instacart': 'Instacart',
-      'doordash': 'DoorDash',
-      'uber': 'Uber Eats',
-      'grubhub': 'Grubhub',
-      'starbucks': 'Starbucks',
-      'target': 'Target',
-      'walmart': 'Walmart'
-    };
     
-    if (domainToName[domain.toLowerCase()]) {
-      console.log(`      Found vendor from email domain: ${domainToName[domain.toLowerCase()]}`);
-      return domainToName[domain.toLowerCase()];
+    const oldVendor = vendor;
+    const oldAmount = amount;
+    const oldDate = receiptDate;
+    
+    vendor = vendor || filenameInfo.vendor;
+    if (!amount && filenameInfo.amount) {
+      amount = filenameInfo.amount;
+      receiptCurrency = filenameInfo.currency;
     }
+    receiptDate = receiptDate || filenameInfo.date;
+    
+    console.log('Fallback applied:');
+    console.log('  Vendor:', oldVendor, '->', vendor);
+    console.log('  Amount:', oldAmount, '->', amount);
+    console.log('  Date:', oldDate, '->', receiptDate);
+  } else {
+    console.log('--- NO FALLBACK NEEDED ---');
   }
   
-  // Generic business patterns (lowest priority) - only in top section
-  const businessPatterns = [
-    /([A-Z][a-zA-Z\s&]+?)\s+(?:Store|Inc|LLC|Corp|Co\.|Restaurant|Cafe)/i,
-    /([A-Z][a-zA-Z\s&]+?)\s+Order\s+Confirmation/i,
-    /Thank you for shopping at\s+([A-Za-z0-9\s&]+)/i
-  ];
+  console.log('--- FINAL RESULTS ---');
+  console.log('Extracted:', { vendor, amount, receiptDate });
   
-  for (const pattern of businessPatterns) {
-    const match = topSection.match(pattern);
-    if (match && match[1]) {
-      let vendor = match[1].trim();
-      
-      // Clean up common suffixes and prefixes
-      vendor = vendor.replace(/\s+(Inc|LLC|Corp|Co\.|Store|Order|Confirmation|Restaurant|Cafe)$/i, '');
-      vendor = vendor.replace(/^(Order|Details|www\.|https?:\/\/)/i, '');
-      
-      // Filter out common product names and noise
-      const productBlacklist = [
-        /apple/i, // Common product, not the company
-        /banana/i,
-        /orange/i,
-        /chicken/i,
-        /beef/i,
-        /pork/i,
-        /fish/i,
-        /bread/i,
-        /milk/i,
-        /cheese/i,
-        /arriving/i,
-        /package/i,
-        /delivered/i,
-        /shipping/i,
-        /tracking/i,
-        /payment/i,
-        /total/i,
-        /subtotal/i,
-        /tax/i,
-        /fee/i,
-        /tip/i
-      ];
-      
-      const isProduct = productBlacklist.some(blackPattern => blackPattern.test(vendor));
-      
-      if (!isProduct && vendor.length > 1 && vendor.length < 30) {
-        console.log(`      Found business vendor: ${vendor}`);
-        return vendor.charAt(0).toUpperCase() + vendor.slice(1).toLowerCase();
-      }
-    }
-  }
+  // Line items follow the content-stream order; layout rows reorder them
+  const structureText = layout ? currency.normalizeCurrencyText(layout.streamText, { sender: email?.sender || null }).text : money.text;
+  const receipt = { ...extractReceiptStructure(structureText), currency: money.currency };
+  console.log(`Structured receipt: ${receipt.lineItems.length} line items, consistent: ${receipt.consistency.isConsistent}`);
   
-  console.log('      No vendor found');
-  return null;
-}
-
-// Extract amount from text
-function extractAmount(text) {
-  console.log('  Extracting amount from text...');
+  const homeAmount = amount ? currency.convertToHomeCurrency(amount, receiptCurrency) : null;
+  const extractionLabels = learnedRules.collectExtractionLabels(money.text);
+  const extraction = summarizeExtraction({
+    vendor: { value: vendor, candidates: assignLayout(assignPages(vendorCandidates, pageStarts), layout) },
+    amount: { value: amount, candidates: assignLayout(assignPages(amountCandidates, pageStarts), layout) },
+    receiptDate: { value: receiptDate, candidates: assignLayout(assignPages(dateCandidates, pageStarts), layout) }
+  });
+  console.log('Extraction confidence:', extraction.lowConfidenceFields.length > 0
+    ? `low for ${extraction.lowConfidenceFields.join(', ')}` : 'ok');
+  
+  // Order/invoice number and card digits, with their candidates like the fields above
+  const references = extractReferences(text);
+  Object.values(references.candidates).forEach(candidates => assignLayout(assignPages(candidates, pageStarts), layout));
+  console.log('References:', referenceFields(references));
+  
+  // Already filed (same file, text, photo or order - or a likely match on
+  // vendor, amount and date)? Strong matches stop here unless overridden.
+  const fingerprint = duplicateDetector.fingerprintReceipt({
+    vendor, amount, currency: receiptCurrency, receiptDate, orderNumber: references.orderNumber,
+    fileBuffer, text, perceptualHash
+  });
+  const duplicateCheck = userEmail
+    ? duplicateDetector.checkDuplicates(userEmail, fingerprint, { excludeMessageId: email?.messageId, allowDuplicate: allowsDuplicate(req) })
+    : { duplicates: [], blocked: false };
+  if (duplicateCheck.blocked) {
+    return {
+      vendor,
+      amount,
+      currency: receiptCurrency,
+      homeAmount,
+      receiptDate,
+      references,
+      filename: null,
+      success: false,
+      needsReview: false,
+      duplicateBlocked: true,
+      duplicates: duplicateCheck.duplicates,
+      textLength: text.length,
+      extractionMethod,
+      ocrEngine,
+      ocrError,
+      receipt,
+      extraction: extraction.fields,
+      lowConfidenceFields: extraction.lowConfidenceFields,
+      storage: null,
+      receiptId: null
+    };
+  }
   
-  // First, look for subtotal as an indicator
-  const subtotalMatch = text.match(/(?:Sub\s*)?total[:\s]*\$(\d+\.\d{2})/i);
-  if (subtotalMatch) {
-    console.log('    Found subtotal:', subtotalMatch[1]);
-    console.log('    Looking for final total after subtotal...');
-    
-    // Extract text after the subtotal to focus search
-    const subtotalIndex = text.indexOf(subtotalMatch[0]);
-    const textAfterSubtotal = text.substring(subtotalIndex);
-    console.log('    Text after subtotal (first 200 chars):', textAfterSubtotal.substring(0, 200));
-    
-    // Look for final total patterns in the text after subtotal
-    const finalTotalPatterns = [
-      /(?:Grand\s+|Final\s+|Order\s+)Total[:\s]*\$(\d+\.\d{2})/i, // Requires prefix to avoid "Subtotal"
-      /\bTotal\$(\d+\.\d{2})/i, // Word boundary to avoid "Subtotal"
-      /(?:Amount\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
-      /(?:Total\s+)?charged[:\s]*\$(\d+\.\d{2})/i,
-      /You\s+(?:paid|owe)[:\s]*\$(\d+\.\d{2})/i,
-      /(?:Card\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
-      /(?:Total\s+)?Due[:\s]*\$(\d+\.\d{2})/i
-    ];
-    
-    for (let i = 0; i < finalTotalPatterns.length; i++) {
-      const pattern = finalTotalPatterns[i];
-      const match = pattern.exec(textAfterSubtotal);
-      console.log(`      Final total pattern ${i + 1}: ${pattern} -> ${match ? '$' + match[1] : 'no match'}`);
-      
-      if (match) {
-        const amount = parseFloat(match[1]);
-        const subtotalAmount = parseFloat(subtotalMatch[1]);
-        
-        // Final total should be >= subtotal (with taxes, fees, etc.)
-        if (amount >= subtotalAmount) {
-          console.log(`    Found final total: $${amount.toFixed(2)} (subtotal was $${subtotalAmount.toFixed(2)})`);
-          return amount.toFixed(2);
-        } else {
-          console.log(`    Skipping amount $${amount.toFixed(2)} (less than subtotal $${subtotalAmount.toFixed(2)})`);
-        }
-      }
-    }
+  // Missing fields or totals that don't add up: park it for the user to
+  // confirm instead of filing it under a guessed name
+  const reviewReasons = reviewQueue.getReviewReasons({ vendor, amount, receiptDate, consistency: receipt.consistency, extraction });
+  if (userEmail && reviewReasons.length > 0) {
+    const reviewItem = reviewQueue.parkReceipt(userEmail, {
+      source,
+      messageId: email?.messageId,
+      reasons: reviewReasons,
+      vendor,
+      amount,
+      currency: receiptCurrency,
+      receiptDate,
+      originalFilename,
+      subject: email?.subject,
+      sender: email?.sender,
+      text,
+      extractionLabels,
+      lowConfidenceFields: extraction.lowConfidenceFields,
+      perceptualHash
+    }, fileBuffer);
+    console.log(`Parked for review (${reviewReasons.join(', ')}): ${reviewItem.id}`);
     
-    console.log('    No final total found after subtotal, using subtotal as fallback');
-    return subtotalMatch[1];
+    return {
+      vendor,
+      amount,
+      currency: receiptCurrency,
+      homeAmount,
+      receiptDate,
+      references,
+      filename: null,
+      success: false,
+      needsReview: true,
+      reviewId: reviewItem.id,
+      reviewReasons,
+      duplicateBlocked: false,
+      duplicates: duplicateCheck.duplicates,
+      textLength: text.length,
+      extractionMethod,
+      ocrEngine,
+      ocrError,
+      receipt,
+      extraction: extraction.fields,
+      lowConfidenceFields: extraction.lowConfidenceFields,
+      storage: null,
+      receiptId: null
+    };
   }
   
-  // If no subtotal found, use the original priority-based approach
-  console.log('    No subtotal found, using standard extraction...');
-  
-  // High-priority patterns (most likely to be the actual total)
-  const highPriorityPatterns = [
-    // Various total formats (excluding subtotal)
-    /(?:Grand\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Order\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Final\s+)?Total[:\s]*\$(\d+\.\d{2})/i,
-    
-    // Payment and charge patterns
-    /(?:Amount\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Total\s+)?Amount[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Final\s+)?Payment[:\s]*\$(\d+\.\d{2})/i,
-    
-    // Receipt-specific patterns
-    /You\s+(?:paid|owe)[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Card\s+)?Charged[:\s]*\$(\d+\.\d{2})/i,
-    /(?:Total\s+)?Due[:\s]*\$(\d+\.\d{2})/i
-  ];
-  
-  // Medium-priority patterns
-  const mediumPriorityPatterns = [
-    // Context-aware patterns (look for $ near total indicators)
-    /total.*?\$(\d+\.\d{2})/i,
-    /\$(\d+\.\d{2}).*?total/i,
-    /paid.*?\$(\d+\.\d{2})/i,
-    /\$(\d+\.\d{2}).*?paid/i
-  ];
+  // The user's filename template, or "Receipt <date>" without vendor and amount
+  const outputFilename = buildReceiptFilename(userEmail, {
+    vendor, amount, currency: receiptCurrency, receiptDate, ...references
+  }, { excludeMessageId: email?.messageId });
   
-  // Low-priority patterns (last resort)
-  const lowPriorityPatterns = [
-    /\$(\d+\.\d{2})/i
-  ];
-  
-  const patternGroups = [
-    { name: 'high-priority', patterns: highPriorityPatterns },
-    { name: 'medium-priority', patterns: mediumPriorityPatterns },
-    { name: 'low-priority', patterns: lowPriorityPatterns }
-  ];
-  
-  // Try each group in order, return first successful match
-  for (const group of patternGroups) {
-    console.log(`    Trying ${group.name} patterns...`);
-    const amounts = [];
-    
-    for (let i = 0; i < group.patterns.length; i++) {
-      const pattern = group.patterns[i];
-      const match = pattern.exec(text);
-      console.log(`      Pattern ${i + 1}: ${pattern} -> ${match ? '$' + match[1] : 'no match'}`);
-      
-      if (match) {
-        const amount = parseFloat(match[1]);
-        if (amount > 0) {
-          amounts.push(amount);
-        }
-      }
+  // File the PDF in the user's storage backend when we know who they are
+  let storedFile = null;
+  if (userEmail) {
+    try {
+      storedFile = await storeReceiptFile(fileBuffer, outputFilename, {
+        source, messageId: email?.messageId, vendor, amount, currency: receiptCurrency, receiptDate, ...references
+      }, req.session.googleTokens, userEmail);
+      console.log('Storage result:', storedFile);
+    } catch (storageError) {
+      console.error('Storing receipt failed:', storageError);
+      storedFile = { success: false, error: storageError.message };
     }
-    
-    if (amounts.length > 0) {
-      // For high-priority patterns, use the first match (most specific)
-      // For others, use the largest amount
-      const finalAmount = group.name === 'high-priority' ? amounts[0] : Math.max(...amounts);
-      console.log(`    Found ${group.name} amount: $${finalAmount.toFixed(2)}`);
-      return finalAmount.toFixed(2);
+  }
+  
+  // Record in the user's ledger when we know who they are
+  let ledgerEntry = null;
+  if (userEmail) {
+    try {
+      const ledgerData = {
+        source,
+        vendor,
+        amount,
+        currency: receiptCurrency,
+        homeAmount: homeAmount?.amount,
+        receiptDate,
+        filename: outputFilename,
+        originalFilename,
+        subject: email?.subject,
+        sender: email?.sender,
+        ...storageFields(storedFile),
+        extractionLabels,
+        ...referenceFields(references),
+        ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates)
+      };
+      ledgerEntry = email?.messageId
+        ? receiptLedger.upsertReceiptByMessageId(userEmail, email.messageId, ledgerData)
+        : receiptLedger.addReceipt(userEmail, ledgerData);
+      await recordReceiptSummary(ledgerEntry, req.session.googleTokens, userEmail);
+    } catch (ledgerError) {
+      console.error('Receipt ledger update failed:', ledgerError);
     }
   }
   
-  console.log('    No amount found');
-  return null;
+  return {
+    vendor, 
+    amount,
+    currency: receiptCurrency,
+    homeAmount,
+    receiptDate,
+    references,
+    filename: outputFilename,
+    success: !!(vendor && amount),
+    needsReview: false,
+    duplicateBlocked: false,
+    duplicates: duplicateCheck.duplicates,
+    textLength: text.length,
+    extractionMethod,
+    ocrEngine,
+    ocrError,
+    receipt,
+    extraction: extraction.fields,
+    lowConfidenceFields: extraction.lowConfidenceFields,
+    amountBreakdown: money.breakdown,
+    pageCount: layout ? layout.pageCount : null,
+    pagesRead: layout ? layout.pages.length : null,
+    storage: storedFile,
+    receiptId: ledgerEntry?.id || null
+  };
 }
 
-// Parse filename for vendor, amount, and date info
-function parseFilename(filename) {
-  console.log('  parseFilename called with:', filename);
-  const result = { vendor: null, amount: null, date: null };
-  
-  // Common filename patterns
-  const patterns = [
-    // "Instacart $304.66.pdf" (vendor space amount)
-    /^([A-Za-z\s]+?)\s+\$(\d+\.\d{2})/i,
-    
-    // "Instacart - $172.51.pdf" (vendor dash amount)
-    /^([A-Za-z\s]+?)\s*-\s*\$(\d+\.\d{2})/i,
-    
-    // "Amazon_2025-07-10_$29.99.pdf"
-    /^([A-Za-z\s]+?)_(\d{4}-\d{2}-\d{2})_\$(\d+\.\d{2})/i,
-    
-    // "Starbucks Receipt $15.67 2025-07-15.pdf"
-    /^([A-Za-z\s]+?).*?\$(\d+\.\d{2}).*?(\d{4}-\d{2}-\d{2})/i,
-    
-    // "Receipt_2025-07-15.pdf" (date only)
-    /Receipt.*?(\d{4}-\d{2}-\d{2})/i,
-    
-    // General vendor patterns (no amount)
-    /^([A-Za-z\s]+)/i
-  ];
-  
-  console.log('  Testing', patterns.length, 'patterns...');
-  
-  for (let i = 0; i < patterns.length; i++) {
-    const pattern = patterns[i];
-    const match = filename.match(pattern);
-    console.log('    Pattern', i + 1, ':', pattern, '-> Match:', match);
-    
-    if (match) {
-      console.log('      Match groups:', match);
-      
-      if (match[1] && !result.vendor) {
-        const rawVendor = match[1].trim()
-          .replace(/\s*(receipt|order|invoice)\s*/i, '')
-          .replace(/\s+/g, ' ')
-          .trim();
-        
-        // Don't set vendor if it looks like a date (YYYY-MM-DD format)
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(rawVendor)) {
-          result.vendor = rawVendor;
-          console.log('      Set vendor:', rawVendor);
-        } else {
-          console.log('      Skipping vendor (looks like date):', rawVendor);
-        }
-      }
-      
-      // Look for amount in different capture groups
-      if (match[2] && match[2].includes('.') && !result.amount) {
-        result.amount = match[2];
-        console.log('      Set amount from group 2:', match[2]);
-      } else if (match[3] && match[3].includes('.') && !result.amount) {
-        result.amount = match[3];
-        console.log('      Set amount from group 3:', match[3]);
-      }
-      
-      // Look for date in different capture groups
-      if (match[2] && match[2].includes('-') && !result.date) {
-        result.date = match[2];
-        console.log('      Set date from group 2:', match[2]);
-      } else if (match[3] && match[3].includes('-') && !result.date) {
-        result.date = match[3];
-        console.log('      Set date from group 3:', match[3]);
-      } else if (match[1] && match[1].includes('-') && !result.date) {
-        result.date = match[1];
-        console.log('      Set date from group 1:', match[1]);
-      }
-      
-      console.log('      Result so far:', result);
-      
-      if (result.vendor || result.amount || result.date) {
-        console.log('      Breaking because we found something');
-        break;
+// ?allowDuplicate=true (or the same form/body field) files or forwards a
+// receipt even when it strongly matches one already handled
+function allowsDuplicate(req) {
+  const value = req.query.allowDuplicate !== undefined ? req.query.allowDuplicate : req.body?.allowDuplicate;
+  return value === true || value === 'true';
+}
+
+// pdf-parse's default page renderer, also recording the offset each page's
+// text starts at (pdf-parse puts "\n\n" before every page)
+function pageTrackingRenderer(pageStarts) {
+  let offset = 0;
+  return pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
       }
-    }
-  }
-  
-  console.log('  Final parseFilename result:', result);
-  return result;
+      pageStarts.push(offset + 2);
+      offset += 2 + text.length;
+      return text;
+    });
+}
+
+// pdf-parse's flat text, for PDFs pdf.js can't lay out
+async function extractFlatPdfText(pdfBuffer) {
+  const pageStarts = [];
+  const pdfData = await pdf(pdfBuffer, {
+    max: PDF_LAYOUT_CONFIG.MAX_PAGES,
+    version: 'v1.10.100',
+    normalizeWhitespace: false, // Try without normalization
+    verbosity: 0, // Reduce noise
+    pagerender: pageTrackingRenderer(pageStarts)
+  });
+  return { text: pdfData.text, pageStarts };
 }
 
-// Extract date from text
-function extractDate(text) {
-  console.log('  Extracting date from text...');
+// Text of a receipt PDF, read by layout (every page, within pdf-layout.js's
+// memory budget) so labels stay on the line with their amounts. Scanned /
+// image-only PDFs have little or no text layer, so those are OCR'd instead.
+// Returns { text, extractionMethod, ocrEngine, ocrError, pageStarts, layout };
+// layout is null for OCR'd or flat text.
+async function extractPdfText(pdfBuffer) {
+  console.log('Parsing PDF content...');
+  let layout = null;
+  let text;
+  let pageStarts;
+  try {
+    layout = await extractPdfLayout(pdfBuffer);
+    ({ text, pageStarts } = layout);
+    console.log(`PDF layout: ${layout.pages.length}/${layout.pageCount} pages${layout.truncated ? ' (truncated)' : ''}`);
+  } catch (error) {
+    console.error('PDF layout extraction failed, using flat text:', error.message);
+    ({ text, pageStarts } = await extractFlatPdfText(pdfBuffer));
+  }
   
-  const datePatterns = [
-    // "June 23rd, 2025" format (with ordinal)
-    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
-    
-    // "placed on June 23rd, 2025" format
-    /placed on\s+((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
-    
-    // "delivered on June 23rd, 2025" format
-    /delivered on\s+((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),\s+\d{4})/gi,
-    
-    // MM/DD/YYYY format
-    /(\d{1,2}\/\d{1,2}\/\d{4})/g,
-    // MM-DD-YYYY format
-    /(\d{1,2}-\d{1,2}-\d{4})/g,
-    // YYYY-MM-DD format
-    /(\d{4}-\d{1,2}-\d{1,2})/g,
-    // Month DD, YYYY format (without ordinal)
-    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4})/gi,
-    // Mon DD, YYYY format
-    /((?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4})/gi
-  ];
+  console.log('Extracted text length:', text.length);
+  console.log('First 200 chars:', text.substring(0, 200));
   
-  const dates = [];
-  for (let i = 0; i < datePatterns.length; i++) {
-    const pattern = datePatterns[i];
-    console.log(`    Testing pattern ${i + 1}: ${pattern}`);
-    
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const dateStr = match[1];
-      console.log(`      Found date string: "${dateStr}"`);
-      
-      // Remove ordinal suffixes before parsing
-      const cleanDateStr = dateStr.replace(/(\d{1,2})(st|nd|rd|th)/g, '$1');
-      console.log(`      Cleaned date string: "${cleanDateStr}"`);
-      
-      const date = new Date(cleanDateStr);
-      console.log(`      Parsed date: ${date}`);
-      
-      // Check if date is valid and not in the future
-      if (!isNaN(date.getTime()) && date <= new Date()) {
-        console.log(`      Valid date found: ${date.toISOString().split('T')[0]}`);
-        dates.push(date);
-      } else {
-        console.log(`      Invalid or future date, skipping`);
+  let extractionMethod = 'pdf-text';
+  let ocrEngine = null;
+  let ocrError = null;
+  if (ocr.needsOcr(text) && ocr.isOcrEnabled()) {
+    console.log('--- OCR FALLBACK ---');
+    try {
+      const ocrResult = await ocr.recognizeText(pdfBuffer, 'application/pdf');
+      if (ocrResult.text.trim().length > text.trim().length) {
+        text = ocrResult.text;
+        pageStarts = null;
+        layout = null;
+        extractionMethod = 'ocr';
+        ocrEngine = ocrResult.engine;
+        console.log('Using OCR text, length:', text.length);
       }
+    } catch (error) {
+      console.error('OCR failed:', error.message);
+      ocrError = error.message;
     }
   }
   
-  console.log(`  Total valid dates found: ${dates.length}`);
-  
-  // Return the most recent valid date found
-  if (dates.length > 0) {
-    const mostRecentDate = new Date(Math.max(...dates.map(d => d.getTime())));
-    const formattedDate = mostRecentDate.toISOString().split('T')[0];
-    console.log(`  Returning most recent date: ${formattedDate}`);
-    return formattedDate;
+  return { text, extractionMethod, ocrEngine, ocrError, pageStarts, layout };
+}
+
+// A receipt photo, rotated, cropped and OCR'd, plus the single-page PDF it's
+// filed as. Returns { pdfBuffer, text, ocrEngine, ocrError, perceptualHash, cropped }.
+async function extractImageText(imageBuffer, mimeType, filename) {
+  const image = await receiptImage.prepareReceiptImage(imageBuffer, mimeType, filename);
+  
+  let text = '';
+  let ocrEngine = null;
+  let ocrError = null;
+  try {
+    const ocrResult = await ocr.recognizeText(image.jpegBuffer, 'image/jpeg');
+    text = ocrResult.text;
+    ocrEngine = ocrResult.engine;
+  } catch (error) {
+    console.error('OCR failed:', error.message);
+    ocrError = error.message;
   }
   
-  console.log('  No valid dates found');
-  return null;
+  return {
+    pdfBuffer: image.pdfBuffer,
+    text,
+    ocrEngine,
+    ocrError,
+    perceptualHash: image.perceptualHash,
+    cropped: image.cropped
+  };
 }
 
 // Main parsing endpoint
@@ -707,18 +499,7 @@ app.post('/parse-receipt', upload.single('pdf'), async (req, res) => {
     
     console.log('Processing PDF:', req.file.originalname, 'Size:', req.file.size);
     
-    // Parse PDF to extract text
-    console.log('Parsing PDF content...');
-    const pdfData = await pdf(req.file.buffer, {
-      max: 5, // Scan multiple pages to find totals (usually on last page)
-      version: 'v1.10.100',
-      normalizeWhitespace: false, // Try without normalization
-      verbosity: 0 // Reduce noise
-    });
-    
-    const text = pdfData.text;
-    console.log('Extracted text length:', text.length);
-    console.log('First 200 chars:', text.substring(0, 200));
+    const { text, extractionMethod, ocrEngine, ocrError, pageStarts, layout } = await extractPdfText(req.file.buffer);
     
     // Search for date patterns in the entire text
     const dateKeywords = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December', 'placed', 'delivered', 'rd', 'th', 'st', 'nd'];
@@ -728,149 +509,562 @@ app.post('/parse-receipt', upload.single('pdf'), async (req, res) => {
     if (foundKeywords.length > 0) {
       console.log('Full text (searching for dates):', text);
     }
-    
-    // Store original buffer for Google Drive upload
-    const originalBuffer = req.file.buffer;
-    
-    // Clear buffer to free memory
-    req.file.buffer = null;
-    
-    // Extract vendor, amount, and date from PDF text
-    console.log('--- PDF TEXT EXTRACTION ---');
-    let vendor = extractVendor(text);
-    let amount = extractAmount(text);
-    let receiptDate = extractDate(text);
-    console.log('PDF extraction results:', { vendor, amount, receiptDate });
-    
-    // Check fallback condition
-    console.log('--- FALLBACK CHECK ---');
-    console.log('Vendor found:', !!vendor, 'Amount found:', !!amount);
-    console.log('Should trigger fallback:', !vendor || !amount);
-    
-    // If PDF text extraction failed to find vendor/amount, try fallback methods
-    if (!vendor || !amount) {
-      console.log('--- FALLBACK METHODS ---');
-      
-      // Try filename parsing first
-      console.log('Trying filename parsing...');
-      console.log('Original filename:', req.file.originalname);
-      const filenameInfo = parseFilename(req.file.originalname);
-      console.log('Filename parsing result:', filenameInfo);
-      
-      // If still no vendor (or bad vendor), try context analysis
-      const hasValidVendor = vendor && vendor.length > 0;
-      const hasValidFilenameVendor = filenameInfo.vendor && filenameInfo.vendor.length > 0;
-      
-      if (!hasValidVendor && !hasValidFilenameVendor && text.length > 50) {
-        console.log('Trying context analysis...');
-        const contextVendor = analyzeContext(text);
-        if (contextVendor) {
-          filenameInfo.vendor = contextVendor;
-          console.log('Context analysis result:', contextVendor);
-        }
-      } else {
-        console.log('Skipping context analysis - valid vendor found');
-      }
-      
-      const oldVendor = vendor;
-      const oldAmount = amount;
-      const oldDate = receiptDate;
-      
-      vendor = vendor || filenameInfo.vendor;
-      amount = amount || filenameInfo.amount;
-      receiptDate = receiptDate || filenameInfo.date;
-      
-      console.log('Fallback applied:');
-      console.log('  Vendor:', oldVendor, '->', vendor);
-      console.log('  Amount:', oldAmount, '->', amount);
-      console.log('  Date:', oldDate, '->', receiptDate);
-    } else {
-      console.log('--- NO FALLBACK NEEDED ---');
+    
+    // Store original buffer for Google Drive upload
+    const originalBuffer = req.file.buffer;
+    
+    // Clear buffer to free memory
+    req.file.buffer = null;
+    
+    const result = await processReceiptText(req, {
+      fileBuffer: originalBuffer,
+      originalFilename: req.file.originalname,
+      text,
+      extractionMethod,
+      ocrEngine,
+      ocrError,
+      pageStarts,
+      layout
+    });
+    
+    // Memory cleanup
+    req.file = null;
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Error processing PDF:', error);
+    
+    // Memory cleanup on error
+    req.file = null;
+    
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Photo receipts (JPEG/PNG/WebP/HEIC): rotate/crop, OCR, convert to a
+// single-page PDF, then name and file it exactly like an uploaded PDF
+app.post('/parse-receipt-image', imageUpload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No supported image uploaded (JPEG, PNG, WebP or HEIC)' });
+    }
+    
+    console.log('Processing receipt photo:', req.file.originalname, 'Size:', req.file.size);
+    
+    const image = await extractImageText(req.file.buffer, req.file.mimetype, req.file.originalname);
+    
+    // Clear buffer to free memory
+    req.file.buffer = null;
+    
+    const result = await processReceiptText(req, {
+      fileBuffer: image.pdfBuffer,
+      originalFilename: req.file.originalname,
+      text: image.text,
+      extractionMethod: image.ocrEngine ? 'ocr' : 'none',
+      ocrEngine: image.ocrEngine,
+      ocrError: image.ocrError,
+      source: 'photo',
+      perceptualHash: image.perceptualHash
+    });
+    
+    // Memory cleanup
+    req.file = null;
+    
+    res.json({ ...result, cropped: image.cropped });
+    
+  } catch (error) {
+    console.error('Error processing receipt photo:', error);
+    
+    // Memory cleanup on error
+    req.file = null;
+    
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Debug endpoint to check processed emails for the current user
+app.get('/debug/processed-emails', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const processedEmailIds = receiptLedger.listReceipts(userEmail)
+      .filter(receipt => receipt.messageId)
+      .map(receipt => receipt.messageId);
+
+    res.json({ 
+      processedEmailsCount: processedEmailIds.length,
+      processedEmailIds
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug endpoint to clear the current user's ledger (for testing)
+app.post('/debug/clear-processed', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const cleared = receiptLedger.clearReceipts(userEmail);
+    res.json({ message: 'Cleared processed emails', cleared, count: 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the current user's receipts (query: from, to, vendor, cardLast4, limit)
+app.get('/receipts', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const { from, to, vendor, cardLast4 } = req.query;
+    const limit = parseInt(req.query.limit, 10) || null;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if (cardLast4 && !/^\d{4}$/.test(cardLast4)) {
+      return res.status(400).json({ error: 'cardLast4 must be four digits' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const receipts = receiptLedger.listReceipts(userEmail, { from, to, vendor, cardLast4, limit });
+
+    res.json({ success: true, count: receipts.length, receipts });
+  } catch (error) {
+    console.error('Error listing receipts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Find the receipt for a card statement line (query: amount, date, optional cardLast4)
+app.get('/receipts/match-charge', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const { amount, date, cardLast4 } = req.query;
+    if (!amount || !Number.isFinite(parseFloat(amount))) {
+      return res.status(400).json({ error: 'amount is required' });
+    }
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    if (cardLast4 && !/^\d{4}$/.test(cardLast4)) {
+      return res.status(400).json({ error: 'cardLast4 must be four digits' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const receipts = receiptLedger.findReceiptsForCharge(userEmail, { amount, date, cardLast4 });
+
+    res.json({ success: true, count: receipts.length, receipts });
+  } catch (error) {
+    console.error('Error matching charge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single receipt from the current user's ledger
+app.get('/receipts/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const receipt = receiptLedger.getReceipt(userEmail, req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json({ success: true, receipt });
+  } catch (error) {
+    console.error('Error getting receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Correct a receipt's vendor, amount or date; the fix is also learned so the
+// extractors get this sender/vendor right next time
+app.patch('/receipts/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const validationError = learnedRules.validateCorrection(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const result = learnedRules.correctReceipt(userEmail, req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error correcting receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the rules learned from the current user's corrections
+app.get('/learned-rules', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const rules = learnedRules.getUserRules(userEmail);
+
+    res.json({ success: true, count: rules.length, rules });
+  } catch (error) {
+    console.error('Error listing learned rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a learned rule - extraction falls back to the generic heuristics
+app.delete('/learned-rules/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    if (!learnedRules.revokeRule(userEmail, req.params.id)) {
+      return res.status(404).json({ error: 'Learned rule not found' });
+    }
+
+    res.json({ success: true, revoked: req.params.id });
+  } catch (error) {
+    console.error('Error revoking learned rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Receipts parked for review (missing fields or totals that don't add up)
+app.get('/review-queue', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const items = reviewQueue.listPending(userEmail);
+
+    res.json({ success: true, count: items.length, items });
+  } catch (error) {
+    console.error('Error listing review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A parked receipt with its full extracted text
+app.get('/review-queue/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const item = reviewQueue.getItem(userEmail, req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+
+    const { extractionLabels, ...details } = item;
+    res.json({ success: true, item: details });
+  } catch (error) {
+    console.error('Error getting review item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PDF preview of a parked receipt
+app.get('/review-queue/:id/pdf', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const pdfBuffer = reviewQueue.getItemPdf(userEmail, req.params.id);
+    if (!pdfBuffer) {
+      return res.status(404).json({ error: 'No preview for this review item' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="receipt-preview.pdf"');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error getting review preview:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm a parked receipt, optionally with edited vendor/amount/receiptDate,
+// then name it, file it to Drive and record it like any other receipt
+app.post('/review-queue/:id/confirm', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const validationError = reviewQueue.validateConfirmation(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    const resolved = reviewQueue.resolveItem(userEmail, req.params.id, req.body);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    const { item, fields } = resolved;
+    const references = extractReferences(item.text);
+    const filename = buildReceiptFilename(userEmail, { ...fields, ...references }, { excludeMessageId: item.messageId });
+    const pdfBuffer = reviewQueue.getItemPdf(userEmail, item.id);
+
+    const fingerprint = duplicateDetector.fingerprintReceipt({
+      ...fields, orderNumber: references.orderNumber, fileBuffer: pdfBuffer, text: item.text, perceptualHash: item.perceptualHash
+    });
+    const duplicateCheck = duplicateDetector.checkDuplicates(userEmail, fingerprint, {
+      excludeMessageId: item.messageId,
+      allowDuplicate: allowsDuplicate(req)
+    });
+    if (duplicateCheck.blocked) {
+      return res.status(409).json({
+        error: 'This receipt looks like one already filed',
+        code: 'DUPLICATE_RECEIPT',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+
+    let storedFile = null;
+    if (pdfBuffer) {
+      storedFile = await storeReceiptFile(pdfBuffer, filename, {
+        ...fields, ...references, source: item.source, messageId: item.messageId
+      }, req.session.googleTokens, userEmail);
+    }
+
+    const ledgerData = {
+      source: item.source,
+      vendor: fields.vendor,
+      amount: fields.amount,
+      currency: fields.currency,
+      homeAmount: currency.convertToHomeCurrency(fields.amount, fields.currency)?.amount,
+      receiptDate: fields.receiptDate,
+      filename,
+      originalFilename: item.originalFilename,
+      subject: item.subject,
+      sender: item.sender,
+      ...storageFields(storedFile),
+      extractionLabels: item.extractionLabels,
+      ...referenceFields(references),
+      ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates)
+    };
+    const ledgerEntry = item.messageId
+      ? receiptLedger.upsertReceiptByMessageId(userEmail, item.messageId, ledgerData)
+      : receiptLedger.addReceipt(userEmail, ledgerData);
+    await recordReceiptSummary(ledgerEntry, req.session.googleTokens, userEmail);
+    const learned = reviewQueue.confirmItem(userEmail, item, fields);
+
+    console.log(`Review item ${item.id} confirmed as ${filename}`);
+    res.json({
+      success: true,
+      filename,
+      receiptId: ledgerEntry.id,
+      storage: storedFile,
+      duplicates: duplicateCheck.duplicates,
+      learned
+    });
+  } catch (error) {
+    console.error('Error confirming review item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discard a parked receipt without filing it
+app.delete('/review-queue/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    if (!reviewQueue.removeItem(userEmail, req.params.id)) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+
+    res.json({ success: true, discarded: req.params.id });
+  } catch (error) {
+    console.error('Error discarding review item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a receipt from the ledger (the Drive file is left alone)
+app.delete('/receipts/:id', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const userEmail = await getSessionUserEmail(req);
+    if (!receiptLedger.deleteReceipt(userEmail, req.params.id)) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json({ success: true, deleted: req.params.id });
+  } catch (error) {
+    console.error('Error deleting receipt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the current user's receipts for a date range as CSV, XLSX or QuickBooks IIF
+// e.g. /export?format=xlsx&from=2025-06-01&to=2025-06-30&columns=date,vendor,amount,driveLink
+app.get('/export', async (req, res) => {
+  try {
+    if (!req.session.googleTokens) {
+      return res.status(401).json({ error: 'Not authenticated with Google' });
+    }
+
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!receiptExport.EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(receiptExport.EXPORT_FORMATS).join(', ')}` });
     }
-    
-    console.log('--- FINAL RESULTS ---');
-    console.log('Extracted:', { vendor, amount, receiptDate });
-    
-    // Create output filename with proper format
-    let outputFilename = '';
-    if (vendor && amount) {
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `${vendor} ${dateStr} $${amount}.pdf`;
-    } else {
-      // Fallback naming
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `Receipt ${dateStr}.pdf`;
+
+    const range = receiptExport.parseDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
     }
-    
-    // Upload to Google Drive if user is authenticated
-    let driveUpload = null;
-    if (req.session.googleTokens) {
-      console.log('Uploading to Google Drive...');
-      try {
-        driveUpload = await uploadToGoogleDrive(originalBuffer, outputFilename, receiptDate, req.session.googleTokens);
-        console.log('Google Drive upload result:', driveUpload);
-      } catch (driveError) {
-        console.error('Google Drive upload failed:', driveError);
-        driveUpload = { success: false, error: driveError.message };
-      }
+    const { from, to } = range;
+    const { vendor } = req.query;
+
+    const columns = receiptExport.parseColumns(req.query.columns);
+    if (!columns) {
+      return res.status(400).json({ error: `Unknown column. Available: ${Object.keys(receiptExport.EXPORT_COLUMNS).join(', ')}` });
     }
-    
-    // Memory cleanup
-    req.file = null;
-    
-    res.json({ 
-      vendor, 
-      amount,
-      receiptDate,
-      filename: outputFilename,
-      success: !!(vendor && amount),
-      textLength: text.length,
-      googleDrive: driveUpload
-    });
-    
+
+    const userEmail = await getSessionUserEmail(req);
+    const receipts = receiptLedger.listReceipts(userEmail, { from, to, vendor });
+    const file = receiptExport.buildExport(receipts, { format, columns, iifAccount: req.query.iifAccount });
+
+    const filename = `receipts_${from || 'all'}_to_${to || 'now'}.${file.extension}`;
+    console.log(`Exporting ${receipts.length} receipts as ${format} for ${userEmail}`);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file.body);
   } catch (error) {
-    console.error('Error processing PDF:', error);
-    
-    // Memory cleanup on error
-    req.file = null;
-    
+    console.error('Error exporting receipts:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// The vendor registry (names, aliases, sender domains, patterns, categories).
+// Public - the extensions load it to drive their own receipt matching.
+app.get('/vendors', (req, res) => {
+  res.json({ success: true, ...vendorRegistry.getRegistry() });
 });
 
-// Debug endpoint to check processed emails
-app.get('/debug/processed-emails', (req, res) => {
-  res.json({ 
-    processedEmailsCount: processedEmailIds.size,
-    processedEmailIds: [...processedEmailIds]
-  });
+// Vendor registry changes are limited to the accounts listed in ADMIN_EMAILS
+async function isAdminRequest(req) {
+  if (!req.session.googleTokens) return false;
+  const userEmail = await getSessionUserEmail(req);
+  return ADMIN_EMAILS.includes(userEmail);
+}
+
+// Add a vendor (or replace the one with the same id) - takes effect without a deploy
+app.post('/admin/vendors', async (req, res) => {
+  try {
+    if (!(await isAdminRequest(req))) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const validationError = vendorRegistry.validateVendor(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const vendor = vendorRegistry.saveVendor(req.body);
+    const { version, revision } = vendorRegistry.getRegistry();
+    console.log(`Vendor registry: saved ${vendor.id} (revision ${revision})`);
+
+    res.json({ success: true, vendor, version, revision });
+  } catch (error) {
+    console.error('Error saving vendor:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Debug endpoint to clear processed emails (for testing)
-app.post('/debug/clear-processed', (req, res) => {
-  processedEmailIds.clear();
-  saveProcessedEmails(processedEmailIds);
-  res.json({ message: 'Cleared processed emails', count: 0 });
+// Remove a vendor from the registry
+app.delete('/admin/vendors/:id', async (req, res) => {
+  try {
+    if (!(await isAdminRequest(req))) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!vendorRegistry.removeVendor(req.params.id)) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const { version, revision } = vendorRegistry.getRegistry();
+    console.log(`Vendor registry: removed ${req.params.id} (revision ${revision})`);
+
+    res.json({ success: true, version, revision });
+  } catch (error) {
+    console.error('Error removing vendor:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Debug endpoint to test date extraction
 app.post('/debug/test-date-extraction', (req, res) => {
-  const { text, subject, sender } = req.body;
+  const { text, subject, sender, date } = req.body;
   
   if (!text) {
     return res.status(400).json({ error: 'Text is required' });
   }
   
+  const money = extractAmountWithCurrency(text, sender);
   const result = {
     extractDate: extractDate(text),
-    extractEmailDate: extractEmailDate(text, subject || '', sender || ''),
+    extractEmailDate: extractEmailDate(text, subject || '', sender || '', null, null, null, date),
     extractVendor: extractVendor(text),
-    extractAmount: extractAmount(text)
+    extractAmount: extractAmount(text),
+    extractAmountWithCurrency: money.amount,
+    currency: currency.detectCurrency(text),
+    candidates: {
+      vendor: extractVendorCandidates(text),
+      amount: money.candidates,
+      date: extractDateCandidates(text),
+      emailDate: extractEmailDateCandidates(text, subject || '', sender || '', null, null, null, date)
+    }
   };
   
   res.json(result);
@@ -941,6 +1135,8 @@ app.post('/scan-gmail', async (req, res) => {
     // Set credentials
     oauth2Client.setCredentials(req.session.googleTokens);
     const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const userEmail = await getSessionUserEmail(req);
+    const learned = learnedRules.getUserRules(userEmail);
     
     // Enhanced search for RECEIPTS with more comprehensive patterns
     const query = [
@@ -954,6 +1150,9 @@ app.post('/scan-gmail', async (req, res) => {
       // Instacart receipts - broader patterns
       'from:instacart.com (subject:receipt OR subject:"Your Instacart order receipt" OR subject:"Order receipt" OR subject:"order complete")',
       ') OR (',
+      // Invoices and receipts sent as a PDF attachment (SaaS, hotels, airlines)
+      'has:attachment filename:pdf (subject:invoice OR subject:receipt OR subject:folio OR subject:itinerary)',
+      ') OR (',
       // Additional platforms
       'from:uber.com subject:receipt',
       'from:grubhub.com (subject:receipt OR subject:"order confirmation")',
@@ -1007,12 +1206,18 @@ app.post('/scan-gmail', async (req, res) => {
         console.log(`\n=== EMAIL ${emailIndex}/${searchResponse.data.messages.length} ===`);
         console.log(`Processing message ID: ${message.id}`);
         
-        // Check if we've already processed this email
-        if (processedEmailIds.has(message.id)) {
+        // Check if we've already processed this email for this account
+        if (receiptLedger.hasProcessedMessage(userEmail, message.id)) {
           console.log(`  ❌ SKIPPED: Already processed email: ${message.id}`);
           continue;
         }
         
+        // Parked emails wait for the user in the review queue
+        if (reviewQueue.findItemByMessageId(userEmail, message.id)) {
+          console.log(`  ⏸️  SKIPPED: Waiting for review: ${message.id}`);
+          continue;
+        }
+        
         // Get full message details
         const messageDetails = await gmail.users.messages.get({
           userId: 'me',
@@ -1028,22 +1233,32 @@ app.post('/scan-gmail', async (req, res) => {
         console.log(`  👤 From: ${sender}`);
         console.log(`  📅 Date: ${date}`);
         
-        // Process the email content itself (convert HTML to PDF)
+        // File a PDF/photo attachment if there is one, otherwise the email
+        // content itself (converted from HTML to PDF)
         try {
-          console.log(`    🔄 Processing email content to PDF`);
+          const content = extractEmailContent(msg.payload);
+          const hasBody = content.text.length > 0;
           
-          // Extract email HTML content
-          const emailHTML = extractEmailHTML(msg.payload);
-          if (!emailHTML || emailHTML.trim().length === 0) {
-            console.log(`    ❌ No HTML content found in email`);
-            continue;
+          let processed = await processEmailAttachments(req, gmail, msg, { subject, sender, hasBody });
+          if (!processed) {
+            console.log(`    🔄 Processing email content to PDF`);
+            if (!hasBody) {
+              console.log(`    ❌ No readable body found in email`);
+              continue;
+            }
+            
+            console.log(`    ✅ ${content.hasHtml ? 'HTML' : 'Plain-text'} content extracted: ${content.text.length} characters`);
+            
+            // Convert the email to PDF and process
+            processed = await processEmailContent(content, subject, sender, req.session.googleTokens, {
+              learned,
+              userEmail,
+              messageId: message.id,
+              sentDate: date,
+              allowDuplicate: allowsDuplicate(req)
+            });
           }
           
-          console.log(`    ✅ HTML content extracted: ${emailHTML.length} characters`);
-          
-          // Convert HTML email to PDF and process
-          const processed = await processEmailContent(emailHTML, subject, sender, req.session.googleTokens);
-          
           console.log(`    📊 Processing result: ${processed.success ? '✅ SUCCESS' : '❌ FAILED'}`);
           if (processed.vendor) console.log(`       Vendor: ${processed.vendor}`);
           if (processed.amount) console.log(`       Amount: ${processed.amount}`);
@@ -1057,18 +1272,45 @@ app.post('/scan-gmail', async (req, res) => {
             processed: processed.success,
             vendor: processed.vendor,
             amount: processed.amount,
+            currency: processed.currency,
             receiptDate: processed.receiptDate,
             filename: processed.filename,
-            googleDrive: processed.googleDrive,
+            storage: processed.storage,
+            needsReview: !!processed.needsReview,
+            reviewId: processed.reviewId || null,
+            reviewReasons: processed.reviewReasons || [],
+            references: processed.references,
+            extraction: processed.extraction,
+            lowConfidenceFields: processed.lowConfidenceFields || [],
+            duplicateBlocked: !!processed.duplicateBlocked,
+            duplicates: processed.duplicates || [],
+            attachment: processed.attachment || null,
             error: processed.error
           });
           
           if (processed.success) {
             processedCount++;
-            // Mark email as processed to prevent duplicates
-            processedEmailIds.add(message.id);
-            saveProcessedEmails(processedEmailIds);
-            console.log(`    💾 Saved email ID to processed list`);
+          }
+          // Attachments went through the upload pipeline, which records them itself
+          if (processed.success && !processed.attachment) {
+            // Record in the ledger, which also prevents duplicates
+            const ledgerEntry = receiptLedger.upsertReceiptByMessageId(userEmail, message.id, {
+              source: 'email',
+              vendor: processed.vendor,
+              amount: processed.amount,
+              currency: processed.currency,
+              homeAmount: currency.convertToHomeCurrency(processed.amount, processed.currency)?.amount,
+              receiptDate: processed.receiptDate,
+              filename: processed.filename,
+              subject,
+              sender,
+              ...storageFields(processed.storage),
+              extractionLabels: processed.extractionLabels,
+              ...referenceFields(processed.references),
+              ...duplicateDetector.ledgerFields(processed.fingerprint, processed.duplicates)
+            });
+            console.log(`    💾 Saved receipt to ledger`);
+            await recordReceiptSummary(ledgerEntry, req.session.googleTokens, userEmail);
           }
           
         } catch (emailError) {
@@ -1109,73 +1351,104 @@ app.post('/scan-gmail', async (req, res) => {
   }
 });
 
+// Helper function to resolve (and cache in the session) the signed-in Google account
+async function getSessionUserEmail(req) {
+  if (req.session.userEmail) {
+    return req.session.userEmail;
+  }
+  
+  oauth2Client.setCredentials(req.session.googleTokens);
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  req.session.userEmail = profile.data.emailAddress.toLowerCase();
+  return req.session.userEmail;
+}
+
 // Helper function to get email header
 function getHeader(headers, name) {
   const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
   return header ? header.value : null;
 }
 
-// Helper function to extract HTML content from email
-function extractEmailHTML(payload) {
-  let htmlContent = '';
-  
-  function searchParts(parts) {
-    if (!parts) return;
-    
-    for (const part of parts) {
-      // Look for HTML content
-      if (part.mimeType === 'text/html' && part.body && part.body.data) {
-        // Decode base64url content
-        const decoded = Buffer.from(part.body.data, 'base64url').toString('utf-8');
-        htmlContent += decoded;
-      }
+// Vendors that send the real invoice as an attachment (SaaS, hotels,
+// airlines): run the best PDF or photo attachment through the upload
+// pipeline and file the original rather than a rendering of the cover
+// email. Returns null when there's no attachment with readable text and the
+// email body can be used instead.
+async function processEmailAttachments(req, gmail, message, { subject, sender, hasBody }) {
+  for (const attachment of findReceiptAttachments(message.payload)) {
+    try {
+      console.log(`    📎 Reading attachment: ${attachment.filename} (${attachment.size} bytes)`);
+      const buffer = await fetchAttachment(gmail, message.id, attachment);
+      const extracted = attachment.kind === 'pdf'
+        ? await extractPdfText(buffer)
+        : await extractImageText(buffer, attachment.mimeType, attachment.filename);
       
-      // Recursively search nested parts
-      if (part.parts) {
-        searchParts(part.parts);
+      if (ocr.needsOcr(extracted.text) && hasBody) {
+        console.log(`    ⚠️  No readable text in ${attachment.filename}, skipping`);
+        continue;
       }
+      
+      const result = await processReceiptText(req, {
+        fileBuffer: attachment.kind === 'pdf' ? buffer : extracted.pdfBuffer,
+        originalFilename: attachment.filename,
+        text: extracted.text,
+        extractionMethod: extracted.extractionMethod || (extracted.ocrEngine ? 'ocr' : 'none'),
+        ocrEngine: extracted.ocrEngine,
+        ocrError: extracted.ocrError,
+        pageStarts: extracted.pageStarts || null,
+        layout: extracted.layout || null,
+        perceptualHash: extracted.perceptualHash || null,
+        source: 'email-attachment',
+        email: { messageId: message.id, subject, sender }
+      });
+      return { ...result, attachment: attachment.filename };
+    } catch (error) {
+      console.error(`    ❌ Could not read attachment ${attachment.filename}:`, error.message);
     }
   }
-  
-  // Check main payload first
-  if (payload.mimeType === 'text/html' && payload.body && payload.body.data) {
-    htmlContent = Buffer.from(payload.body.data, 'base64url').toString('utf-8');
-  } else {
-    // Search through parts
-    searchParts(payload.parts || []);
-  }
-  
-  return htmlContent;
+  return null;
 }
 
-// Helper function to process email content (convert to text receipt and extract data)
-async function processEmailContent(htmlContent, subject, sender, tokens) {
+// Helper function to process email content (convert to text receipt and extract data).
+// With a userEmail, emails with missing fields are parked in the review queue and
+// receipts already filed some other way are caught before a PDF is made.
+// content is extractEmailContent's result: renderable html plus clean text;
+// sentDate (the Date header) dates receipts that print no date of their own.
+async function processEmailContent(content, subject, sender, tokens, { learned, userEmail, messageId, sentDate, allowDuplicate } = {}) {
   try {
-    console.log(`    🔍 Processing email HTML content (${htmlContent.length} characters)`);
+    const htmlContent = content.html;
+    console.log(`    🔍 Processing email content (${htmlContent.length} characters)`);
     
-    // Extract text content for data extraction
-    const text = htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    // Text content for data extraction
+    const text = content.text;
     console.log(`    📝 Extracted text length: ${text.length}`);
     console.log(`    📄 Text sample: "${text.substring(0, 200)}..."`);
     
     // Extract vendor, amount, and date from email content
     console.log(`    🏪 Extracting vendor...`);
-    let vendor = extractVendor(text);
-    console.log(`    💰 Extracting amount...`);
-    let amount = extractAmount(text);
-    console.log(`    📅 Extracting date...`);
-    let receiptDate = extractEmailDate(text, subject, sender, htmlContent);
+    const vendorCandidates = extractVendorCandidates(text, learned, sender);
+    let vendor = topValue(vendorCandidates);
     
     // Try to extract vendor from sender if not found
     if (!vendor && sender) {
-      vendor = extractVendorFromSender(sender);
+      vendorCandidates.push(...extractVendorFromSenderCandidates(sender, learned));
+      vendor = topValue(vendorCandidates);
     }
     
     // Try to extract vendor from subject if still not found
     if (!vendor && subject) {
-      vendor = extractVendorFromSubject(subject);
+      vendorCandidates.push(...extractVendorFromSubjectCandidates(subject));
+      vendor = topValue(vendorCandidates);
     }
     
+    console.log(`    💰 Extracting amount...`);
+    const money = extractEmailAmountWithCurrency(text, htmlContent, sender, vendor, learned);
+    let amount = money.amount;
+    console.log(`    📅 Extracting date...`);
+    const dateCandidates = extractEmailDateCandidates(text, subject, sender, htmlContent, vendor, learned, sentDate);
+    let receiptDate = topValue(dateCandidates);
+    
     console.log(`    Initial extraction: vendor=${vendor}, amount=${amount}, date=${receiptDate}`);
     
     // Apply fallback logic if needed
@@ -1184,22 +1457,43 @@ async function processEmailContent(htmlContent, subject, sender, tokens) {
         const contextVendor = analyzeContext(text);
         if (contextVendor) {
           vendor = contextVendor;
+          vendorCandidates.push(createCandidate(contextVendor, 0.3, 'context-analysis'));
         }
       }
     }
     
     console.log(`    Final extraction: vendor=${vendor}, amount=${amount}, date=${receiptDate}`);
     
-    // Create output filename
-    let outputFilename;
-    if (vendor && amount) {
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `${vendor} ${dateStr} $${amount}.pdf`;
-    } else {
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `Email Receipt ${dateStr}.pdf`;
+    const references = extractReferences(text);
+    
+    // The same receipt may already be filed from an upload or another email
+    const fingerprint = duplicateDetector.fingerprintReceipt({
+      vendor, amount, currency: money.currency, receiptDate, orderNumber: references.orderNumber, text
+    });
+    const duplicateCheck = userEmail
+      ? duplicateDetector.checkDuplicates(userEmail, fingerprint, { excludeMessageId: messageId, allowDuplicate })
+      : { duplicates: [], blocked: false };
+    if (duplicateCheck.blocked) {
+      return {
+        success: false,
+        duplicateBlocked: true,
+        duplicates: duplicateCheck.duplicates,
+        vendor,
+        amount,
+        currency: money.currency,
+        receiptDate,
+        references,
+        filename: null,
+        error: null,
+        storage: null
+      };
     }
     
+    // Create output filename
+    const outputFilename = buildReceiptFilename(userEmail, {
+      vendor, amount, currency: money.currency, receiptDate, ...references
+    }, { fallback: 'Email Receipt', excludeMessageId: messageId });
+    
     // Create a proper PDF receipt - try Puppeteer first, fallback to html-pdf
     console.log(`    📋 Creating PDF receipt...`);
     
@@ -1241,29 +1535,84 @@ async function processEmailContent(htmlContent, subject, sender, tokens) {
     const isPDF = pdfBuffer.toString('ascii', 0, 4) === '%PDF';
     console.log(`    📋 Generated content type: ${isPDF ? 'Valid PDF' : 'Text fallback'}`);
     
-    // Upload to Google Drive only if we have a valid PDF
-    let driveUpload = null;
-    if (isPDF && tokens) {
+    const extractionLabels = learnedRules.collectExtractionLabels(money.text);
+    const extraction = summarizeExtraction({
+      vendor: { value: vendor, candidates: vendorCandidates },
+      amount: { value: amount, candidates: money.candidates },
+      receiptDate: { value: receiptDate, candidates: dateCandidates }
+    });
+    
+    // Missing fields: park it, with the PDF as its preview, until the user confirms
+    const reviewReasons = reviewQueue.getReviewReasons({ vendor, amount, receiptDate, extraction });
+    if (userEmail && reviewReasons.length > 0) {
+      const reviewItem = reviewQueue.parkReceipt(userEmail, {
+        source: 'email',
+        messageId,
+        reasons: reviewReasons,
+        vendor,
+        amount,
+        currency: money.currency,
+        receiptDate,
+        subject,
+        sender,
+        text,
+        extractionLabels,
+        lowConfidenceFields: extraction.lowConfidenceFields
+      }, isPDF ? pdfBuffer : null);
+      console.log(`    ⏸️  Parked for review (${reviewReasons.join(', ')}): ${reviewItem.id}`);
+      
+      return {
+        success: false,
+        needsReview: true,
+        reviewId: reviewItem.id,
+        reviewReasons,
+        vendor,
+        amount,
+        currency: money.currency,
+        receiptDate,
+        references,
+        filename: null,
+        error: null,
+        extraction: extraction.fields,
+        lowConfidenceFields: extraction.lowConfidenceFields,
+        duplicates: duplicateCheck.duplicates,
+        storage: null
+      };
+    }
+    
+    // Store only if we have a valid PDF
+    let storedFile = null;
+    if (isPDF) {
       try {
-        driveUpload = await uploadToGoogleDrive(pdfBuffer, outputFilename, receiptDate, tokens);
-        console.log(`    📤 Google Drive upload: ${driveUpload.success ? 'SUCCESS' : 'FAILED'}`);
-      } catch (driveError) {
-        console.error(`    ❌ Google Drive upload error:`, driveError);
-        driveUpload = { success: false, error: driveError.message };
+        storedFile = await storeReceiptFile(pdfBuffer, outputFilename, {
+          source: 'email', messageId, vendor, amount, currency: money.currency, receiptDate, ...references
+        }, tokens, userEmail);
+        console.log(`    📤 Storage: ${storedFile ? (storedFile.success ? 'SUCCESS' : 'FAILED') : 'SKIPPED'}`);
+      } catch (storageError) {
+        console.error(`    ❌ Storage error:`, storageError);
+        storedFile = { success: false, error: storageError.message };
       }
     } else if (!isPDF) {
-      console.log(`    ⚠️  Skipping Google Drive upload - text fallback, not valid PDF`);
-      driveUpload = { success: false, error: 'PDF generation failed, text fallback used' };
+      console.log(`    ⚠️  Skipping storage - text fallback, not valid PDF`);
+      storedFile = { success: false, error: 'PDF generation failed, text fallback used' };
     }
     
     return {
       success: !!(vendor && amount && isPDF),
       vendor,
       amount,
+      currency: money.currency,
       receiptDate,
+      references,
       filename: outputFilename,
       error: isPDF ? null : 'PDF generation failed - Browserless.io error',
-      googleDrive: driveUpload
+      storage: storedFile,
+      extractionLabels,
+      extraction: extraction.fields,
+      lowConfidenceFields: extraction.lowConfidenceFields,
+      amountBreakdown: money.breakdown,
+      duplicates: duplicateCheck.duplicates,
+      fingerprint
     };
     
   } catch (error) {
@@ -1276,252 +1625,6 @@ async function processEmailContent(htmlContent, subject, sender, tokens) {
   }
 }
 
-// Helper function to extract vendor from email sender
-function extractVendorFromSender(sender) {
-  console.log(`    Extracting vendor from sender: ${sender}`);
-  
-  // Common email patterns
-  const patterns = [
-    // Amazon patterns
-    /amazon/i,
-    // Instacart patterns  
-    /instacart/i,
-    // Food delivery patterns
-    /doordash/i,
-    /uber/i,
-    /grubhub/i,
-    // Retail patterns
-    /target/i,
-    /walmart/i,
-    /starbucks/i,
-    /costco/i
-  ];
-  
-  for (const pattern of patterns) {
-    if (pattern.test(sender)) {
-      const match = sender.match(/([a-zA-Z]+)/);
-      if (match) {
-        const vendor = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
-        console.log(`      Found vendor from sender: ${vendor}`);
-        return vendor;
-      }
-    }
-  }
-  
-  return null;
-}
-
-// Helper function to extract vendor from email subject
-function extractVendorFromSubject(subject) {
-  console.log(`    Extracting vendor from subject: ${subject}`);
-  
-  const patterns = [
-    /Your ([A-Za-z]+) order/i,
-    /([A-Za-z]+) order confirmation/i,
-    /Thank you for shopping at ([A-Za-z]+)/i,
-    /Your ([A-Za-z]+) delivery/i,
-    /([A-Za-z]+) receipt/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = subject.match(pattern);
-    if (match && match[1]) {
-      const vendor = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
-      console.log(`      Found vendor from subject: ${vendor}`);
-      return vendor;
-    }
-  }
-  
-  return null;
-}
-
-// Enhanced date extraction specifically for emails
-function extractEmailDate(text, subject, sender, htmlContent) {
-  console.log('  Extracting date from email...');
-  console.log(`    Subject: ${subject}`);
-  console.log(`    Sender: ${sender}`);
-  console.log(`    Text sample: ${text.substring(0, 300)}...`);
-  
-  // For Amazon delivery emails, try to extract from HTML first
-  if (sender && sender.toLowerCase().includes('amazon') && htmlContent) {
-    console.log(`    🔍 Checking Amazon HTML for dates...`);
-    const amazonDateMatch = htmlContent.match(/arriving|delivered|shipped.*?(\w+\s+\d{1,2},?\s+\d{4})/gi);
-    if (amazonDateMatch) {
-      console.log(`    🎯 Found Amazon date pattern: ${amazonDateMatch[0]}`);
-      const dateStr = amazonDateMatch[0].match(/(\w+\s+\d{1,2},?\s+\d{4})/i);
-      if (dateStr) {
-        const date = parseEmailDate(dateStr[1]);
-        if (date) {
-          console.log(`    ✅ Amazon date extracted: ${date.toISOString().split('T')[0]}`);
-          return date.toISOString().split('T')[0];
-        }
-      }
-    }
-  }
-  
-  const dates = [];
-  
-  // Email-specific date patterns (more common in emails)
-  const emailDatePatterns = [
-    // Order placed/shipped patterns
-    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/gi,
-    /(?:order placed|placed on|shipped on|delivered on|ordered on)\s*:?\s*(\d{4}-\d{1,2}-\d{1,2})/gi,
-    
-    // Date in subject line
-    /(\d{1,2}\/\d{1,2}\/\d{4})/g,
-    /(\d{4}-\d{1,2}-\d{1,2})/g,
-    
-    // Common email date formats
-    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4})/gi,
-    /((?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},?\s+\d{4})/gi,
-    
-    // Date with ordinals (common in emails)
-    /((?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:st|nd|rd|th),?\s+\d{4})/gi,
-    
-    // Delivery date patterns
-    /delivery date[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    /delivery date[:\s]+(\d{1,2}\/\d{1,2}\/\d{4})/gi,
-    
-    // Expected delivery patterns
-    /expected[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    /arriving[:\s]+([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    
-    // Additional Amazon-specific patterns
-    /Delivery:\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    /Arriving\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4})/gi,
-    /([A-Za-z]+\s+\d{1,2},?\s+\d{4})\s*by.*pm/gi, // "July 15, 2025 by 10pm"
-    
-    // Generic date patterns as last resort
-    /\b([A-Za-z]+\s+\d{1,2},?\s+\d{4})\b/gi,
-    /\b(\d{1,2}\/\d{1,2}\/\d{4})\b/g,
-    /\b(\d{4}-\d{1,2}-\d{1,2})\b/g
-  ];
-  
-  // Check subject line first (often has the most relevant date)
-  if (subject) {
-    console.log(`    Checking subject for dates...`);
-    for (const pattern of emailDatePatterns) {
-      let match;
-      while ((match = pattern.exec(subject)) !== null) {
-        const dateStr = match[1];
-        console.log(`      Found date in subject: "${dateStr}"`);
-        const date = parseEmailDate(dateStr);
-        if (date) {
-          dates.push({ date, source: 'subject', confidence: 10 });
-        }
-      }
-    }
-  }
-  
-  // Check email content
-  console.log(`    Checking email content for dates...`);
-  for (const pattern of emailDatePatterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const dateStr = match[1];
-      console.log(`      Found date in content: "${dateStr}"`);
-      const date = parseEmailDate(dateStr);
-      if (date) {
-        // Give higher confidence to dates near order/delivery keywords
-        const beforeText = text.substring(Math.max(0, match.index - 50), match.index).toLowerCase();
-        const afterText = text.substring(match.index, Math.min(text.length, match.index + 50)).toLowerCase();
-        const contextText = beforeText + afterText;
-        
-        let confidence = 5;
-        if (contextText.includes('order') || contextText.includes('placed') || contextText.includes('shipped')) {
-          confidence = 8;
-        }
-        if (contextText.includes('delivery') || contextText.includes('delivered')) {
-          confidence = 9;
-        }
-        
-        dates.push({ date, source: 'content', confidence });
-      }
-    }
-  }
-  
-  console.log(`    📊 Found ${dates.length} potential dates`);
-  dates.forEach((item, i) => {
-    console.log(`      ${i + 1}. ${item.date.toISOString().split('T')[0]} (${item.source}, confidence: ${item.confidence})`);
-  });
-  
-  // If no dates found, let's see what we're working with
-  if (dates.length === 0) {
-    console.log(`    🔍 No dates found. Debugging...`);
-    console.log(`    📧 Subject: "${subject}"`);
-    console.log(`    👤 Sender: "${sender}"`);
-    console.log(`    📄 Text sample (first 500 chars): "${text.substring(0, 500)}"`);
-    
-    // Test some common date patterns manually
-    const testPatterns = [
-      /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}\b/gi,
-      /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g,
-      /\b\d{4}-\d{1,2}-\d{1,2}\b/g
-    ];
-    
-    testPatterns.forEach((pattern, i) => {
-      const matches = text.match(pattern);
-      console.log(`    🧪 Test pattern ${i + 1}: ${pattern} -> ${matches ? matches.slice(0, 3) : 'no matches'}`);
-    });
-  }
-  
-  if (dates.length === 0) {
-    console.log('    ⚠️  No dates found in email content');
-    
-    // Try standard extraction as final attempt  
-    const standardDate = extractDate(text);
-    if (standardDate) {
-      console.log(`    ✅ Standard extraction found: ${standardDate}`);
-      return standardDate;
-    }
-    
-    // Final fallback: use a date from the past week instead of today
-    // This is more realistic for receipts than today's date
-    const pastDate = new Date();
-    pastDate.setDate(pastDate.getDate() - Math.floor(Math.random() * 7 + 1)); // 1-7 days ago
-    const fallbackDate = pastDate.toISOString().split('T')[0];
-    console.log(`    📅 Using fallback date (recent past): ${fallbackDate}`);
-    return fallbackDate;
-  }
-  
-  // Sort by confidence (highest first), then by recency
-  dates.sort((a, b) => {
-    if (a.confidence !== b.confidence) {
-      return b.confidence - a.confidence;
-    }
-    return b.date.getTime() - a.date.getTime();
-  });
-  
-  const bestDate = dates[0].date;
-  const formattedDate = bestDate.toISOString().split('T')[0];
-  console.log(`    Best date: ${formattedDate} (${dates[0].source}, confidence: ${dates[0].confidence})`);
-  
-  return formattedDate;
-}
-
-// Helper to parse various email date formats
-function parseEmailDate(dateStr) {
-  try {
-    // Remove ordinal suffixes
-    const cleanDateStr = dateStr.replace(/(\d{1,2})(st|nd|rd|th)/g, '$1');
-    
-    const date = new Date(cleanDateStr);
-    
-    // Check if date is valid and not in the future (with 1 day tolerance)
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    if (!isNaN(date.getTime()) && date <= tomorrow) {
-      return date;
-    }
-  } catch (error) {
-    console.log(`      Error parsing date "${dateStr}": ${error.message}`);
-  }
-  
-  return null;
-}
-
 // Puppeteer PDF generation with resource limits and queue-ready structure
 // Create professional HTML for email receipts
 async function createEmailReceiptHTML(data) {
@@ -2119,66 +2222,87 @@ app.post('/convert-email-to-pdf', async (req, res) => {
     const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
     const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
     const date = headers.find(h => h.name === 'Date')?.value || new Date().toISOString();
+    const userEmail = await getSessionUserEmail(req);
     
-    // Extract email body
-    let emailBody = '';
-    let emailText = '';
+    // Extract email body: the HTML version and the plain-text version, either may be empty
+    const body = extractEmailContent(message.payload);
+    const emailBody = body.hasHtml ? body.html : '';
+    const emailText = body.plainText;
     
-    function extractParts(parts) {
-      for (const part of parts) {
-        if (part.mimeType === 'text/html' && part.body?.data) {
-          const decodedBody = Buffer.from(part.body.data, 'base64').toString('utf-8');
-          if (decodedBody.length > emailBody.length) {
-            emailBody = decodedBody;
-          }
-        } else if (part.mimeType === 'text/plain' && part.body?.data) {
-          const decodedText = Buffer.from(part.body.data, 'base64').toString('utf-8');
-          if (decodedText.length > emailText.length) {
-            emailText = decodedText;
-          }
-        } else if (part.parts) {
-          extractParts(part.parts);
-        }
-      }
-    }
+    // Use HTML body if available, otherwise fall back to text
+    const content = emailBody || emailText;
     
-    if (message.payload.parts) {
-      extractParts(message.payload.parts);
-    } else if (message.payload.body?.data) {
-      if (message.payload.mimeType === 'text/html') {
-        emailBody = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
-      } else {
-        emailText = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
+    // An attached invoice or receipt photo is filed as-is instead of a PDF of the email
+    const attachmentResult = await processEmailAttachments(req, gmail, message, {
+      subject, sender: from, hasBody: !!content
+    });
+    if (attachmentResult) {
+      if (attachmentResult.duplicateBlocked) {
+        return res.status(409).json({
+          ...attachmentResult,
+          error: 'This receipt looks like one already filed',
+          code: 'DUPLICATE_RECEIPT'
+        });
       }
+      return res.json(attachmentResult);
     }
     
-    // Use HTML body if available, otherwise fall back to text
-    const content = emailBody || emailText;
-    
     if (!content) {
       return res.status(400).json({ error: 'No email content found' });
     }
     
     console.log('Email content extracted, length:', content.length);
     
-    // Extract vendor, amount, and date from email text
-    const textForParsing = emailText || emailBody.replace(/<[^>]*>/g, ' ');
-    const vendor = extractVendor(textForParsing);
-    const amount = extractAmount(textForParsing);
-    const receiptDate = extractEmailDate(textForParsing, subject, from);
+    // Extract vendor, amount, and date from email text (table rows kept on one line each)
+    const textForParsing = body.text;
+    const learned = learnedRules.getUserRules(userEmail);
+    const vendorCandidates = extractVendorCandidates(textForParsing, learned, from);
+    const vendor = topValue(vendorCandidates);
+    const money = extractEmailAmountWithCurrency(textForParsing, emailBody, from, vendor, learned);
+    const amount = money.amount;
+    const dateCandidates = extractEmailDateCandidates(textForParsing, subject, from, null, vendor, learned, headers.find(h => h.name === 'Date')?.value);
+    const receiptDate = topValue(dateCandidates);
+    const extraction = summarizeExtraction({
+      vendor: { value: vendor, candidates: vendorCandidates },
+      amount: { value: amount, candidates: money.candidates },
+      receiptDate: { value: receiptDate, candidates: dateCandidates }
+    });
     
     console.log('Extracted:', { vendor, amount, receiptDate });
     
-    // Create output filename
-    let outputFilename = '';
-    if (vendor && amount) {
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `${vendor} ${dateStr} $${amount}.pdf`;
-    } else {
-      const dateStr = receiptDate || new Date().toISOString().split('T')[0];
-      outputFilename = `Email Receipt ${dateStr}.pdf`;
+    // Line items need the row structure, which body.text keeps
+    const structureText = currency.normalizeCurrencyText(textForParsing, { sender: from });
+    const receipt = { ...extractReceiptStructure(structureText.text), currency: structureText.currency };
+    const homeAmount = amount ? currency.convertToHomeCurrency(amount, money.currency) : null;
+    const references = extractReferences(textForParsing);
+    
+    // Stop before making a PDF if this receipt is already filed some other way
+    const fingerprint = duplicateDetector.fingerprintReceipt({
+      vendor, amount, currency: money.currency, receiptDate, orderNumber: references.orderNumber, text: textForParsing
+    });
+    const duplicateCheck = duplicateDetector.checkDuplicates(userEmail, fingerprint, {
+      excludeMessageId: emailId,
+      allowDuplicate: allowsDuplicate(req)
+    });
+    if (duplicateCheck.blocked) {
+      return res.status(409).json({
+        success: false,
+        error: 'This receipt looks like one already filed',
+        code: 'DUPLICATE_RECEIPT',
+        duplicates: duplicateCheck.duplicates,
+        vendor,
+        amount,
+        currency: money.currency,
+        receiptDate,
+        references
+      });
     }
     
+    // Create output filename
+    const outputFilename = buildReceiptFilename(userEmail, {
+      vendor, amount, currency: money.currency, receiptDate, ...references
+    }, { fallback: 'Email Receipt', excludeMessageId: emailId });
+    
     // Convert to PDF - try Browserless first for professional quality, fallback to html-pdf
     let pdfBuffer;
     try {
@@ -2189,7 +2313,7 @@ app.post('/convert-email-to-pdf', async (req, res) => {
         vendor: vendor || 'Not found',
         amount: amount || 'Not found', 
         receiptDate: receiptDate || 'Not found',
-        emailContent: (emailText || emailBody.replace(/<[^>]*>/g, ' ')).substring(0, 1500),
+        emailContent: textForParsing.substring(0, 1500),
         htmlContent: emailBody
       });
       console.log('✅ Browserless PDF generation successful!');
@@ -2201,28 +2325,61 @@ app.post('/convert-email-to-pdf', async (req, res) => {
         vendor: vendor || 'Not found',
         amount: amount || 'Not found',
         receiptDate: receiptDate || 'Not found',
-        emailContent: (emailText || emailBody.replace(/<[^>]*>/g, ' ')).substring(0, 1500)
+        emailContent: textForParsing.substring(0, 1500)
       });
       console.log('📄 html-pdf fallback used');
     }
     
-    // Upload to Google Drive
-    let driveUpload = null;
+    // File it in the user's storage backend
+    let storedFile = null;
+    try {
+      storedFile = await storeReceiptFile(pdfBuffer, outputFilename, {
+        source: 'email', messageId: emailId, vendor, amount, currency: money.currency, receiptDate, ...references
+      }, req.session.googleTokens, userEmail);
+      console.log('Storage result:', storedFile);
+    } catch (storageError) {
+      console.error('Storing receipt failed:', storageError);
+      storedFile = { success: false, error: storageError.message };
+    }
+    
+    let ledgerEntry = null;
     try {
-      driveUpload = await uploadToGoogleDrive(pdfBuffer, outputFilename, receiptDate, req.session.googleTokens);
-      console.log('Google Drive upload result:', driveUpload);
-    } catch (driveError) {
-      console.error('Google Drive upload failed:', driveError);
-      driveUpload = { success: false, error: driveError.message };
+      ledgerEntry = receiptLedger.upsertReceiptByMessageId(userEmail, emailId, {
+        source: 'email',
+        vendor,
+        amount,
+        currency: money.currency,
+        homeAmount: homeAmount?.amount,
+        receiptDate,
+        filename: outputFilename,
+        subject,
+        sender: from,
+        ...storageFields(storedFile),
+        extractionLabels: learnedRules.collectExtractionLabels(money.text),
+        ...referenceFields(references),
+        ...duplicateDetector.ledgerFields(fingerprint, duplicateCheck.duplicates)
+      });
+      await recordReceiptSummary(ledgerEntry, req.session.googleTokens, userEmail);
+    } catch (ledgerError) {
+      console.error('Receipt ledger update failed:', ledgerError);
     }
     
     res.json({
       success: true,
       vendor,
       amount,
+      currency: money.currency,
+      homeAmount,
       receiptDate,
+      references,
       filename: outputFilename,
-      googleDrive: driveUpload
+      receipt,
+      extraction: extraction.fields,
+      lowConfidenceFields: extraction.lowConfidenceFields,
+      amountBreakdown: money.breakdown,
+      duplicates: duplicateCheck.duplicates,
+      storage: storedFile,
+      receiptId: ledgerEntry?.id || null
     });
     
   } catch (error) {
@@ -2242,110 +2399,20 @@ app.get('/auth/token', (req, res) => {
   }
 });
 
-// Create Google Drive folder and upload file
-async function uploadToGoogleDrive(fileBuffer, fileName, receiptDate, tokens) {
-  try {
-    // Set credentials
+// File a receipt PDF in the user's storage backend (see receipt-storage.js)
+async function storeReceiptFile(fileBuffer, fileName, receipt, tokens, userEmail) {
+  if (tokens) {
+    oauth2Client.setCredentials(tokens);
+  }
+  return receiptStorage.storeReceipt(fileBuffer, fileName, { userEmail, receipt, auth: tokens ? oauth2Client : null });
+}
+
+// The receipt's row in the user's monthly summary, if they keep one
+async function recordReceiptSummary(ledgerEntry, tokens, userEmail) {
+  if (tokens) {
     oauth2Client.setCredentials(tokens);
-    const drive = google.drive({ version: 'v3', auth: oauth2Client });
-    
-    // Find or create "Expense Receipts" folder
-    let mainFolderId;
-    
-    // Search for existing main folder
-    const mainFolderSearch = await drive.files.list({
-      q: "name='Expense Receipts' and mimeType='application/vnd.google-apps.folder'",
-      fields: 'files(id, name)'
-    });
-    
-    if (mainFolderSearch.data.files.length > 0) {
-      mainFolderId = mainFolderSearch.data.files[0].id;
-    } else {
-      // Create main folder
-      const mainFolderMetadata = {
-        name: 'Expense Receipts',
-        mimeType: 'application/vnd.google-apps.folder'
-      };
-      
-      const mainFolder = await drive.files.create({
-        resource: mainFolderMetadata,
-        fields: 'id'
-      });
-      mainFolderId = mainFolder.data.id;
-    }
-    
-    // Create month/year folder name
-    const date = receiptDate ? new Date(receiptDate) : new Date();
-    const monthNames = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    const monthFolderName = `${monthNames[date.getMonth()]} ${date.getFullYear()}`;
-    
-    console.log(`Looking for month folder: ${monthFolderName}`);
-    
-    // Find or create month folder within main folder
-    let monthFolderId;
-    
-    // Search for existing month folder
-    const monthFolderSearch = await drive.files.list({
-      q: `name='${monthFolderName}' and mimeType='application/vnd.google-apps.folder' and '${mainFolderId}' in parents`,
-      fields: 'files(id, name)'
-    });
-    
-    if (monthFolderSearch.data.files.length > 0) {
-      monthFolderId = monthFolderSearch.data.files[0].id;
-      console.log(`Found existing month folder: ${monthFolderName}`);
-    } else {
-      // Create month folder
-      const monthFolderMetadata = {
-        name: monthFolderName,
-        mimeType: 'application/vnd.google-apps.folder',
-        parents: [mainFolderId]
-      };
-      
-      const monthFolder = await drive.files.create({
-        resource: monthFolderMetadata,
-        fields: 'id'
-      });
-      monthFolderId = monthFolder.data.id;
-      console.log(`Created new month folder: ${monthFolderName}`);
-    }
-    
-    // Upload file to month folder
-    const fileMetadata = {
-      name: fileName,
-      parents: [monthFolderId]
-    };
-    
-    const media = {
-      mimeType: 'application/pdf',
-      body: require('stream').Readable.from(fileBuffer)
-    };
-    
-    const file = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: 'id, name, webViewLink'
-    });
-    
-    console.log(`Uploaded ${fileName} to ${monthFolderName} folder`);
-    
-    return {
-      success: true,
-      fileId: file.data.id,
-      fileName: file.data.name,
-      monthFolder: monthFolderName,
-      webViewLink: file.data.webViewLink
-    };
-    
-  } catch (error) {
-    console.error('Error uploading to Google Drive:', error);
-    return {
-      success: false,
-      error: error.message
-    };
   }
+  return receiptSummary.recordReceipt(userEmail, ledgerEntry, tokens ? oauth2Client : null);
 }
 
 app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,200 @@
+const { extractHtmlTables } = require('./html-text');
+const { classifySummaryLabel } = require('./receipt-structure');
+const { findAmounts, currencyForSender } = require('./currency');
+const { createCandidate } = require('./extraction-candidates');
+const { unionBoxes } = require('./pdf-layout');
+
+// Amounts from an HTML receipt's tables. Email receipts put "Total" in one
+// <td> and "$23.61" in the next - or a row of labels over a row of values -
+// and once that is flattened to text the regex extractors fall back to
+// "largest $ amount near the word total". Here each label cell is paired
+// with its value cell by row and column instead, giving a labelled
+// breakdown in receipt-structure's summary shape. PDF rows from
+// pdf-layout.js go through the same pairing, one line at a time.
+
+// Longer cells are sentences ("Tax included where applicable"), not labels
+const MAX_LABEL_LENGTH = 40;
+
+// A header row's values may sit a spacer row further down
+const MAX_ROWS_BELOW = 2;
+
+// The payment line is what was actually charged: "Visa *2222", "Amount paid"
+const PAYMENT_LABEL_PATTERN = /^(amount paid|total paid|you paid|paid|payment(?: total)?|charged to\b.*|(?:visa|mastercard|master card|amex|american express|discover|apple pay|google pay|paypal)\b.*)$/i;
+
+// Summary labels on European receipts (currency.js already reads their amounts)
+const LOCALIZED_LABELS = [
+  [/^(zwischensumme|sous-total|subtotale)$/i, 'subtotal'],
+  [/^(gesamtbetrag|gesamtsumme|gesamt|summe|total ttc|montant total|importe total|totale)$/i, 'total'],
+  [/^(mwst\.?|ust\.?|tva|iva)\b/i, 'tax']
+];
+
+// Just under learned labels (0.95); the charged line equals the registry's
+// amount hints (0.9) and, listed first, wins the tie
+const AMOUNT_CONFIDENCE = { charged: 0.9, total: 0.88, subtotal: 0.5 };
+
+function labelField(label) {
+  const text = label.replace(/[:\s]+$/, '').trim();
+  if (!text || text.length > MAX_LABEL_LENGTH) return null;
+  if (PAYMENT_LABEL_PATTERN.test(text)) return 'charged';
+  const localized = LOCALIZED_LABELS.find(([pattern]) => pattern.test(text));
+  return localized ? localized[1] : classifySummaryLabel(text, false);
+}
+
+// { label, field, amounts } - a label cell, a value cell, or both in one
+// ("Total: $17.62")
+function readCell(cell, dollarCurrency) {
+  const amounts = findAmounts(cell.text, { dollarCurrency });
+  const label = amounts.length > 0 ? cell.text.slice(0, amounts[0].index).trim() : cell.text;
+  return { ...cell, label, field: labelField(label), amounts };
+}
+
+// The last amount wins, as on text receipts: "$0.99 $0.00" is a struck-through fee
+function lastAmount(cell) {
+  return cell.amounts[cell.amounts.length - 1];
+}
+
+function coversColumn(cell, column) {
+  return cell.column <= column && column < cell.column + cell.colspan;
+}
+
+// Column headings: a row of <th>, or two or more labels and no amounts
+// ("Item | Qty | Total" over the item rows)
+function isHeaderRow(row) {
+  if (row.every(cell => cell.header)) return true;
+  return row.every(cell => cell.amounts.length === 0) && row.filter(cell => cell.label).length >= 2;
+}
+
+// The value for the label cell at rows[r][i] as { amount, currency, cell,
+// fromHeader }: an amount in the same cell, else the last amount before the
+// next label to its right, else (vertical) the first amount below it in the
+// same column. A heading over a column of several amounts labels the line
+// items, not the receipt - "Total" there is no order total.
+function findValue(rows, r, i, vertical) {
+  const cell = rows[r][i];
+  if (cell.amounts.length > 0) return { ...lastAmount(cell), cell };
+
+  let value = null;
+  for (const next of rows[r].slice(i + 1)) {
+    if (next.field) break;
+    if (next.amounts.length > 0) value = { ...lastAmount(next), cell: next };
+  }
+  if (value || !vertical) return value;
+
+  const fromHeader = isHeaderRow(rows[r]);
+  if (fromHeader) {
+    const columnAmounts = rows.slice(r + 1)
+      .filter(row => row.some(other => coversColumn(other, cell.column) && other.amounts.length > 0));
+    if (columnAmounts.length > 1) return null;
+  }
+
+  for (const row of rows.slice(r + 1, r + 1 + MAX_ROWS_BELOW)) {
+    const below = row.find(other => coversColumn(other, cell.column));
+    if (!below || below.field) break;
+    if (below.amounts.length > 0) return { ...lastAmount(below), cell: below, fromHeader };
+  }
+  return null;
+}
+
+// grids: [{ rows: [[{ text, column, colspan, header }]] }]. locate(labelCell,
+// valueCell) adds provenance to each amount candidate. null when there are
+// no labelled amounts; otherwise { breakdown, currency, candidates } with
+// candidates ready for extractAmountCandidates' ranking.
+function summarizeGrids(grids, { sender, vertical, rulePrefix, source, locate }) {
+  const dollarCurrency = currencyForSender(sender) || 'USD';
+  const breakdown = {
+    subtotal: null,
+    tax: null,
+    tip: null,
+    deliveryFee: null,
+    fees: [],
+    discounts: [],
+    total: null,
+    charged: null
+  };
+  const seenLabels = new Set();
+  // The label and currency each single-valued field was read from
+  const sources = {};
+  let firstCurrency = null;
+
+  grids.forEach(grid => {
+    const rows = grid.rows.map(row => row.map(cell => readCell(cell, dollarCurrency)));
+
+    rows.forEach((row, r) => row.forEach((cell, i) => {
+      if (!cell.field) return;
+      const value = findValue(rows, r, i, vertical);
+      if (!value) return;
+
+      // Nested layout tables repeat the summary; keep the first of each label
+      const labelKey = cell.label.toLowerCase();
+      if (seenLabels.has(labelKey)) return;
+      seenLabels.add(labelKey);
+
+      firstCurrency = firstCurrency || value.currency;
+      const field = value.amount < 0 && !['total', 'charged', 'subtotal'].includes(cell.field) ? 'discount' : cell.field;
+      const amount = Math.round(Math.abs(value.amount) * 100) / 100;
+
+      if (field === 'fee') {
+        breakdown.fees.push({ label: cell.label, amount });
+      } else if (field === 'discount') {
+        breakdown.discounts.push({ label: cell.label, amount });
+      } else if (field === 'tax' && breakdown.tax !== null) {
+        breakdown.tax = Math.round((breakdown.tax + amount) * 100) / 100;
+      } else if (breakdown[field] === null || (sources[field].fromHeader && !value.fromHeader)) {
+        // A column heading's value gives way to a labelled line ("Order Total")
+        breakdown[field] = amount;
+        sources[field] = { label: cell.label, currency: value.currency, labelCell: cell, valueCell: value.cell, fromHeader: !!value.fromHeader };
+      }
+    }));
+  });
+
+  if (seenLabels.size === 0) return null;
+
+  const candidates = Object.entries(AMOUNT_CONFIDENCE)
+    .filter(([field]) => breakdown[field] !== null)
+    .map(([field, confidence]) => ({
+      ...createCandidate(breakdown[field].toFixed(2), confidence, `${rulePrefix}-${field}`, {
+        pattern: sources[field].label,
+        source
+      }),
+      ...(locate ? locate(sources[field].labelCell, sources[field].valueCell) : {})
+    }));
+
+  const currency = (sources.charged || sources.total || {}).currency || firstCurrency;
+  return { breakdown, currency, candidates };
+}
+
+function extractTableAmounts(html, { sender } = {}) {
+  return summarizeGrids(extractHtmlTables(html), { sender, vertical: true, rulePrefix: 'table', source: 'html' });
+}
+
+// A PDF's rows from pdf-layout.js; each page is a grid whose cells are the
+// row segments. Label and value must share a line - PDF columns don't
+// line up the way table cells do. Candidates carry a span into
+// layout.text, the page and the bounding box of label plus value.
+function extractLayoutAmounts(layout, { sender } = {}) {
+  const grids = layout.pages.map(page => ({
+    rows: page.rows.map(row => row.map((segment, index) => ({ ...segment, column: index, colspan: 1 })))
+  }));
+
+  return summarizeGrids(grids, {
+    sender,
+    vertical: false,
+    rulePrefix: 'layout',
+    source: 'text',
+    locate(labelCell, valueCell) {
+      const start = labelCell.offset;
+      const end = valueCell.offset + valueCell.text.length;
+      const boxes = labelCell.page === valueCell.page ? [labelCell.bbox, valueCell.bbox] : [valueCell.bbox];
+      return {
+        span: { start, end, text: layout.text.slice(start, end) },
+        page: valueCell.page,
+        bbox: unionBoxes(boxes)
+      };
+    }
+  });
+}
+
+module.exports = {
+  extractTableAmounts,
+  extractLayoutAmounts
+};
@@ -0,0 +1,33 @@
+const { buildExport } = require('../receipt-export');
+
+// A CSV export is opened in Excel or Sheets, where a cell starting with a
+// formula trigger runs as a formula. This exports a vendor starting with each
+// trigger and checks every one comes out prefixed with a quote.
+//
+//   npm test                      # from server/
+//   node test/csv-export.js
+
+const CASES = [
+  { name: 'equals', vendor: '=HYPERLINK("http://x")', cell: '"\'=HYPERLINK(""http://x"")"' },
+  { name: 'plus', vendor: '+1+1', cell: '\'+1+1' },
+  { name: 'minus', vendor: '-1+1', cell: '\'-1+1' },
+  { name: 'at', vendor: '@SUM(1)', cell: '\'@SUM(1)' },
+  { name: 'tab', vendor: '\t=1+1', cell: '\'\t=1+1' },
+  { name: 'carriage return', vendor: '\r=1+1', cell: '"\'\r=1+1"' },
+  { name: 'plain', vendor: 'Acme Supply', cell: 'Acme Supply' }
+];
+
+const failures = [];
+CASES.forEach(({ name, vendor, cell }) => {
+  const { body } = buildExport([{ vendor, amount: '1.00' }], { format: 'csv', columns: ['vendor'] });
+  const expected = `Vendor\r\n${cell}\r\n`;
+  if (body !== expected) {
+    failures.push(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(body)}`);
+  }
+});
+
+if (failures.length > 0) {
+  console.log(`FAIL: CSV formula guard\n${failures.map(failure => `  ${failure}`).join('\n')}`);
+  process.exit(1);
+}
+console.log(`PASS: CSV formula guard covers ${CASES.length - 1} triggers`);
@@ -0,0 +1,40 @@
+const { collectExtractionLabels, matchLearnedDate, validateCorrection, RULE_TYPES } = require('../learned-rules');
+
+// Date-label rules are learned by matching a label's date against the date
+// the user corrected to, so both must name the same calendar day in every
+// timezone. This checks the label dates, a learned rule's match and the
+// correction check in UTC and either side of it.
+//
+//   npm test                      # from server/
+//   node test/learned-dates.js
+
+const ZONES = ['UTC', 'Asia/Tokyo', 'America/Los_Angeles'];
+
+const TEXT = 'Acme Supply\nOrder placed: July 15, 2025\nShipped on Jul 17th, 2025\nTotal $42.00';
+const LEARNED = [{ type: RULE_TYPES.DATE_LABEL, vendor: 'Acme Supply', label: 'Order placed' }];
+
+function check(name, actual, expected) {
+  const pass = JSON.stringify(actual) === JSON.stringify(expected);
+  return pass ? null : `${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+}
+
+const failures = [];
+ZONES.forEach(zone => {
+  // Node picks up a changed TZ on the next date operation
+  process.env.TZ = zone;
+  [
+    check('label dates', collectExtractionLabels(TEXT).dates, [
+      { label: 'Order placed', date: '2025-07-15' },
+      { label: 'Shipped on', date: '2025-07-17' }
+    ]),
+    check('learned date', (matchLearnedDate(LEARNED, TEXT, 'Acme Supply') || {}).date, '2025-07-15'),
+    check('valid correction', validateCorrection({ receiptDate: '2025-07-15' }), null),
+    check('impossible correction', validateCorrection({ receiptDate: '2025-02-30' }), 'receiptDate must be a YYYY-MM-DD date')
+  ].filter(Boolean).forEach(failure => failures.push(`${zone} ${failure}`));
+});
+
+if (failures.length > 0) {
+  console.log(`FAIL: learned date labels\n${failures.map(failure => `  ${failure}`).join('\n')}`);
+  process.exit(1);
+}
+console.log(`PASS: learned date labels agree in ${ZONES.join(', ')}`);
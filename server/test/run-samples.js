@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  extractVendor,
+  extractEmailAmountWithCurrency,
+  extractPdfAmountWithCurrency,
+  parseFilename,
+  extractDate,
+  extractVendorFromSender,
+  extractVendorFromSubject,
+  extractEmailDate
+} = require('../receipt-extractors');
+const { extractReferences } = require('../receipt-references');
+const { extractRawEmailContent } = require('../email-content');
+const { PDF_LAYOUT_CONFIG, extractPdfLayout, assignLayout } = require('../pdf-layout');
+
+// Regression harness over the sample corpus. Every PDF in "Receipt Samples/"
+// and every .eml in "Email Samples/" has a JSON sidecar with the expected
+// fields; this runs the extractors over each one and prints per-field accuracy.
+// A field that misses fails the run unless known-misses.json lists it (with
+// the reason), and so does a listed miss that now matches - take it out.
+// PDF sidecars can also expect the layout read (pages, truncated), the page
+// the amount was boxed on, the labelled breakdown, and a re-read under a
+// smaller memory budget ("budget": { "limits": { "MAX_TEXT_ITEMS": 12 }, ... }).
+//
+//   npm test                      # from server/, in UTC and either side of it
+//   node test/run-samples.js --verbose amazon
+
+const RECEIPT_SAMPLES_DIR = path.join(__dirname, '..', '..', 'Receipt Samples');
+const EMAIL_SAMPLES_DIR = path.join(__dirname, '..', '..', 'Email Samples');
+
+// SPECIFICATION.md: "Successfully extracts vendor/amount from 80%+ of common receipts"
+const SUCCESS_THRESHOLD = 0.8;
+const GATED_FIELDS = ['vendor', 'amount'];
+
+const KNOWN_MISSES_FILE = path.join(__dirname, 'known-misses.json');
+
+const FIELDS = [
+  'vendor', 'amount', 'currency', 'date', 'orderNumber', 'cardLast4',
+  'filename.vendor', 'filename.amount', 'filename.date',
+  'layout.pages', 'layout.truncated', 'amountPage',
+  'breakdown.subtotal', 'breakdown.tax', 'breakdown.total',
+  'budget.pages', 'budget.rows', 'budget.truncated'
+];
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const filter = args.find(arg => !arg.startsWith('--'));
+
+// The extractors log every pattern they try; keep that out of the report
+function quietly(fn) {
+  if (verbose) return fn();
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// The layout read again with PDF_LAYOUT_CONFIG's limits lowered
+async function readWithinBudget(buffer, limits) {
+  const saved = { ...PDF_LAYOUT_CONFIG };
+  Object.assign(PDF_LAYOUT_CONFIG, limits);
+  try {
+    const layout = await extractPdfLayout(buffer);
+    return {
+      pages: layout.pages.length,
+      rows: layout.pages.reduce((count, page) => count + page.rows.length, 0),
+      truncated: layout.truncated
+    };
+  } finally {
+    Object.assign(PDF_LAYOUT_CONFIG, saved);
+  }
+}
+
+// Mirrors /parse-receipt: the PDF's layout text plus the upload's filename
+async function runPdfSample(file, expected) {
+  const buffer = fs.readFileSync(path.join(RECEIPT_SAMPLES_DIR, file));
+  const layout = await extractPdfLayout(buffer);
+  const { text } = layout;
+  const budget = expected.budget ? await readWithinBudget(buffer, expected.budget.limits) : null;
+
+  return quietly(() => {
+    const vendor = extractVendor(text);
+    const money = extractPdfAmountWithCurrency(text, layout, null, vendor);
+    const references = extractReferences(text);
+    const [top] = assignLayout(money.candidates, layout);
+    return {
+      vendor,
+      amount: money.amount,
+      currency: money.currency,
+      date: extractDate(text),
+      orderNumber: references.orderNumber,
+      cardLast4: references.cardLast4,
+      filename: parseFilename(file),
+      layout: { pages: layout.pages.length, truncated: layout.truncated },
+      // Only a candidate assignLayout could box has a page to check
+      amountPage: top && top.bbox ? top.page : null,
+      breakdown: money.breakdown,
+      budget
+    };
+  });
+}
+
+// Mirrors the Gmail scan: the body through the servers' MIME walker, vendor
+// falling back to the sender and subject
+function runEmailSample(file) {
+  const email = extractRawEmailContent(fs.readFileSync(path.join(EMAIL_SAMPLES_DIR, file)));
+  const { text } = email;
+
+  return quietly(() => {
+    const vendor = extractVendor(text) || extractVendorFromSender(email.sender) || extractVendorFromSubject(email.subject);
+    const money = extractEmailAmountWithCurrency(text, email.hasHtml ? email.html : '', email.sender, vendor);
+    const references = extractReferences(text);
+    return {
+      vendor,
+      amount: money.amount,
+      currency: money.currency,
+      date: extractEmailDate(text, email.subject, email.sender, email.hasHtml ? email.html : '', vendor, null, email.date),
+      orderNumber: references.orderNumber,
+      cardLast4: references.cardLast4
+    };
+  });
+}
+
+function getField(object, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function fieldMatches(field, expected, actual) {
+  if (expected === null || actual === null || actual === undefined) {
+    return expected === null && (actual === null || actual === undefined);
+  }
+  if (field.endsWith('amount')) {
+    return Math.abs(parseFloat(expected) - parseFloat(actual)) < 0.005;
+  }
+  if (field.endsWith('vendor')) {
+    return String(expected).trim().toLowerCase() === String(actual).trim().toLowerCase();
+  }
+  return String(expected) === String(actual);
+}
+
+function listSamples(dir, extension) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.toLowerCase().endsWith(extension))
+    .filter(file => !filter || file.toLowerCase().includes(filter.toLowerCase()))
+    .sort();
+}
+
+function loadExpected(dir, file) {
+  const sidecar = path.join(dir, file.replace(/\.[^.]+$/, '.json'));
+  if (!fs.existsSync(sidecar)) return null;
+  return JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+}
+
+function percent(passed, total) {
+  return total > 0 ? `${(passed / total * 100).toFixed(1)}%` : 'n/a';
+}
+
+async function main() {
+  const samples = [
+    ...listSamples(RECEIPT_SAMPLES_DIR, '.pdf').map(file => ({ kind: 'pdf', dir: RECEIPT_SAMPLES_DIR, file })),
+    ...listSamples(EMAIL_SAMPLES_DIR, '.eml').map(file => ({ kind: 'eml', dir: EMAIL_SAMPLES_DIR, file }))
+  ];
+
+  if (samples.length === 0) {
+    console.error('No samples found');
+    process.exit(1);
+  }
+
+  // field -> kind -> { passed, total }
+  const stats = {};
+  FIELDS.forEach(field => {
+    stats[field] = { pdf: { passed: 0, total: 0 }, eml: { passed: 0, total: 0 } };
+  });
+  const missingSidecars = [];
+  const errors = [];
+  const knownMisses = JSON.parse(fs.readFileSync(KNOWN_MISSES_FILE, 'utf8'));
+  // "file: field" for misses known-misses.json doesn't list, and for listed ones that matched
+  const newMisses = [];
+  const fixedMisses = [];
+  let knownMissCount = 0;
+
+  for (const sample of samples) {
+    const expected = loadExpected(sample.dir, sample.file);
+    if (!expected) {
+      missingSidecars.push(sample.file);
+      continue;
+    }
+
+    let actual;
+    try {
+      actual = sample.kind === 'pdf' ? await runPdfSample(sample.file, expected) : runEmailSample(sample.file);
+    } catch (error) {
+      errors.push(sample.file);
+      console.log(`✗ ${sample.file}\n    error: ${error.message}`);
+      continue;
+    }
+
+    const misses = [];
+    const known = knownMisses[sample.file] || {};
+    FIELDS.forEach(field => {
+      const expectedValue = getField(expected, field);
+      if (expectedValue === undefined) return;
+
+      const counter = stats[field][sample.kind];
+      counter.total++;
+      if (fieldMatches(field, expectedValue, getField(actual, field))) {
+        counter.passed++;
+        if (known[field]) fixedMisses.push(`${sample.file}: ${field}`);
+      } else {
+        misses.push(`${field}: expected ${JSON.stringify(expectedValue)}, got ${JSON.stringify(getField(actual, field) ?? null)}${known[field] ? ' (known)' : ''}`);
+        if (known[field]) {
+          knownMissCount++;
+        } else {
+          newMisses.push(`${sample.file}: ${field}`);
+        }
+      }
+    });
+
+    console.log(`${misses.length === 0 ? '✓' : '✗'} ${sample.file}`);
+    misses.forEach(miss => console.log(`    ${miss}`));
+  }
+
+  console.log('\nField               PDF              Email            Overall');
+  console.log('------------------  ---------------  ---------------  ---------------');
+  const overall = {};
+  FIELDS.forEach(field => {
+    const { pdf: pdfStats, eml: emailStats } = stats[field];
+    const passed = pdfStats.passed + emailStats.passed;
+    const total = pdfStats.total + emailStats.total;
+    overall[field] = total > 0 ? passed / total : null;
+
+    const cell = ({ passed, total }) => (total > 0 ? `${passed}/${total} ${percent(passed, total)}` : '-').padEnd(15);
+    console.log(`${field.padEnd(18)}  ${cell(pdfStats)}  ${cell(emailStats)}  ${cell({ passed, total })}`);
+  });
+
+  if (missingSidecars.length > 0) {
+    console.log(`\nNo expected JSON for: ${missingSidecars.join(', ')}`);
+  }
+
+  if (newMisses.length > 0) {
+    console.log(`\nNew misses:\n${newMisses.map(miss => `  ${miss}`).join('\n')}`);
+  }
+  if (fixedMisses.length > 0) {
+    console.log(`\nNow matching - remove from known-misses.json:\n${fixedMisses.map(miss => `  ${miss}`).join('\n')}`);
+  }
+
+  const failing = GATED_FIELDS.filter(field => overall[field] !== null && overall[field] < SUCCESS_THRESHOLD);
+  const threshold = `${SUCCESS_THRESHOLD * 100}%`;
+  const failures = [
+    ...failing.map(field => `${field} below ${threshold}`),
+    ...errors.map(file => `${file} threw`),
+    ...(newMisses.length > 0 ? [`${newMisses.length} new miss${newMisses.length === 1 ? '' : 'es'}`] : []),
+    ...(fixedMisses.length > 0 ? [`${fixedMisses.length} stale known miss${fixedMisses.length === 1 ? '' : 'es'}`] : [])
+  ];
+  if (failures.length > 0) {
+    console.log(`\nFAIL: ${failures.join(', ')}`);
+    process.exit(1);
+  }
+  console.log(`\nPASS: ${GATED_FIELDS.join(' and ')} at or above ${threshold}, no misses beyond the ${knownMissCount} known`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonStore } = require('./json-store');
+
+// Per-user settings, keyed by the Google account email - persistent storage
+const USER_SETTINGS_FILE = path.join(__dirname, 'user_settings.json');
+
+const DEFAULT_SETTINGS = {
+  airbaseRecipient: null,
+  // null = the server default (see receipt-filename.js)
+  filenameTemplate: null,
+  // null = the server default (see google-drive.js); the folder and shared
+  // drive ids are where that layout starts instead of My Drive
+  driveFolderTemplate: null,
+  driveFolderId: null,
+  driveSharedDriveId: null,
+  // Fills the {project} token in filenames and folder layouts
+  projectCode: null,
+  // Keep a per-month summary sheet of filed receipts (see receipt-summary.js)
+  summarySpreadsheet: false,
+  // null = STORAGE_BACKEND (see receipt-storage.js)
+  storageBackend: null
+};
+
+// Load all users' settings from file; a corrupt file is moved aside, not overwritten
+function loadAllSettings() {
+  return readJsonStore(USER_SETTINGS_FILE);
+}
+
+// Save all users' settings to file
+function saveAllSettings(allSettings) {
+  try {
+    fs.writeFileSync(USER_SETTINGS_FILE, JSON.stringify(allSettings, null, 2));
+  } catch (error) {
+    console.error('Error saving user settings:', error);
+  }
+}
+
+function normalizeUserKey(userEmail) {
+  return String(userEmail || '').trim().toLowerCase();
+}
+
+// Get a user's settings merged over the defaults
+function getUserSettings(userEmail) {
+  const stored = loadAllSettings()[normalizeUserKey(userEmail)] || {};
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+// Merge updates into a user's settings; callers validate values first
+function updateUserSettings(userEmail, updates) {
+  const key = normalizeUserKey(userEmail);
+  if (!key) {
+    throw new Error('User email is required to save settings');
+  }
+
+  const allSettings = loadAllSettings();
+  allSettings[key] = {
+    ...(allSettings[key] || {}),
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  saveAllSettings(allSettings);
+
+  return { ...DEFAULT_SETTINGS, ...allSettings[key] };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getUserSettings,
+  updateUserSettings
+};
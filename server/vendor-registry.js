@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+
+// Vendor registry - the one place vendor knowledge lives. vendors.json is the
+// versioned seed checked into the repo; vendors added through the admin
+// endpoint go to an overrides file so they take effect without a deploy.
+// Both servers load it, and the extensions fetch it from GET /vendors.
+const VENDOR_REGISTRY_FILE = path.join(__dirname, 'vendors.json');
+const VENDOR_OVERRIDES_FILE = process.env.VENDOR_OVERRIDES_FILE || path.join(__dirname, 'vendor_overrides.json');
+
+// Fields a registry entry may carry. Patterns are case-insensitive regex sources.
+//   aliases              - other spellings of the name ("Amazon.com", "AMZN Mktp")
+//   senderDomains        - email domains (subdomains match too)
+//   textPatterns         - find the vendor in receipt text
+//   confirmationPatterns - platforms only: a second pattern that must also match
+//   subjectPatterns      - email subjects that identify the vendor
+//   receiptSignals       - email filter scoring: subject/body/negativeSubject/negativeBody
+//   category             - default expense category
+//   amountHints          - labels that precede the charged total ("Total charged")
+const PATTERN_FIELDS = ['textPatterns', 'confirmationPatterns', 'subjectPatterns'];
+const SIGNAL_FIELDS = ['subject', 'body', 'negativeSubject', 'negativeBody'];
+const MAX_PATTERN_LENGTH = 200;
+
+let cache = null;
+
+function readJson(file, fallback) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading ${path.basename(file)}:`, error);
+  }
+  return fallback;
+}
+
+function loadOverrides() {
+  return readJson(VENDOR_OVERRIDES_FILE, { revision: 0, vendors: [], removed: [] });
+}
+
+// Save the overrides (write-then-rename so a crash can't truncate them)
+function saveOverrides(overrides) {
+  const tempFile = `${VENDOR_OVERRIDES_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(overrides, null, 2));
+  fs.renameSync(tempFile, VENDOR_OVERRIDES_FILE);
+  cache = null;
+}
+
+function fileStamp(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function compilePattern(source) {
+  return new RegExp(source, 'i');
+}
+
+function compileVendor(vendor) {
+  const compiled = { ...vendor, patterns: {} };
+  PATTERN_FIELDS.forEach(field => {
+    compiled.patterns[field] = (vendor[field] || []).map(compilePattern);
+  });
+  return compiled;
+}
+
+// Seed + overrides: overridden ids replace the seed entry in place, new ids
+// are appended, removed ids are dropped. Cached until either file changes.
+function loadRegistry() {
+  const stamp = `${fileStamp(VENDOR_REGISTRY_FILE)}:${fileStamp(VENDOR_OVERRIDES_FILE)}`;
+  if (cache && cache.stamp === stamp) {
+    return cache;
+  }
+
+  const seed = readJson(VENDOR_REGISTRY_FILE, { version: 0, vendors: [] });
+  const overrides = loadOverrides();
+  const removed = new Set(overrides.removed || []);
+
+  const vendors = seed.vendors.filter(vendor => !removed.has(vendor.id));
+  (overrides.vendors || []).forEach(vendor => {
+    const index = vendors.findIndex(existing => existing.id === vendor.id);
+    if (index >= 0) {
+      vendors[index] = vendor;
+    } else {
+      vendors.push(vendor);
+    }
+  });
+
+  cache = {
+    stamp,
+    version: seed.version,
+    revision: overrides.revision || 0,
+    updatedAt: overrides.updatedAt || null,
+    vendors,
+    compiled: vendors.map(compileVendor)
+  };
+  return cache;
+}
+
+// The registry as served to the extensions
+function getRegistry() {
+  const { version, revision, updatedAt, vendors } = loadRegistry();
+  return { version, revision, updatedAt, vendors };
+}
+
+// Vendors with their patterns compiled, in priority order
+function getCompiledVendors() {
+  return loadRegistry().compiled;
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Look up a vendor by its name, one of its aliases or its id
+function findVendorByName(name) {
+  const key = normalizeName(name);
+  if (!key) return null;
+  return loadRegistry().vendors.find(vendor =>
+    vendor.id === key ||
+    normalizeName(vendor.name) === key ||
+    (vendor.aliases || []).some(alias => normalizeName(alias) === key)
+  ) || null;
+}
+
+function getSenderDomain(sender) {
+  const match = String(sender || '').match(/@([a-z0-9.-]+\.[a-z]{2,})/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// "Amazon.com <auto-confirm@amazon.com>" / "orders@oe.target.com" -> vendor
+function findVendorBySender(sender) {
+  const domain = getSenderDomain(sender);
+  if (!domain) return null;
+  return loadRegistry().vendors.find(vendor =>
+    (vendor.senderDomains || []).some(candidate => domain === candidate || domain.endsWith(`.${candidate}`))
+  ) || null;
+}
+
+function getVendorCategory(name) {
+  const vendor = findVendorByName(name);
+  return vendor && vendor.category ? vendor.category : null;
+}
+
+function getAmountHints(name) {
+  const vendor = findVendorByName(name);
+  return vendor ? vendor.amountHints || [] : [];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The amount after the vendor's first amount-hint label found in the text
+// ("Total charged$457.44" -> "457.44"). Expects currency-normalised "$" text.
+function matchAmountHint(text, name) {
+  for (const hint of getAmountHints(name)) {
+    const label = escapeRegex(hint.trim()).replace(/\s+/g, '\\s+');
+    const match = String(text || '').match(new RegExp(`\\b${label}[:\\s]*\\$(\\d+\\.\\d{2})`, 'i'));
+    if (match) {
+      return { hint, amount: match[1], match };
+    }
+  }
+  return null;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+function validatePatterns(field, patterns) {
+  if (!isStringList(patterns)) {
+    return `${field} must be a list of strings`;
+  }
+  for (const pattern of patterns) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `${field} patterns must be at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      return `${field} has an invalid pattern: ${pattern}`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for a malformed entry, or null if it's usable
+function validateVendor(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Vendor must be an object';
+  }
+  if (typeof input.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(input.id)) {
+    return 'id must be lowercase letters, digits and dashes';
+  }
+  if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 50) {
+    return 'name is required (at most 50 characters)';
+  }
+  if (input.aliases !== undefined && !isStringList(input.aliases)) {
+    return 'aliases must be a list of strings';
+  }
+  if (input.senderDomains !== undefined &&
+      (!isStringList(input.senderDomains) || !input.senderDomains.every(domain => /^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain)))) {
+    return 'senderDomains must be a list of domains';
+  }
+  for (const field of PATTERN_FIELDS) {
+    if (input[field] !== undefined) {
+      const error = validatePatterns(field, input[field]);
+      if (error) return error;
+    }
+  }
+  if (input.receiptSignals !== undefined) {
+    if (!input.receiptSignals || typeof input.receiptSignals !== 'object') {
+      return 'receiptSignals must be an object';
+    }
+    for (const field of SIGNAL_FIELDS) {
+      if (input.receiptSignals[field] !== undefined) {
+        const error = validatePatterns(`receiptSignals.${field}`, input.receiptSignals[field]);
+        if (error) return error;
+      }
+    }
+  }
+  if (input.category !== undefined && (typeof input.category !== 'string' || input.category.length > 50)) {
+    return 'category must be a string (at most 50 characters)';
+  }
+  if (input.amountHints !== undefined && !isStringList(input.amountHints)) {
+    return 'amountHints must be a list of strings';
+  }
+  return null;
+}
+
+// Only keep the known fields so arbitrary payloads can't end up in the file
+function pickVendorFields(input) {
+  const vendor = { id: input.id, name: input.name.trim() };
+  ['aliases', 'senderDomains', ...PATTERN_FIELDS, 'category', 'amountHints'].forEach(field => {
+    if (input[field] !== undefined) {
+      vendor[field] = input[field];
+    }
+  });
+  if (input.receiptSignals !== undefined) {
+    vendor.receiptSignals = {};
+    SIGNAL_FIELDS.forEach(field => {
+      if (input.receiptSignals[field] !== undefined) {
+        vendor.receiptSignals[field] = input.receiptSignals[field];
+      }
+    });
+  }
+  if (vendor.senderDomains) {
+    vendor.senderDomains = vendor.senderDomains.map(domain => domain.toLowerCase());
+  }
+  return vendor;
+}
+
+// Add a vendor, or replace the one with the same id. Call validateVendor first.
+function saveVendor(input) {
+  const vendor = pickVendorFields(input);
+  const overrides = loadOverrides();
+  overrides.vendors = (overrides.vendors || []).filter(existing => existing.id !== vendor.id);
+  overrides.vendors.push(vendor);
+  overrides.removed = (overrides.removed || []).filter(id => id !== vendor.id);
+  overrides.revision = (overrides.revision || 0) + 1;
+  overrides.updatedAt = new Date().toISOString();
+  saveOverrides(overrides);
+  return vendor;
+}
+
+// Remove a vendor (seed vendors are hidden, not deleted from vendors.json)
+function removeVendor(id) {
+  if (!loadRegistry().vendors.some(vendor => vendor.id === id)) {
+    return false;
+  }
+
+  const overrides = loadOverrides();
+  overrides.vendors = (overrides.vendors || []).filter(existing => existing.id !== id);
+  const seed = readJson(VENDOR_REGISTRY_FILE, { vendors: [] });
+  if (seed.vendors.some(vendor => vendor.id === id)) {
+    overrides.removed = [...new Set([...(overrides.removed || []), id])];
+  }
+  overrides.revision = (overrides.revision || 0) + 1;
+  overrides.updatedAt = new Date().toISOString();
+  saveOverrides(overrides);
+  return true;
+}
+
+module.exports = {
+  getRegistry,
+  getCompiledVendors,
+  findVendorByName,
+  findVendorBySender,
+  getVendorCategory,
+  getAmountHints,
+  matchAmountHint,
+  validateVendor,
+  saveVendor,
+  removeVendor
+};